@@ -0,0 +1,29 @@
+// Bloom - bright pass
+// Keeps only the parts of the scene brighter than the threshold, with a soft
+// knee so highlights fade into the bloom instead of switching on abruptly.
+// Four bilinear taps average the full resolution scene into the first mip
+
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D uScene;
+uniform vec2 uTexelSize;
+uniform float uThreshold;
+uniform float uKnee;
+
+vec3 prefilter(vec3 color) {
+  float brightness = max(color.r, max(color.g, color.b));
+  float soft = clamp(brightness - uThreshold + uKnee, 0.0, 2.0 * uKnee);
+  soft = soft * soft / (4.0 * uKnee + 0.0001);
+  float contribution = max(soft, brightness - uThreshold) / max(brightness, 0.0001);
+  return color * contribution;
+}
+
+void main() {
+  vec3 color = texture2D(uScene, vTexCoord + uTexelSize * vec2(-1.0, -1.0)).rgb;
+  color += texture2D(uScene, vTexCoord + uTexelSize * vec2(1.0, -1.0)).rgb;
+  color += texture2D(uScene, vTexCoord + uTexelSize * vec2(-1.0, 1.0)).rgb;
+  color += texture2D(uScene, vTexCoord + uTexelSize * vec2(1.0, 1.0)).rgb;
+  gl_FragColor = vec4(prefilter(color * 0.25), 1.0);
+}
@@ -0,0 +1,24 @@
+// Bloom - composite
+// Adds the blurred mip levels back on top of the scene. Smaller mips give the
+// wide halo, larger ones the tight glow around each highlight
+
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D uScene;
+uniform sampler2D uBloom0;
+uniform sampler2D uBloom1;
+uniform sampler2D uBloom2;
+uniform sampler2D uBloom3;
+uniform float uBloomIntensity;
+
+void main() {
+  vec3 bloom = texture2D(uBloom0, vTexCoord).rgb * 0.4;
+  bloom += texture2D(uBloom1, vTexCoord).rgb * 0.3;
+  bloom += texture2D(uBloom2, vTexCoord).rgb * 0.2;
+  bloom += texture2D(uBloom3, vTexCoord).rgb * 0.1;
+
+  vec3 color = texture2D(uScene, vTexCoord).rgb + bloom * uBloomIntensity;
+  gl_FragColor = vec4(color, 1.0);
+}
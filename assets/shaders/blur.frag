@@ -0,0 +1,21 @@
+// Separable Gaussian blur
+// A 9-tap kernel evaluated with 5 bilinear fetches by sampling between
+// texels. Run once horizontally and once vertically per bloom mip level
+
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D uSource;
+uniform vec2 uTexelSize;
+uniform vec2 uDirection;
+
+void main() {
+  vec2 offset = uTexelSize * uDirection;
+  vec3 color = texture2D(uSource, vTexCoord).rgb * 0.2270270270;
+  color += texture2D(uSource, vTexCoord + offset * 1.3846153846).rgb * 0.3162162162;
+  color += texture2D(uSource, vTexCoord - offset * 1.3846153846).rgb * 0.3162162162;
+  color += texture2D(uSource, vTexCoord + offset * 3.2307692308).rgb * 0.0702702703;
+  color += texture2D(uSource, vTexCoord - offset * 3.2307692308).rgb * 0.0702702703;
+  gl_FragColor = vec4(color, 1.0);
+}
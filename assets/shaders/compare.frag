@@ -0,0 +1,54 @@
+// Phase comparison
+// Combines the finished images of two phases rendered from the same camera:
+// a vertical wipe, two side-by-side viewports, or a circular lens that shows
+// the second phase magnified over the first. Lens and wipe positions are in
+// canvas pixels, with y running down the screen like vTexCoord on the canvas
+
+precision highp float;
+
+#define WIPE 1
+#define SIDE_BY_SIDE 2
+#define LENS 3
+
+varying vec2 vTexCoord;
+
+uniform sampler2D uFirst;
+uniform sampler2D uSecond;
+uniform int uMode;
+uniform float uSplit;
+uniform vec2 uLensCenter;
+uniform float uLensRadius;
+uniform float uMagnification;
+uniform vec2 uResolution;
+
+const vec3 BORDER_COLOR = vec3(1.0);
+
+void main() {
+  vec2 pixel = vTexCoord * uResolution;
+
+  if (uMode == SIDE_BY_SIDE) {
+    // Each viewport was rendered with half the aspect ratio, so squeezing
+    // the whole image into half the width restores its proportions
+    bool right = vTexCoord.x >= 0.5;
+    vec2 uv = vec2(fract(vTexCoord.x * 2.0), vTexCoord.y);
+    vec4 color = right ? texture2D(uSecond, uv) : texture2D(uFirst, uv);
+    float border = step(abs(pixel.x - uResolution.x * 0.5), 1.0);
+    gl_FragColor = vec4(mix(color.rgb, BORDER_COLOR, border), 1.0);
+    return;
+  }
+
+  if (uMode == LENS) {
+    vec2 center = uLensCenter * uResolution;
+    float dist = length(pixel - center);
+    vec2 magnified = (center + (pixel - center) / uMagnification) / uResolution;
+    vec4 color = dist < uLensRadius ? texture2D(uSecond, magnified) : texture2D(uFirst, vTexCoord);
+    float ring = 1.0 - smoothstep(1.0, 2.5, abs(dist - uLensRadius));
+    gl_FragColor = vec4(mix(color.rgb, BORDER_COLOR, ring), 1.0);
+    return;
+  }
+
+  float splitX = uSplit * uResolution.x;
+  vec4 color = pixel.x < splitX ? texture2D(uFirst, vTexCoord) : texture2D(uSecond, vTexCoord);
+  float border = step(abs(pixel.x - splitX), 1.0);
+  gl_FragColor = vec4(mix(color.rgb, BORDER_COLOR, border), 1.0);
+}
@@ -0,0 +1,77 @@
+// Prefiltered environment map
+// Convolves the equirectangular environment with a GGX lobe, assuming the
+// view direction equals the normal (the usual split-sum simplification).
+// Each level filters the sharper level before it with only the extra
+// roughness it needs, so wide lobes gather light that is already blurred
+// and stay smooth with a fixed number of samples
+
+precision highp float;
+precision highp int;
+
+#define PI 3.14159265
+
+varying vec2 vTexCoord;
+
+uniform sampler2D uSource;
+uniform float uRoughness;
+
+const int SAMPLE_COUNT = 64;
+
+// Matches the UVs p5's sphere() uses for the background, mirrored on x
+vec3 equirectDirection(vec2 uv) {
+  float theta = uv.x * 2.0 * PI;
+  float phi = (uv.y - 0.5) * PI;
+  return vec3(-cos(phi) * sin(theta), sin(phi), cos(phi) * cos(theta));
+}
+
+vec2 equirectUV(vec3 direction) {
+  return vec2(
+    fract(atan(-direction.x, direction.z) / (2.0 * PI)),
+    asin(clamp(direction.y, -1.0, 1.0)) / PI + 0.5
+  );
+}
+
+// Van der Corput sequence, built from float arithmetic since GLSL ES 1.00
+// has no bit operations
+float radicalInverse(int index) {
+  float n = float(index);
+  float result = 0.0;
+  float place = 0.5;
+  for (int bit = 0; bit < 8; bit++) {
+    if (mod(n, 2.0) >= 1.0) result += place;
+    n = floor(n * 0.5);
+    place *= 0.5;
+  }
+  return result;
+}
+
+vec3 importanceSampleGGX(vec2 xi, vec3 N, float roughness) {
+  float a = roughness * roughness;
+  float phi = 2.0 * PI * xi.x;
+  float cosTheta = sqrt((1.0 - xi.y) / (1.0 + (a * a - 1.0) * xi.y));
+  float sinTheta = sqrt(1.0 - cosTheta * cosTheta);
+
+  vec3 reference = abs(N.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+  vec3 T = normalize(cross(reference, N));
+  vec3 B = cross(N, T);
+  return normalize(T * (cos(phi) * sinTheta) + B * (sin(phi) * sinTheta) + N * cosTheta);
+}
+
+void main() {
+  vec3 N = equirectDirection(vTexCoord);
+
+  vec3 total = vec3(0.0);
+  float weight = 0.0;
+  for (int i = 0; i < SAMPLE_COUNT; i++) {
+    vec2 xi = vec2((float(i) + 0.5) / float(SAMPLE_COUNT), radicalInverse(i));
+    vec3 H = importanceSampleGGX(xi, N, uRoughness);
+    vec3 L = 2.0 * dot(N, H) * H - N;
+    float NdotL = dot(N, L);
+    if (NdotL > 0.0) {
+      total += texture2D(uSource, equirectUV(L)).rgb * NdotL;
+      weight += NdotL;
+    }
+  }
+
+  gl_FragColor = vec4(total / max(weight, 0.0001), 1.0);
+}
@@ -0,0 +1,85 @@
+// Distance fog
+// Rebuilds each pixel's world position from the scene depth buffer and fades
+// it toward the fog colour. Linear, exponential and exponential-squared match
+// the classic fixed-function GL_LINEAR / GL_EXP / GL_EXP2 fog equations;
+// height fog integrates a density that thins out with altitude along the ray
+
+precision highp float;
+precision highp int;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D uScene;
+uniform sampler2D uDepth;
+
+// 0 = linear, 1 = exponential, 2 = exponential squared, 3 = height
+uniform int uFogMode;
+uniform vec3 uFogColor;
+uniform float uFogDensity;
+
+uniform float uNear;
+uniform float uFar;
+uniform float uTanHalfFov;
+uniform float uAspect;
+uniform vec3 uCameraPosition;
+uniform vec3 uCameraRight;
+uniform vec3 uCameraUp;
+uniform vec3 uCameraBack;
+
+const float LINEAR_START = 300.0;
+const float LINEAR_END = 2200.0;
+const float EXP_DENSITY = 0.0006;
+const float EXP2_DENSITY = 0.0007;
+const float HEIGHT_DENSITY = 0.003;
+const float HEIGHT_FALLOFF = 0.006;
+
+float linearizeDepth(float depth) {
+  float z = depth * 2.0 - 1.0;
+  return 2.0 * uNear * uFar / (uFar + uNear - z * (uFar - uNear));
+}
+
+float fogAmount(vec3 worldPosition) {
+  vec3 toPoint = worldPosition - uCameraPosition;
+  float dist = length(toPoint);
+
+  if (uFogMode == 0) {
+    return clamp((dist - LINEAR_START) / (LINEAR_END - LINEAR_START), 0.0, 1.0) * uFogDensity;
+  }
+  if (uFogMode == 1) {
+    return 1.0 - exp(-EXP_DENSITY * uFogDensity * dist);
+  }
+  if (uFogMode == 2) {
+    float d = EXP2_DENSITY * uFogDensity * dist;
+    return 1.0 - exp(-d * d);
+  }
+
+  // p5's Y axis points down, so altitude is -y
+  float cameraAltitude = -uCameraPosition.y;
+  float rise = -toPoint.y / max(dist, 0.0001);
+  float travel = abs(rise) < 0.0001
+    ? dist
+    : (1.0 - exp(-HEIGHT_FALLOFF * dist * rise)) / (HEIGHT_FALLOFF * rise);
+  float opticalDepth = HEIGHT_DENSITY * uFogDensity * exp(-HEIGHT_FALLOFF * cameraAltitude) * travel;
+  return 1.0 - exp(-opticalDepth);
+}
+
+void main() {
+  vec4 color = texture2D(uScene, vTexCoord);
+  float depth = texture2D(uDepth, vTexCoord).r;
+
+  // Nothing was drawn here, so leave the sky to the background colour
+  if (depth >= 0.99999) {
+    gl_FragColor = color;
+    return;
+  }
+
+  vec2 ndc = vTexCoord * 2.0 - 1.0;
+  float viewDepth = linearizeDepth(depth);
+  vec3 worldPosition = uCameraPosition
+    + uCameraRight * (ndc.x * uTanHalfFov * uAspect * viewDepth)
+    + uCameraUp * (ndc.y * uTanHalfFov * viewDepth)
+    - uCameraBack * viewDepth;
+
+  float fog = clamp(fogAmount(worldPosition), 0.0, 1.0);
+  gl_FragColor = vec4(mix(color.rgb, uFogColor, fog), color.a);
+}
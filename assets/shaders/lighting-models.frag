@@ -0,0 +1,229 @@
+// Classic lighting models - fragment stage
+// Phong reflects the light about the normal and compares it with the view
+// direction; Blinn-Phong compares the normal with the half vector between
+// light and viewer instead. Both use the same exponent here so the wider,
+// softer Blinn-Phong highlight is visible when switching between them.
+// The shading view isolates one term of the lighting equation at a time.
+// The directional light casts hard shadows from the shadow map.
+// Specular materials mirror the environment map as well, blurred to match
+// their shininess, the way games of the era used environment mapping
+
+precision highp float;
+precision highp int;
+
+#define PI 3.14159265
+#define MAX_LIGHTS 5
+
+varying vec3 vWorldPosition;
+varying vec3 vWorldNormal;
+varying vec2 vTexCoord;
+varying vec3 vAmbientLight;
+varying vec3 vDiffuseLight;
+varying vec3 vSpecularLight;
+varying vec3 vDirectionalDiffuse;
+varying vec3 vDirectionalSpecular;
+varying vec4 vShadowCoord;
+
+uniform mat4 uViewMatrix;
+
+// 0 = Gouraud, 1 = Phong, 2 = Blinn-Phong
+uniform int uLightingModel;
+// 0 = combined, 1 = ambient only, 2 = diffuse only, 3 = specular only
+uniform int uShadingView;
+
+uniform vec4 uMaterialColor;
+uniform bool isTexture;
+uniform sampler2D uSampler;
+uniform vec4 uTint;
+uniform vec4 uSpecularMatColor;
+uniform bool uEmissive;
+uniform vec4 uEmissiveMatColor;
+uniform bool uSpecular;
+uniform float uShininess;
+
+uniform bool uUseLighting;
+uniform int uAmbientLightCount;
+uniform vec3 uAmbientColor[MAX_LIGHTS];
+uniform int uDirectionalLightCount;
+uniform vec3 uLightingDirection[MAX_LIGHTS];
+uniform vec3 uDirectionalDiffuseColors[MAX_LIGHTS];
+uniform vec3 uDirectionalSpecularColors[MAX_LIGHTS];
+uniform int uPointLightCount;
+uniform vec3 uPointLightLocation[MAX_LIGHTS];
+uniform vec3 uPointLightDiffuseColors[MAX_LIGHTS];
+uniform vec3 uPointLightSpecularColors[MAX_LIGHTS];
+uniform float uConstantAttenuation;
+uniform float uLinearAttenuation;
+uniform float uQuadraticAttenuation;
+
+// Shadow map from the directional light
+uniform sampler2D uShadowMap;
+uniform bool uUseShadows;
+uniform vec2 uShadowTexelSize;
+uniform float uShadowSoftness;
+
+// Image-based lighting from the environment map
+uniform bool uUseEnvironment;
+uniform float uEnvironmentIntensity;
+uniform vec3 uIrradianceSH[9];
+uniform sampler2D uEnvironment0;
+uniform sampler2D uEnvironment1;
+uniform sampler2D uEnvironment2;
+uniform sampler2D uEnvironment3;
+uniform sampler2D uEnvironment4;
+
+// Fraction of the directional light reaching this fragment. A softness of
+// zero takes one depth comparison (hard shadows); anything higher averages a
+// 5x5 grid of comparisons spread that many texels apart (PCF soft shadows)
+float shadowVisibility(float NdotL) {
+  if (!uUseShadows) return 1.0;
+
+  vec3 coord = vShadowCoord.xyz / vShadowCoord.w * 0.5 + 0.5;
+  if (coord.x < 0.0 || coord.x > 1.0 || coord.y < 0.0 || coord.y > 1.0 || coord.z > 1.0) {
+    return 1.0;
+  }
+
+  // Surfaces facing away from the light need a larger bias to avoid acne
+  float bias = max(0.004 * (1.0 - NdotL), 0.0008);
+
+  if (uShadowSoftness <= 0.0) {
+    return coord.z - bias > texture2D(uShadowMap, coord.xy).r ? 0.0 : 1.0;
+  }
+
+  float lit = 0.0;
+  for (int x = -2; x <= 2; x++) {
+    for (int y = -2; y <= 2; y++) {
+      vec2 offset = vec2(float(x), float(y)) * uShadowTexelSize * uShadowSoftness;
+      lit += coord.z - bias > texture2D(uShadowMap, coord.xy + offset).r ? 0.0 : 1.0;
+    }
+  }
+  return lit / 25.0;
+}
+
+// Matches the UVs p5's sphere() uses for the background, mirrored on x
+vec2 equirectUV(vec3 direction) {
+  return vec2(
+    fract(atan(-direction.x, direction.z) / (2.0 * PI)),
+    asin(clamp(direction.y, -1.0, 1.0)) / PI + 0.5
+  );
+}
+
+// Blends the two prefiltered levels either side of the roughness
+vec3 sampleEnvironment(vec3 direction, float roughness) {
+  vec2 uv = equirectUV(direction);
+  float level = clamp(roughness, 0.0, 1.0) * 4.0;
+  float blend = level - min(floor(level), 3.0);
+  vec3 lower;
+  vec3 upper;
+  if (level < 1.0) {
+    lower = texture2D(uEnvironment0, uv).rgb;
+    upper = texture2D(uEnvironment1, uv).rgb;
+  } else if (level < 2.0) {
+    lower = texture2D(uEnvironment1, uv).rgb;
+    upper = texture2D(uEnvironment2, uv).rgb;
+  } else if (level < 3.0) {
+    lower = texture2D(uEnvironment2, uv).rgb;
+    upper = texture2D(uEnvironment3, uv).rgb;
+  } else {
+    lower = texture2D(uEnvironment3, uv).rgb;
+    upper = texture2D(uEnvironment4, uv).rgb;
+  }
+  return mix(lower, upper, blend);
+}
+
+// Irradiance divided by PI, with the cosine lobe folded into the coefficients
+vec3 irradianceSH(vec3 N) {
+  return uIrradianceSH[0] * 0.282095
+    + uIrradianceSH[1] * 0.488603 * N.y
+    + uIrradianceSH[2] * 0.488603 * N.z
+    + uIrradianceSH[3] * 0.488603 * N.x
+    + uIrradianceSH[4] * 1.092548 * N.x * N.y
+    + uIrradianceSH[5] * 1.092548 * N.y * N.z
+    + uIrradianceSH[6] * 0.315392 * (3.0 * N.z * N.z - 1.0)
+    + uIrradianceSH[7] * 1.092548 * N.x * N.z
+    + uIrradianceSH[8] * 0.546274 * (N.x * N.x - N.y * N.y);
+}
+
+// These models light in display space, so the linear environment is gamma
+// encoded and clipped to the 0-1 range of an 8-bit environment map
+vec3 displayEnvironment(vec3 radiance) {
+  return clamp(pow(max(radiance, 0.0), vec3(1.0 / 2.2)), 0.0, 1.0);
+}
+
+float specularTerm(vec3 N, vec3 L, vec3 V) {
+  if (uLightingModel == 2) {
+    vec3 H = normalize(L + V);
+    return pow(max(dot(N, H), 0.0), uShininess);
+  }
+  return pow(max(dot(reflect(-L, N), V), 0.0), uShininess);
+}
+
+void main() {
+  vec4 baseColor = isTexture
+    // Textures arrive with premultiplied alpha, colours without
+    ? texture2D(uSampler, vTexCoord) * vec4(uTint.rgb / 255.0, 1.0) * (uTint.a / 255.0)
+    : vec4(uMaterialColor.rgb * uMaterialColor.a, uMaterialColor.a);
+
+  if (!uUseLighting) {
+    gl_FragColor = baseColor;
+    return;
+  }
+
+  vec3 ambientLight = vAmbientLight;
+  vec3 diffuseLight = vDiffuseLight;
+  vec3 specularLight = vSpecularLight;
+  vec3 directionalDiffuse = vDirectionalDiffuse;
+  vec3 directionalSpecular = vDirectionalSpecular;
+  vec3 N = normalize(vWorldNormal);
+  mat3 viewRotation = mat3(uViewMatrix[0].xyz, uViewMatrix[1].xyz, uViewMatrix[2].xyz);
+  vec3 cameraPosition = -(uViewMatrix[3].xyz * viewRotation);
+  vec3 V = normalize(cameraPosition - vWorldPosition);
+
+  if (uLightingModel != 0) {
+    for (int i = 0; i < MAX_LIGHTS; i++) {
+      if (i < uAmbientLightCount) {
+        ambientLight += uAmbientColor[i];
+      }
+      if (i < uDirectionalLightCount) {
+        vec3 L = normalize(-uLightingDirection[i]);
+        directionalDiffuse += max(dot(N, L), 0.0) * uDirectionalDiffuseColors[i];
+        if (uSpecular) directionalSpecular += specularTerm(N, L, V) * uDirectionalSpecularColors[i];
+      }
+      if (i < uPointLightCount) {
+        vec3 toLight = uPointLightLocation[i] - vWorldPosition;
+        float dist = length(toLight);
+        vec3 L = toLight / dist;
+        float falloff = 1.0 / (uConstantAttenuation + dist * uLinearAttenuation + dist * dist * uQuadraticAttenuation);
+        diffuseLight += max(dot(N, L), 0.0) * uPointLightDiffuseColors[i] * falloff;
+        if (uSpecular) specularLight += specularTerm(N, L, V) * uPointLightSpecularColors[i] * falloff;
+      }
+    }
+  }
+
+  float NdotL = uDirectionalLightCount > 0 ? max(dot(N, normalize(-uLightingDirection[0])), 0.0) : 1.0;
+  float visibility = shadowVisibility(NdotL);
+  diffuseLight += directionalDiffuse * visibility;
+  specularLight += directionalSpecular * visibility;
+
+  vec3 reflection = vec3(0.0);
+  if (uUseEnvironment) {
+    ambientLight += displayEnvironment(irradianceSH(N)) * uEnvironmentIntensity;
+    if (uSpecular) {
+      // Map the Phong exponent onto the roughness of the prefiltered levels
+      float roughness = sqrt(2.0 / (uShininess + 2.0));
+      reflection = displayEnvironment(sampleEnvironment(reflect(-V, N), roughness)) * uEnvironmentIntensity;
+    }
+  }
+
+  vec3 ambient = ambientLight * baseColor.rgb;
+  vec3 diffuse = diffuseLight * baseColor.rgb;
+  vec3 specular = (specularLight + reflection) * uSpecularMatColor.rgb * baseColor.a;
+  vec3 emissive = uEmissive ? uEmissiveMatColor.rgb * baseColor.a : vec3(0.0);
+
+  vec3 color = ambient + diffuse + specular + emissive;
+  if (uShadingView == 1) color = ambient;
+  else if (uShadingView == 2) color = diffuse;
+  else if (uShadingView == 3) color = specular;
+
+  gl_FragColor = vec4(color, baseColor.a);
+}
@@ -0,0 +1,99 @@
+// Classic lighting models - vertex stage
+// Gouraud shading evaluates the lighting equation here, once per vertex, and
+// lets the rasteriser interpolate the result. Phong and Blinn-Phong only pass
+// the world space position and normal on to be lit per fragment. Directional
+// light is kept in its own varyings so shadows can still mask it per fragment
+
+precision highp float;
+precision highp int;
+
+#define MAX_LIGHTS 5
+
+attribute vec3 aPosition;
+attribute vec3 aNormal;
+attribute vec2 aTexCoord;
+
+uniform mat4 uModelMatrix;
+uniform mat4 uViewMatrix;
+uniform mat4 uProjectionMatrix;
+uniform mat3 uNormalMatrix;
+uniform mat4 uLightViewProjection;
+
+// 0 = Gouraud, 1 = Phong, 2 = Blinn-Phong
+uniform int uLightingModel;
+
+uniform bool uUseLighting;
+uniform int uAmbientLightCount;
+uniform vec3 uAmbientColor[MAX_LIGHTS];
+uniform int uDirectionalLightCount;
+uniform vec3 uLightingDirection[MAX_LIGHTS];
+uniform vec3 uDirectionalDiffuseColors[MAX_LIGHTS];
+uniform vec3 uDirectionalSpecularColors[MAX_LIGHTS];
+uniform int uPointLightCount;
+uniform vec3 uPointLightLocation[MAX_LIGHTS];
+uniform vec3 uPointLightDiffuseColors[MAX_LIGHTS];
+uniform vec3 uPointLightSpecularColors[MAX_LIGHTS];
+uniform float uConstantAttenuation;
+uniform float uLinearAttenuation;
+uniform float uQuadraticAttenuation;
+uniform bool uSpecular;
+uniform float uShininess;
+
+varying vec3 vWorldPosition;
+varying vec3 vWorldNormal;
+varying vec2 vTexCoord;
+varying vec3 vAmbientLight;
+varying vec3 vDiffuseLight;
+varying vec3 vSpecularLight;
+varying vec3 vDirectionalDiffuse;
+varying vec3 vDirectionalSpecular;
+varying vec4 vShadowCoord;
+
+void main() {
+  vec4 worldPosition = uModelMatrix * vec4(aPosition, 1.0);
+  mat3 viewRotation = mat3(uViewMatrix[0].xyz, uViewMatrix[1].xyz, uViewMatrix[2].xyz);
+  vec3 N = normalize((uNormalMatrix * aNormal) * viewRotation);
+
+  vWorldPosition = worldPosition.xyz;
+  vWorldNormal = N;
+  vTexCoord = aTexCoord;
+  vShadowCoord = uLightViewProjection * worldPosition;
+
+  vAmbientLight = vec3(0.0);
+  vDiffuseLight = vec3(0.0);
+  vSpecularLight = vec3(0.0);
+  vDirectionalDiffuse = vec3(0.0);
+  vDirectionalSpecular = vec3(0.0);
+
+  if (uLightingModel == 0 && uUseLighting) {
+    vec3 cameraPosition = -(uViewMatrix[3].xyz * viewRotation);
+    vec3 V = normalize(cameraPosition - worldPosition.xyz);
+
+    for (int i = 0; i < MAX_LIGHTS; i++) {
+      if (i < uAmbientLightCount) {
+        vAmbientLight += uAmbientColor[i];
+      }
+      if (i < uDirectionalLightCount) {
+        vec3 L = normalize(-uLightingDirection[i]);
+        vDirectionalDiffuse += max(dot(N, L), 0.0) * uDirectionalDiffuseColors[i];
+        if (uSpecular) {
+          float highlight = pow(max(dot(reflect(-L, N), V), 0.0), uShininess);
+          vDirectionalSpecular += highlight * uDirectionalSpecularColors[i];
+        }
+      }
+      if (i < uPointLightCount) {
+        vec3 toLight = uPointLightLocation[i] - worldPosition.xyz;
+        float dist = length(toLight);
+        vec3 L = toLight / dist;
+        float falloff = 1.0 / (uConstantAttenuation + dist * uLinearAttenuation + dist * dist * uQuadraticAttenuation);
+        vDiffuseLight += max(dot(N, L), 0.0) * uPointLightDiffuseColors[i] * falloff;
+        if (uSpecular) {
+          float highlight = pow(max(dot(reflect(-L, N), V), 0.0), uShininess);
+          vSpecularLight += highlight * uPointLightSpecularColors[i] * falloff;
+        }
+      }
+    }
+  }
+
+  gl_Position = uProjectionMatrix * uViewMatrix * worldPosition;
+}
@@ -0,0 +1,293 @@
+// Physically Based Rendering - fragment stage
+// Cook-Torrance specular (GGX distribution, Smith-Schlick geometry, Schlick
+// Fresnel) with a Lambert diffuse lobe, using the metallic/roughness workflow.
+// Lights come from p5's ambientLight/directionalLight/pointLight uniforms,
+// base colour from fill()/texture(), and the remaining maps from applyMaterial.
+// The directional light is attenuated by soft PCF shadows from the shadow map.
+// Image-based lighting adds the environment map on top: spherical-harmonic
+// irradiance for diffuse and a prefiltered roughness chain for reflections
+
+precision highp float;
+
+#define PI 3.14159265
+#define MAX_LIGHTS 5
+#define BUMP_OFFSET 0.002
+#define BUMP_STRENGTH 4.0
+
+varying vec3 vWorldPosition;
+varying vec3 vWorldNormal;
+varying vec2 vTexCoord;
+varying vec4 vShadowCoord;
+
+uniform mat4 uViewMatrix;
+
+// p5 material state
+uniform vec4 uMaterialColor;
+uniform bool isTexture;
+uniform sampler2D uSampler;
+uniform vec4 uTint;
+uniform bool uEmissive;
+uniform vec4 uEmissiveMatColor;
+
+// p5 light state (world space)
+uniform bool uUseLighting;
+uniform int uAmbientLightCount;
+uniform vec3 uAmbientColor[MAX_LIGHTS];
+uniform int uDirectionalLightCount;
+uniform vec3 uLightingDirection[MAX_LIGHTS];
+uniform vec3 uDirectionalDiffuseColors[MAX_LIGHTS];
+uniform int uPointLightCount;
+uniform vec3 uPointLightLocation[MAX_LIGHTS];
+uniform vec3 uPointLightDiffuseColors[MAX_LIGHTS];
+uniform float uConstantAttenuation;
+uniform float uLinearAttenuation;
+uniform float uQuadraticAttenuation;
+
+// Material parameters set by applyMaterial
+uniform float uMetalness;
+uniform float uRoughness;
+uniform float uReflectivity;
+uniform float uSubsurface;
+
+uniform sampler2D uNormalMap;
+uniform sampler2D uRoughnessMap;
+uniform sampler2D uAOMap;
+uniform sampler2D uHeightMap;
+uniform sampler2D uMetallicMap;
+uniform sampler2D uOpacityMap;
+uniform bool uHasNormalMap;
+uniform bool uHasRoughnessMap;
+uniform bool uHasAOMap;
+uniform bool uHasHeightMap;
+uniform bool uHasMetallicMap;
+uniform bool uHasOpacityMap;
+
+// Shadow map from the directional light
+uniform sampler2D uShadowMap;
+uniform bool uUseShadows;
+uniform vec2 uShadowTexelSize;
+uniform float uShadowSoftness;
+
+// Image-based lighting from the environment map
+uniform bool uUseEnvironment;
+uniform float uEnvironmentIntensity;
+uniform vec3 uIrradianceSH[9];
+uniform sampler2D uEnvironment0;
+uniform sampler2D uEnvironment1;
+uniform sampler2D uEnvironment2;
+uniform sampler2D uEnvironment3;
+uniform sampler2D uEnvironment4;
+
+float distributionGGX(float NdotH, float roughness) {
+  float a = roughness * roughness;
+  float a2 = a * a;
+  float denom = NdotH * NdotH * (a2 - 1.0) + 1.0;
+  return a2 / (PI * denom * denom);
+}
+
+float geometrySchlickGGX(float NdotX, float roughness) {
+  float r = roughness + 1.0;
+  float k = (r * r) / 8.0;
+  return NdotX / (NdotX * (1.0 - k) + k);
+}
+
+vec3 fresnelSchlick(float cosTheta, vec3 F0) {
+  return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
+}
+
+// Fraction of the directional light reaching this fragment. A softness of
+// zero takes one depth comparison (hard shadows); anything higher averages a
+// 5x5 grid of comparisons spread that many texels apart (PCF soft shadows)
+float shadowVisibility(float NdotL) {
+  if (!uUseShadows) return 1.0;
+
+  vec3 coord = vShadowCoord.xyz / vShadowCoord.w * 0.5 + 0.5;
+  if (coord.x < 0.0 || coord.x > 1.0 || coord.y < 0.0 || coord.y > 1.0 || coord.z > 1.0) {
+    return 1.0;
+  }
+
+  // Surfaces facing away from the light need a larger bias to avoid acne
+  float bias = max(0.004 * (1.0 - NdotL), 0.0008);
+
+  if (uShadowSoftness <= 0.0) {
+    return coord.z - bias > texture2D(uShadowMap, coord.xy).r ? 0.0 : 1.0;
+  }
+
+  float lit = 0.0;
+  for (int x = -2; x <= 2; x++) {
+    for (int y = -2; y <= 2; y++) {
+      vec2 offset = vec2(float(x), float(y)) * uShadowTexelSize * uShadowSoftness;
+      lit += coord.z - bias > texture2D(uShadowMap, coord.xy + offset).r ? 0.0 : 1.0;
+    }
+  }
+  return lit / 25.0;
+}
+
+// Matches the UVs p5's sphere() uses for the background, mirrored on x
+vec2 equirectUV(vec3 direction) {
+  return vec2(
+    fract(atan(-direction.x, direction.z) / (2.0 * PI)),
+    asin(clamp(direction.y, -1.0, 1.0)) / PI + 0.5
+  );
+}
+
+// Blends the two prefiltered levels either side of the roughness
+vec3 sampleEnvironment(vec3 direction, float roughness) {
+  vec2 uv = equirectUV(direction);
+  float level = clamp(roughness, 0.0, 1.0) * 4.0;
+  float blend = level - min(floor(level), 3.0);
+  vec3 lower;
+  vec3 upper;
+  if (level < 1.0) {
+    lower = texture2D(uEnvironment0, uv).rgb;
+    upper = texture2D(uEnvironment1, uv).rgb;
+  } else if (level < 2.0) {
+    lower = texture2D(uEnvironment1, uv).rgb;
+    upper = texture2D(uEnvironment2, uv).rgb;
+  } else if (level < 3.0) {
+    lower = texture2D(uEnvironment2, uv).rgb;
+    upper = texture2D(uEnvironment3, uv).rgb;
+  } else {
+    lower = texture2D(uEnvironment3, uv).rgb;
+    upper = texture2D(uEnvironment4, uv).rgb;
+  }
+  return mix(lower, upper, blend);
+}
+
+// Irradiance divided by PI, so multiplying by albedo gives diffuse radiance.
+// The cosine lobe convolution is already folded into the coefficients
+vec3 irradianceSH(vec3 N) {
+  return uIrradianceSH[0] * 0.282095
+    + uIrradianceSH[1] * 0.488603 * N.y
+    + uIrradianceSH[2] * 0.488603 * N.z
+    + uIrradianceSH[3] * 0.488603 * N.x
+    + uIrradianceSH[4] * 1.092548 * N.x * N.y
+    + uIrradianceSH[5] * 1.092548 * N.y * N.z
+    + uIrradianceSH[6] * 0.315392 * (3.0 * N.z * N.z - 1.0)
+    + uIrradianceSH[7] * 1.092548 * N.x * N.z
+    + uIrradianceSH[8] * 0.546274 * (N.x * N.x - N.y * N.y);
+}
+
+// Analytic fit of the split-sum BRDF integral, standing in for a lookup table
+vec3 environmentBRDF(vec3 F0, float roughness, float NdotV) {
+  vec4 r = roughness * vec4(-1.0, -0.0275, -0.572, 0.022) + vec4(1.0, 0.0425, 1.04, -0.04);
+  float a004 = min(r.x * r.x, exp2(-9.28 * NdotV)) * r.x + r.y;
+  vec2 scaleBias = vec2(-1.04, 1.04) * a004 + r.zw;
+  return F0 * scaleBias.x + scaleBias.y;
+}
+
+// Box geometry carries no tangents, so build a frame from the normal alone.
+// It is consistent per face, which is all the tiling detail maps need.
+// Height maps add bump detail by tilting the normal against their slope
+vec3 perturbNormal(vec3 N) {
+  if (!uHasNormalMap && !uHasHeightMap) return N;
+  vec3 reference = abs(N.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+  vec3 T = normalize(cross(reference, N));
+  vec3 B = cross(N, T);
+  vec3 mapNormal = uHasNormalMap ? texture2D(uNormalMap, vTexCoord).xyz * 2.0 - 1.0 : vec3(0.0, 0.0, 1.0);
+
+  if (uHasHeightMap) {
+    float height = texture2D(uHeightMap, vTexCoord).r;
+    vec2 slope = vec2(
+      texture2D(uHeightMap, vTexCoord + vec2(BUMP_OFFSET, 0.0)).r - height,
+      texture2D(uHeightMap, vTexCoord + vec2(0.0, BUMP_OFFSET)).r - height
+    );
+    mapNormal = vec3(mapNormal.xy - slope * BUMP_STRENGTH, mapNormal.z);
+  }
+
+  return normalize(T * mapNormal.x + B * mapNormal.y + N * mapNormal.z);
+}
+
+// Radiance leaving the surface towards the viewer for one light
+vec3 shadeLight(vec3 N, vec3 V, vec3 L, vec3 radiance, vec3 albedo, vec3 F0, float metalness, float roughness) {
+  vec3 H = normalize(V + L);
+  float NdotL = max(dot(N, L), 0.0);
+  float NdotV = max(dot(N, V), 0.0001);
+  float NdotH = max(dot(N, H), 0.0);
+
+  float D = distributionGGX(NdotH, roughness);
+  float G = geometrySchlickGGX(NdotV, roughness) * geometrySchlickGGX(NdotL, roughness);
+  vec3 F = fresnelSchlick(max(dot(H, V), 0.0), F0);
+
+  vec3 specular = (D * G * F) / (4.0 * NdotV * NdotL + 0.0001);
+  vec3 kD = (1.0 - F) * (1.0 - metalness);
+
+  // Wrapped diffuse lets light bleed past the terminator like subsurface scattering
+  float wrapped = max((dot(N, L) + uSubsurface) / (1.0 + uSubsurface), 0.0);
+  vec3 scatter = albedo * (wrapped - NdotL) * uSubsurface;
+
+  return (kD * albedo / PI + specular) * radiance * NdotL + scatter * radiance / PI;
+}
+
+void main() {
+  vec4 baseColor = isTexture
+    // Textures arrive with premultiplied alpha, colours without
+    ? texture2D(uSampler, vTexCoord) * vec4(uTint.rgb / 255.0, 1.0) * (uTint.a / 255.0)
+    : vec4(uMaterialColor.rgb * uMaterialColor.a, uMaterialColor.a);
+  // Glass panes keep some body so they still carry reflections
+  if (uHasOpacityMap) baseColor *= mix(0.4, 1.0, texture2D(uOpacityMap, vTexCoord).r);
+  float alpha = baseColor.a;
+  vec3 albedo = alpha > 0.0 ? pow(baseColor.rgb / alpha, vec3(2.2)) : vec3(0.0);
+
+  if (!uUseLighting) {
+    gl_FragColor = baseColor;
+    return;
+  }
+
+  float roughness = uRoughness;
+  if (uHasRoughnessMap) {
+    roughness *= 0.5 + texture2D(uRoughnessMap, vTexCoord).r;
+  }
+  roughness = clamp(roughness, 0.05, 1.0);
+  float metalness = uMetalness;
+  if (uHasMetallicMap) metalness *= texture2D(uMetallicMap, vTexCoord).r;
+  metalness = clamp(metalness, 0.0, 1.0);
+  float ao = uHasAOMap ? texture2D(uAOMap, vTexCoord).r : 1.0;
+
+  vec3 N = perturbNormal(normalize(vWorldNormal));
+  mat3 viewRotation = mat3(uViewMatrix[0].xyz, uViewMatrix[1].xyz, uViewMatrix[2].xyz);
+  vec3 cameraPosition = -(uViewMatrix[3].xyz * viewRotation);
+  vec3 V = normalize(cameraPosition - vWorldPosition);
+
+  // Dielectrics reflect 2-16% at normal incidence depending on reflectivity;
+  // metals tint their reflection with the albedo instead
+  vec3 F0 = mix(vec3(mix(0.02, 0.16, uReflectivity)), albedo, metalness);
+
+  vec3 Lo = vec3(0.0);
+  for (int i = 0; i < MAX_LIGHTS; i++) {
+    if (i < uDirectionalLightCount) {
+      vec3 L = normalize(-uLightingDirection[i]);
+      float visibility = shadowVisibility(max(dot(N, L), 0.0));
+      Lo += shadeLight(N, V, L, uDirectionalDiffuseColors[i] * PI, albedo, F0, metalness, roughness) * visibility;
+    }
+    if (i < uPointLightCount) {
+      vec3 toLight = uPointLightLocation[i] - vWorldPosition;
+      float dist = length(toLight);
+      float falloff = 1.0 / (uConstantAttenuation + dist * uLinearAttenuation + dist * dist * uQuadraticAttenuation);
+      Lo += shadeLight(N, V, toLight / dist, uPointLightDiffuseColors[i] * falloff * PI, albedo, F0, metalness, roughness);
+    }
+  }
+
+  vec3 ambientLight = vec3(0.0);
+  for (int i = 0; i < MAX_LIGHTS; i++) {
+    if (i < uAmbientLightCount) ambientLight += uAmbientColor[i];
+  }
+  vec3 ambientF = fresnelSchlick(max(dot(N, V), 0.0), F0);
+  vec3 ambient = ambientLight * ((1.0 - ambientF) * (1.0 - metalness) * albedo + ambientF) * ao;
+
+  if (uUseEnvironment) {
+    vec3 R = reflect(-V, N);
+    vec3 diffuseIBL = max(irradianceSH(N), 0.0) * albedo * (1.0 - ambientF) * (1.0 - metalness);
+    vec3 specularIBL = sampleEnvironment(R, roughness) * environmentBRDF(F0, roughness, max(dot(N, V), 0.0001));
+    ambient += (diffuseIBL + specularIBL) * ao * uEnvironmentIntensity;
+  }
+
+  vec3 color = ambient + Lo;
+  if (uEmissive) color += pow(uEmissiveMatColor.rgb, vec3(2.2));
+
+  // Reinhard tone mapping back into display range, then gamma encode
+  color = color / (color + 1.0);
+  color = pow(color, vec3(1.0 / 2.2));
+
+  gl_FragColor = vec4(color * alpha, alpha);
+}
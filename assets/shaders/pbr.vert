@@ -0,0 +1,34 @@
+// Physically Based Rendering - vertex stage
+// Passes world space position and normal through so the fragment stage can
+// evaluate the Cook-Torrance BRDF against p5's world space light uniforms
+
+precision highp float;
+
+attribute vec3 aPosition;
+attribute vec3 aNormal;
+attribute vec2 aTexCoord;
+
+uniform mat4 uModelMatrix;
+uniform mat4 uViewMatrix;
+uniform mat4 uProjectionMatrix;
+uniform mat3 uNormalMatrix;
+uniform mat4 uLightViewProjection;
+
+varying vec3 vWorldPosition;
+varying vec3 vWorldNormal;
+varying vec2 vTexCoord;
+varying vec4 vShadowCoord;
+
+void main() {
+  vec4 worldPosition = uModelMatrix * vec4(aPosition, 1.0);
+  vWorldPosition = worldPosition.xyz;
+
+  // uNormalMatrix works in view space. The view matrix is a rigid transform,
+  // so multiplying by its rotation transposed takes the normal back to world space
+  mat3 viewRotation = mat3(uViewMatrix[0].xyz, uViewMatrix[1].xyz, uViewMatrix[2].xyz);
+  vWorldNormal = (uNormalMatrix * aNormal) * viewRotation;
+
+  vTexCoord = aTexCoord;
+  vShadowCoord = uLightViewProjection * worldPosition;
+  gl_Position = uProjectionMatrix * uViewMatrix * worldPosition;
+}
@@ -0,0 +1,18 @@
+// Phosphor persistence
+// A vector display's beam only excites the phosphor for an instant; the glow
+// then decays over the following frames. Keeping the brighter of the fresh
+// lines and the faded previous frame leaves a short trail behind moving lines
+
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D uScene;
+uniform sampler2D uPrevious;
+uniform float uPersistence;
+
+void main() {
+  vec4 fresh = texture2D(uScene, vTexCoord);
+  vec4 previous = texture2D(uPrevious, vTexCoord) * uPersistence;
+  gl_FragColor = max(fresh, previous);
+}
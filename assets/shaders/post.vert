@@ -0,0 +1,19 @@
+// Full screen pass - vertex stage
+// Shared by every post-processing pass. rect() hands over a unit quad, which
+// is stretched straight across clip space so the model and camera matrices
+// never matter. p5 framebuffers are stored upside down relative to the
+// canvas, so the final pass onto the canvas flips the texture lookup
+
+precision highp float;
+
+attribute vec3 aPosition;
+attribute vec2 aTexCoord;
+
+uniform bool uFlipY;
+
+varying vec2 vTexCoord;
+
+void main() {
+  vTexCoord = uFlipY ? vec2(aTexCoord.x, 1.0 - aTexCoord.y) : aTexCoord;
+  gl_Position = vec4(aPosition.xy * 2.0 - 1.0, 0.0, 1.0);
+}
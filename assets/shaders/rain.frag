@@ -0,0 +1,10 @@
+// Rain - fragment stage
+// Flat colour from fill(), premultiplied for p5's blending
+
+precision mediump float;
+
+uniform vec4 uMaterialColor;
+
+void main() {
+  gl_FragColor = vec4(uMaterialColor.rgb * uMaterialColor.a, uMaterialColor.a);
+}
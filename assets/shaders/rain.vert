@@ -0,0 +1,69 @@
+// Rain - vertex stage
+// Every raindrop is a quad in one retained buffer, so the whole shower is a
+// single draw call and the drops fall here instead of on the CPU. A drop's
+// height wraps around the fall range, and each time it wraps it reappears
+// somewhere new, stepped along a low-discrepancy sequence from its own seed.
+// The quad is widened in screen space so drops keep a fixed pixel width, as
+// p5's strokes do. Snowflakes are the same drops drawn short, slow and
+// fluttering
+
+precision highp float;
+
+attribute vec3 aPosition;     // Seed across x and z (0-1) and starting height
+attribute vec3 aNormal;       // Drop length, fall speed and thickness
+attribute vec2 aTexCoord;     // Side of the quad (-1 or 1) and end (0 top, 1 bottom)
+attribute vec4 aVertexColor;  // Place in the shower (0-1) in r
+
+uniform mat4 uModelMatrix;
+uniform mat4 uViewMatrix;
+uniform mat4 uProjectionMatrix;
+
+uniform float uFall;          // Seconds of fall at unit speed
+uniform float uTime;          // Animation clock, drives the flutter
+uniform float uExtent;        // Half-width of the area the rain covers
+uniform float uVisible;       // Share of the drops shown
+uniform float uLengthScale;
+uniform float uThicknessScale;
+uniform vec2 uWind;           // Sideways drift along x and z per unit of fall
+uniform float uFlutter;       // How far snowflakes sway from side to side
+uniform vec2 uResolution;
+
+// Drops fall from TOP and wrap once they are FALL_RANGE lower, just below the ground
+#define TOP -1000.0
+#define FALL_RANGE 1050.0
+
+void main() {
+  float fallen = aPosition.y - TOP + aNormal.y * uFall;
+  float cycle = floor(fallen / FALL_RANGE);
+  float y = TOP + fallen - cycle * FALL_RANGE;
+  vec2 seed = fract(aPosition.xz + cycle * vec2(0.6180340, 0.7548777));
+  vec2 ground = (seed * 2.0 - 1.0) * uExtent;
+
+  // The wind carries the drops sideways as they fall, centred on the middle
+  // of the fall so the shower stays over the city, and leans them along
+  // their path
+  float phase = aVertexColor.r * 80.0 + y * 0.02;
+  vec2 drift = uWind * (y - TOP - FALL_RANGE * 0.5)
+    + uFlutter * vec2(sin(uTime * 1.3 + phase), cos(uTime * 1.1 + phase * 1.7));
+  vec3 top = vec3(ground.x + drift.x, y, ground.y + drift.y);
+  vec3 bottom = top + normalize(vec3(uWind.x, 1.0, uWind.y)) * aNormal.x * uLengthScale;
+
+  mat4 transform = uProjectionMatrix * uViewMatrix * uModelMatrix;
+  vec4 clipTop = transform * vec4(top, 1.0);
+  vec4 clipBottom = transform * vec4(bottom, 1.0);
+
+  // Hidden drops, and drops reaching behind the camera, are moved outside the clip volume
+  if (aVertexColor.r >= uVisible || clipTop.w <= 0.0 || clipBottom.w <= 0.0) {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+    return;
+  }
+
+  vec2 along = clipBottom.xy / clipBottom.w * uResolution - clipTop.xy / clipTop.w * uResolution;
+  along = dot(along, along) > 1.0e-8 ? normalize(along) : vec2(0.0, 1.0);
+  vec2 across = vec2(-along.y, along.x);
+
+  // Half the thickness either side, converted from pixels to clip space
+  vec4 position = aTexCoord.y > 0.5 ? clipBottom : clipTop;
+  position.xy += across * aTexCoord.x * aNormal.z * uThicknessScale / uResolution * position.w;
+  gl_Position = position;
+}
@@ -0,0 +1,20 @@
+// Ray traced city - display
+// Tone maps the accumulated linear radiance the same way the PBR shader
+// does and lays it over the rasterised scene, so the two can cross-fade
+
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D uRadiance;
+uniform float uOpacity;
+
+void main() {
+  vec3 color = texture2D(uRadiance, vTexCoord).rgb;
+
+  // Reinhard tone mapping back into display range, then gamma encode
+  color = color / (color + 1.0);
+  color = pow(color, vec3(1.0 / 2.2));
+
+  gl_FragColor = vec4(color * uOpacity, uOpacity);
+}
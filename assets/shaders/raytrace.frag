@@ -0,0 +1,493 @@
+// Ray traced city - Phase 6
+// Traces the scene analytically instead of rasterising it. Building parts and
+// rooftop units are boxes or upright cylinders, trees a trunk box under an ellipsoid canopy and the
+// ground a plane with procedural puddles, all read from a row of float texels.
+// Each sample follows one camera ray through up to MAX_BOUNCES reflections off
+// glass, water and metal, and sends a shadow ray towards a random point on the
+// sun's disc for soft shadows. Frames are averaged into uPrevious while the
+// view holds still, so the image converges progressively
+
+precision highp float;
+precision highp int;
+
+#define PI 3.14159265
+#define MAX_OBJECTS 512
+#define MAX_SAMPLES 8
+#define MAX_BOUNCES 3
+#define EPSILON 0.05
+#define FAR 100000.0
+#define GROUND_Y -5.0
+#define FOG_DENSITY 0.0006
+
+varying vec2 vTexCoord;
+
+// Progressive accumulation
+uniform sampler2D uPrevious;
+uniform float uFrameIndex;
+uniform float uSeed;
+uniform int uSamples;
+uniform vec2 uResolution;
+
+// Scene: texels 3i to 3i + 2 describe box i, trees start at uTreeOffset
+uniform sampler2D uSceneData;
+uniform float uSceneDataSize;
+uniform float uTreeOffset;
+uniform int uBoxCount;
+uniform int uTreeCount;
+uniform float uGroundExtent;
+
+uniform vec3 uCameraPosition;
+uniform vec3 uCameraRight;
+uniform vec3 uCameraUp;
+uniform vec3 uCameraBack;
+uniform float uTanHalfFov;
+uniform float uAspect;
+
+// The light direction is the way the light travels, as in directionalLight()
+uniform vec3 uLightDirection;
+uniform vec3 uLightColor;
+uniform float uLightSpread;
+uniform vec3 uAmbientColor;
+uniform vec3 uFogColor;
+uniform float uFogDensity;
+uniform float uWetness;
+uniform float uSnowCover;
+
+// Street lamps stand on a grid, see streetLightGrid() in sketch.js. Lamps and
+// windows light up between dusk and dawn as uLightsOn goes from 0 to 1
+uniform vec2 uStreetLightOrigin;
+uniform float uStreetLightSpacing;
+uniform vec2 uStreetLightCount;
+uniform float uStreetLightReach;
+uniform vec3 uStreetLightColor;
+uniform float uLightsOn;
+
+// A lightning flash lights the city from partway up the bolt; black between strikes
+uniform vec3 uFlashPosition;
+uniform vec3 uFlashColor;
+
+// Image-based lighting, shared with the raster material shaders
+uniform bool uUseEnvironment;
+uniform float uEnvironmentIntensity;
+uniform vec3 uIrradianceSH[9];
+uniform sampler2D uEnvironment0;
+uniform sampler2D uEnvironment1;
+uniform sampler2D uEnvironment2;
+uniform sampler2D uEnvironment3;
+uniform sampler2D uEnvironment4;
+
+// Material ids
+const float GROUND = 0.0;
+const float CONCRETE = 1.0;
+const float ROOFTOP = 2.0;
+const float TRUNK = 3.0;
+const float PINE = 4.0;
+const float LEAVES = 5.0;
+
+// Added to a box's material id to trace it as a cylinder filling its footprint
+const float CYLINDER = 8.0;
+
+float randomCounter = 0.0;
+
+float random() {
+  randomCounter += 1.0;
+  return fract(sin(dot(vec3(gl_FragCoord.xy, randomCounter), vec3(12.9898, 78.233, 37.719)) + uSeed) * 43758.5453);
+}
+
+vec3 randomUnitVector() {
+  float z = random() * 2.0 - 1.0;
+  float angle = random() * 2.0 * PI;
+  return vec3(sqrt(1.0 - z * z) * vec2(cos(angle), sin(angle)), z);
+}
+
+vec4 sceneTexel(float index) {
+  return texture2D(uSceneData, vec2((index + 0.5) / uSceneDataSize, 0.5));
+}
+
+vec3 srgbToLinear(vec3 color) {
+  return pow(color / 255.0, vec3(2.2));
+}
+
+// Matches the UVs p5's sphere() uses for the background, mirrored on x
+vec2 equirectUV(vec3 direction) {
+  return vec2(
+    fract(atan(-direction.x, direction.z) / (2.0 * PI)),
+    asin(clamp(direction.y, -1.0, 1.0)) / PI + 0.5
+  );
+}
+
+// Blends the two prefiltered levels either side of the roughness
+vec3 sampleEnvironment(vec3 direction, float roughness) {
+  vec2 uv = equirectUV(direction);
+  float level = clamp(roughness, 0.0, 1.0) * 4.0;
+  float blend = level - min(floor(level), 3.0);
+  vec3 lower;
+  vec3 upper;
+  if (level < 1.0) {
+    lower = texture2D(uEnvironment0, uv).rgb;
+    upper = texture2D(uEnvironment1, uv).rgb;
+  } else if (level < 2.0) {
+    lower = texture2D(uEnvironment1, uv).rgb;
+    upper = texture2D(uEnvironment2, uv).rgb;
+  } else if (level < 3.0) {
+    lower = texture2D(uEnvironment2, uv).rgb;
+    upper = texture2D(uEnvironment3, uv).rgb;
+  } else {
+    lower = texture2D(uEnvironment3, uv).rgb;
+    upper = texture2D(uEnvironment4, uv).rgb;
+  }
+  return mix(lower, upper, blend);
+}
+
+// Irradiance divided by PI, so multiplying by albedo gives diffuse radiance
+vec3 irradianceSH(vec3 N) {
+  return uIrradianceSH[0] * 0.282095
+    + uIrradianceSH[1] * 0.488603 * N.y
+    + uIrradianceSH[2] * 0.488603 * N.z
+    + uIrradianceSH[3] * 0.488603 * N.x
+    + uIrradianceSH[4] * 1.092548 * N.x * N.y
+    + uIrradianceSH[5] * 1.092548 * N.y * N.z
+    + uIrradianceSH[6] * 0.315392 * (3.0 * N.z * N.z - 1.0)
+    + uIrradianceSH[7] * 1.092548 * N.x * N.z
+    + uIrradianceSH[8] * 0.546274 * (N.x * N.x - N.y * N.y);
+}
+
+vec3 sky(vec3 direction, float roughness) {
+  return uUseEnvironment ? sampleEnvironment(direction, roughness) : srgbToLinear(uFogColor);
+}
+
+// Repeats isWindowLit() in sketch.js, so the same windows are lit in every phase
+float windowHash(vec4 p) {
+  p = fract(p * vec4(0.1031, 0.1030, 0.0973, 0.1099));
+  p += dot(p, p.wzxy + 33.33);
+  return fract((p.x + p.y) * (p.z + p.w));
+}
+
+// Light cast on the ground by the nearest street lamp
+vec3 streetLightPool(vec2 p) {
+  vec2 cell = clamp(floor((p - uStreetLightOrigin) / uStreetLightSpacing + 0.5), vec2(0.0), uStreetLightCount - 1.0);
+  float dist = length(p - (uStreetLightOrigin + cell * uStreetLightSpacing));
+  float falloff = 1.0 - smoothstep(0.0, uStreetLightReach, dist);
+  return srgbToLinear(uStreetLightColor) * falloff * falloff * 0.4 * uLightsOn;
+}
+
+float valueNoise(vec2 p) {
+  vec2 cell = floor(p);
+  vec2 f = fract(p);
+  f = f * f * (3.0 - 2.0 * f);
+  float a = fract(sin(dot(cell, vec2(127.1, 311.7))) * 43758.5453);
+  float b = fract(sin(dot(cell + vec2(1.0, 0.0), vec2(127.1, 311.7))) * 43758.5453);
+  float c = fract(sin(dot(cell + vec2(0.0, 1.0), vec2(127.1, 311.7))) * 43758.5453);
+  float d = fract(sin(dot(cell + vec2(1.0, 1.0), vec2(127.1, 311.7))) * 43758.5453);
+  return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+}
+
+// Slab test; rays starting inside a box ignore it
+float intersectBox(vec3 origin, vec3 inverseDirection, vec3 boxMin, vec3 boxMax, out vec3 normal) {
+  vec3 t0 = (boxMin - origin) * inverseDirection;
+  vec3 t1 = (boxMax - origin) * inverseDirection;
+  vec3 tNear = min(t0, t1);
+  vec3 tFar = max(t0, t1);
+  float enter = max(max(tNear.x, tNear.y), tNear.z);
+  float exit = min(min(tFar.x, tFar.y), tFar.z);
+  if (enter > exit || enter < EPSILON) return FAR;
+  normal = -sign(inverseDirection) * step(tNear.yzx, tNear) * step(tNear.zxy, tNear);
+  return enter;
+}
+
+// Upright cylinder inscribed in a box, with flat caps; rays starting inside ignore it
+float intersectCylinder(vec3 origin, vec3 direction, vec3 boxMin, vec3 boxMax, out vec3 normal) {
+  vec2 offset = origin.xz - (boxMin.xz + boxMax.xz) * 0.5;
+  float radius = (boxMax.x - boxMin.x) * 0.5;
+  float nearest = FAR;
+
+  float a = dot(direction.xz, direction.xz);
+  float b = dot(offset, direction.xz);
+  float discriminant = b * b - a * (dot(offset, offset) - radius * radius);
+  if (a > 1.0e-8 && discriminant >= 0.0) {
+    float t = (-b - sqrt(discriminant)) / a;
+    float y = origin.y + direction.y * t;
+    if (t > EPSILON && y > boxMin.y && y < boxMax.y) {
+      vec2 side = (offset + direction.xz * t) / radius;
+      nearest = t;
+      normal = vec3(side.x, 0.0, side.y);
+    }
+  }
+
+  // p5's Y axis points down, so a ray heading down meets the top cap at boxMin.y
+  float capY = direction.y > 0.0 ? boxMin.y : boxMax.y;
+  float t = (capY - origin.y) / direction.y;
+  vec2 p = offset + direction.xz * t;
+  if (t > EPSILON && t < nearest && dot(p, p) < radius * radius) {
+    nearest = t;
+    normal = vec3(0.0, -sign(direction.y), 0.0);
+  }
+  return nearest;
+}
+
+float intersectEllipsoid(vec3 origin, vec3 direction, vec3 center, vec3 radii, out vec3 normal) {
+  vec3 o = (origin - center) / radii;
+  vec3 d = direction / radii;
+  float a = dot(d, d);
+  float b = dot(o, d);
+  float c = dot(o, o) - 1.0;
+  float discriminant = b * b - a * c;
+  if (discriminant < 0.0) return FAR;
+  float t = (-b - sqrt(discriminant)) / a;
+  if (t < EPSILON) return FAR;
+  normal = normalize((origin + direction * t - center) / (radii * radii));
+  return t;
+}
+
+// Nearest hit along the ray. data carries the hit box's texels for the
+// facade pattern: its min corner and material, its max corner and glazing,
+// and its facade layout
+float trace(vec3 origin, vec3 direction, out vec3 normal, out float material,
+            out vec4 dataMin, out vec4 dataMax, out vec4 dataFacade) {
+  float nearest = FAR;
+  material = -1.0;
+  vec3 safeDirection = mix(direction, vec3(1.0e-6), step(abs(direction), vec3(1.0e-6)));
+  vec3 inverseDirection = 1.0 / safeDirection;
+  vec3 hitNormal;
+
+  // p5's Y axis points down, so the ground faces -y
+  if (direction.y < 0.0 != origin.y < GROUND_Y) {
+    float t = (GROUND_Y - origin.y) / safeDirection.y;
+    vec3 p = origin + direction * t;
+    if (t > EPSILON && abs(p.x) < uGroundExtent && abs(p.z) < uGroundExtent) {
+      nearest = t;
+      normal = vec3(0.0, -1.0, 0.0);
+      material = GROUND;
+    }
+  }
+
+  for (int i = 0; i < MAX_OBJECTS; i++) {
+    if (i >= uBoxCount) break;
+    vec4 boxMin = sceneTexel(float(i) * 3.0);
+    vec4 boxMax = sceneTexel(float(i) * 3.0 + 1.0);
+    bool cylinder = boxMin.w >= CYLINDER;
+    float t = cylinder
+      ? intersectCylinder(origin, safeDirection, boxMin.xyz, boxMax.xyz, hitNormal)
+      : intersectBox(origin, inverseDirection, boxMin.xyz, boxMax.xyz, hitNormal);
+    if (t < nearest) {
+      nearest = t;
+      normal = hitNormal;
+      material = cylinder ? boxMin.w - CYLINDER : boxMin.w;
+      dataMin = boxMin;
+      dataMax = boxMax;
+      dataFacade = sceneTexel(float(i) * 3.0 + 2.0);
+    }
+  }
+
+  for (int i = 0; i < MAX_OBJECTS; i++) {
+    if (i >= uTreeCount) break;
+    vec4 trunk = sceneTexel(uTreeOffset + float(i) * 2.0);
+    vec4 canopy = sceneTexel(uTreeOffset + float(i) * 2.0 + 1.0);
+    vec3 base = vec3(trunk.x, 0.0, trunk.y);
+    vec3 halfTrunk = vec3(trunk.w * 0.5, 0.0, trunk.w * 0.5);
+    float t = intersectBox(origin, inverseDirection, base - halfTrunk - vec3(0.0, trunk.z, 0.0), base + halfTrunk, hitNormal);
+    if (t < nearest) {
+      nearest = t;
+      normal = hitNormal;
+      material = TRUNK;
+    }
+    t = intersectEllipsoid(origin, direction, vec3(trunk.x, canopy.x, trunk.y), canopy.yzy, hitNormal);
+    if (t < nearest) {
+      nearest = t;
+      normal = hitNormal;
+      material = canopy.w > 0.5 ? PINE : LEAVES;
+    }
+  }
+
+  return nearest;
+}
+
+bool occluded(vec3 origin, vec3 direction) {
+  vec3 normal;
+  float material;
+  vec4 dataMin;
+  vec4 dataMax;
+  vec4 dataFacade;
+  return trace(origin, direction, normal, material, dataMin, dataMax, dataFacade) < FAR;
+}
+
+// Surface properties at a hit: albedo and emission in linear light,
+// roughness, and F0 reflectance at normal incidence
+void surfaceAt(vec3 p, vec3 normal, float material, vec4 dataMin, vec4 dataMax, vec4 dataFacade,
+               out vec3 albedo, out vec3 emission, out float roughness, out vec3 F0) {
+  emission = vec3(0.0);
+  F0 = vec3(0.04);
+
+  if (material == GROUND) {
+    float puddle = smoothstep(0.58, 0.66, valueNoise(p.xz / 140.0)) * uWetness;
+    albedo = srgbToLinear(vec3(20.0, 25.0, 30.0)) * mix(1.0, 0.5, puddle);
+    roughness = mix(0.8, 0.02, puddle);
+    F0 = vec3(mix(0.04, 0.02, puddle));
+    emission = streetLightPool(p.xz);
+  } else if (material == CONCRETE) {
+    albedo = srgbToLinear(vec3(100.0));
+    roughness = 0.7;
+
+    // The window band covers the upper 80% of the walls, laid out as in
+    // buildFacadeGeometry: storeys count down from its top, bays along +x or
+    // +z, or around a cylinder from -x
+    float height = dataMax.y - dataMin.y;
+    float band = (p.y - dataMin.y) / (height * 0.8);
+    if (abs(normal.y) < 0.5 && band < 1.0 && dataFacade.x > 0.0) {
+      float face = 0.0;
+      float bays = dataFacade.y;
+      float across;
+      if (dataMin.w >= CYLINDER) {
+        vec2 center = (dataMin.xz + dataMax.xz) * 0.5;
+        across = atan(p.z - center.y, p.x - center.x) / (2.0 * PI) + 0.5;
+      } else if (abs(normal.z) > 0.5) {
+        face = normal.z > 0.0 ? 0.0 : 1.0;
+        across = (p.x - dataMin.x) / (dataMax.x - dataMin.x);
+      } else {
+        face = normal.x > 0.0 ? 2.0 : 3.0;
+        bays = dataFacade.z;
+        across = (p.z - dataMin.z) / (dataMax.z - dataMin.z);
+      }
+      vec2 cell = vec2(across * bays, band * dataFacade.x);
+      vec2 windowCell = floor(min(cell, vec2(bays, dataFacade.x) - 1.0));
+      vec2 inCell = fract(cell);
+
+      // Glazing is the share of windows lit, plus 2 for a curtain wall
+      bool curtainWall = dataMax.w >= 2.0;
+      bool mullion = inCell.x < 0.06 && (cell.x >= 1.0 || dataMin.w >= CYLINDER);
+      bool transom = inCell.y < 0.06 && cell.y >= 1.0;
+      bool frame = curtainWall && (mullion || transom);
+      bool pane = curtainWall || (abs(inCell.x - 0.5) < 0.3 && abs(inCell.y - 0.5) < 0.275);
+      if (frame) {
+        albedo = srgbToLinear(vec3(40.0, 40.0, 50.0));
+        roughness = 0.5;
+      } else if (pane) {
+        bool lit = windowHash(vec4(dataFacade.w, face, windowCell.y, windowCell.x)) < dataMax.w - (curtainWall ? 2.0 : 0.0);
+        albedo = srgbToLinear(lit ? vec3(60.0, 90.0, 120.0) : vec3(25.0, 35.0, 50.0));
+        emission = lit ? srgbToLinear(vec3(120.0, 150.0, 190.0)) * uLightsOn : vec3(0.0);
+        roughness = 0.04;
+        F0 = vec3(0.12);
+      }
+    }
+  } else if (material == ROOFTOP) {
+    albedo = srgbToLinear(vec3(60.0, 50.0, 50.0));
+    roughness = 0.6;
+    F0 = mix(vec3(0.04), albedo, 0.3);
+  } else if (material == TRUNK) {
+    albedo = srgbToLinear(vec3(90.0, 60.0, 30.0));
+    roughness = 0.9;
+  } else {
+    albedo = srgbToLinear(material == PINE ? vec3(30.0, 80.0, 40.0) : vec3(40.0, 120.0, 50.0));
+    roughness = 0.8;
+  }
+
+  // Snow settles on the ground and on everything built facing up
+  if (material <= ROOFTOP && normal.y < -0.5) {
+    albedo = mix(albedo, srgbToLinear(vec3(235.0, 240.0, 250.0)), uSnowCover);
+    roughness = mix(roughness, 0.9, uSnowCover);
+    F0 = mix(F0, vec3(0.04), uSnowCover);
+  }
+}
+
+vec3 fresnelSchlick(float cosTheta, vec3 F0) {
+  return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
+}
+
+// Sunlight plus sky and ambient light reaching a diffuse surface. The shadow
+// ray aims at a random point on the sun's disc, so averaged samples give
+// penumbrae that widen with distance from the occluder
+vec3 diffuseLighting(vec3 p, vec3 normal, vec3 albedo) {
+  vec3 toSun = normalize(-uLightDirection);
+  vec3 tangent = normalize(cross(abs(toSun.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0), toSun));
+  vec3 bitangent = cross(toSun, tangent);
+  float radius = sqrt(random()) * uLightSpread;
+  float angle = random() * 2.0 * PI;
+  vec3 L = normalize(toSun + (tangent * cos(angle) + bitangent * sin(angle)) * radius);
+
+  vec3 light = uAmbientColor;
+  float NdotL = dot(normal, L);
+  if (NdotL > 0.0 && !occluded(p + normal * EPSILON, L)) {
+    light += uLightColor * NdotL;
+  }
+  if (uFlashColor.r > 0.0) {
+    vec3 toFlash = normalize(uFlashPosition - p);
+    float flashNdotL = dot(normal, toFlash);
+    if (flashNdotL > 0.0 && !occluded(p + normal * EPSILON, toFlash)) {
+      light += uFlashColor * flashNdotL;
+    }
+  }
+  if (uUseEnvironment) {
+    light += max(irradianceSH(normal), 0.0) * uEnvironmentIntensity;
+  }
+  return light * albedo;
+}
+
+vec3 traceSample(vec3 origin, vec3 direction) {
+  vec3 radiance = vec3(0.0);
+  vec3 throughput = vec3(1.0);
+  float primaryDistance = FAR;
+
+  for (int bounce = 0; bounce < MAX_BOUNCES; bounce++) {
+    vec3 normal;
+    float material;
+    vec4 dataMin;
+    vec4 dataMax;
+    vec4 dataFacade;
+    float t = trace(origin, direction, normal, material, dataMin, dataMax, dataFacade);
+
+    if (t >= FAR) {
+      radiance += throughput * sky(direction, 0.0);
+      break;
+    }
+    if (bounce == 0) primaryDistance = t;
+
+    vec3 p = origin + direction * t;
+    vec3 albedo;
+    vec3 emission;
+    float roughness;
+    vec3 F0;
+    surfaceAt(p, normal, material, dataMin, dataMax, dataFacade, albedo, emission, roughness, F0);
+
+    vec3 F = fresnelSchlick(max(dot(normal, -direction), 0.0), F0);
+    radiance += throughput * (emission + (1.0 - F) * diffuseLighting(p, normal, albedo));
+    throughput *= F;
+
+    // Glossy reflections jitter around the mirror direction; very rough ones
+    // are left to the prefiltered environment rather than traced
+    vec3 reflected = reflect(direction, normal);
+    if (roughness > 0.5 || bounce == MAX_BOUNCES - 1) {
+      radiance += throughput * sky(reflected, roughness);
+      break;
+    }
+    direction = normalize(reflected + randomUnitVector() * roughness * roughness);
+    if (dot(direction, normal) < 0.0) direction = reflected;
+    origin = p + normal * EPSILON;
+  }
+
+  if (primaryDistance < FAR) {
+    float fog = 1.0 - exp(-FOG_DENSITY * uFogDensity * primaryDistance);
+    radiance = mix(radiance, srgbToLinear(uFogColor), fog);
+  }
+  return radiance;
+}
+
+void main() {
+  vec3 sum = vec3(0.0);
+  for (int s = 0; s < MAX_SAMPLES; s++) {
+    if (s >= uSamples) break;
+
+    // Jitter within the pixel so the average is antialiased
+    vec2 pixel = vTexCoord + (vec2(random(), random()) - 0.5) / uResolution;
+    vec2 ndc = pixel * 2.0 - 1.0;
+    vec3 direction = normalize(
+      uCameraRight * (ndc.x * uTanHalfFov * uAspect)
+      + uCameraUp * (ndc.y * uTanHalfFov)
+      - uCameraBack
+    );
+    sum += traceSample(uCameraPosition, direction);
+  }
+
+  vec3 current = sum / float(uSamples);
+  vec3 previous = texture2D(uPrevious, vTexCoord).rgb;
+  gl_FragColor = vec4(mix(previous, current, 1.0 / (uFrameIndex + 1.0)), 1.0);
+}
@@ -0,0 +1,8 @@
+// Shadow map - fragment stage
+// Colour output is unused; the depth test writes the shadow map
+
+precision mediump float;
+
+void main() {
+  gl_FragColor = vec4(1.0);
+}
@@ -0,0 +1,14 @@
+// Shadow map - vertex stage
+// Projects casters through the directional light's orthographic camera.
+// Only the depth buffer of this pass is kept
+
+precision highp float;
+
+attribute vec3 aPosition;
+
+uniform mat4 uModelMatrix;
+uniform mat4 uLightViewProjection;
+
+void main() {
+  gl_Position = uLightViewProjection * uModelMatrix * vec4(aPosition, 1.0);
+}
@@ -0,0 +1,44 @@
+// Sky - fragment stage
+// Shades each view direction by its elevation: the horizon colour fading up
+// to the zenith colour, darker below the horizon. The sun adds a disc and a
+// glow around it, the moon a disc, and stars come out at night. Thick fog
+// hazes it all over. Premultiplied for p5's blending
+
+precision highp float;
+
+varying vec3 vDirection;
+
+uniform vec3 uZenithColor;
+uniform vec3 uHorizonColor;
+uniform vec3 uSunDirection;   // Toward the sun
+uniform vec3 uSunColor;       // Black once the sun has set
+uniform vec3 uMoonDirection;  // Toward the moon
+uniform float uNight;         // 0 by day or under cloud, 1 on a clear night
+uniform vec3 uFogColor;
+uniform float uHaze;          // How far the fog hides the sky (0-1)
+uniform float uOpacity;
+
+const vec3 MOON_COLOR = vec3(0.85, 0.88, 0.95);
+const float STAR_CELLS = 300.0;   // Cells per unit of direction, at most one star each
+const float STAR_SHARE = 0.0015;  // Share of the cells holding a star
+
+void main() {
+  vec3 direction = normalize(vDirection);
+  float elevation = -direction.y; // p5's Y axis points down
+
+  vec3 color = mix(uHorizonColor, uZenithColor, sqrt(clamp(elevation, 0.0, 1.0)));
+  color *= mix(1.0, 0.4, clamp(-elevation * 4.0, 0.0, 1.0));
+
+  float sun = dot(direction, uSunDirection);
+  color += uSunColor * (smoothstep(0.9995, 0.9998, sun) + pow(max(sun, 0.0), 64.0) * 0.35);
+
+  float moon = dot(direction, uMoonDirection);
+  color += MOON_COLOR * smoothstep(0.9993, 0.9996, moon) * uNight;
+
+  vec3 cell = floor(direction * STAR_CELLS);
+  float star = step(1.0 - STAR_SHARE, fract(sin(dot(cell, vec3(12.9898, 78.233, 37.719))) * 43758.5453));
+  color += star * uNight * smoothstep(0.0, 0.2, elevation);
+
+  color = mix(color, uFogColor, uHaze);
+  gl_FragColor = vec4(color * uOpacity, uOpacity);
+}
@@ -0,0 +1,19 @@
+// Sky - vertex stage
+// The sky is a sphere drawn around the camera. Its model matrix only moves
+// it, so each vertex's position on the unit sphere is also the direction
+// from the camera that the fragment stage shades
+
+precision highp float;
+
+attribute vec3 aPosition;
+
+uniform mat4 uModelMatrix;
+uniform mat4 uViewMatrix;
+uniform mat4 uProjectionMatrix;
+
+varying vec3 vDirection;
+
+void main() {
+  vDirection = aPosition;
+  gl_Position = uProjectionMatrix * uViewMatrix * uModelMatrix * vec4(aPosition, 1.0);
+}
@@ -0,0 +1,16 @@
+// Ambient occlusion composite
+// Darkens the scene by the blurred occlusion term before fog and bloom run,
+// so occlusion fades into the fog like any other surface detail
+
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D uScene;
+uniform sampler2D uOcclusion;
+
+void main() {
+  vec4 color = texture2D(uScene, vTexCoord);
+  float ambient = texture2D(uOcclusion, vTexCoord).r;
+  gl_FragColor = vec4(color.rgb * ambient, color.a);
+}
@@ -0,0 +1,105 @@
+// Screen-space ambient occlusion
+// Rebuilds view-space positions from the scene depth buffer and normals from
+// neighbouring depths, then tests a hemisphere of points around each pixel:
+// the more of them sit behind nearby geometry, the more enclosed the surface
+// is and the less ambient light should reach it. A per-pixel random rotation
+// trades banding for noise, which the blur passes afterwards smooth out
+
+precision highp float;
+precision highp int;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D uDepth;
+uniform vec2 uTexelSize;
+
+uniform float uNear;
+uniform float uFar;
+uniform float uTanHalfFov;
+uniform float uAspect;
+
+uniform float uRadius;
+uniform float uBias;
+uniform float uIntensity;
+
+const int SAMPLE_COUNT = 16;
+const float GOLDEN_ANGLE = 2.39996323;
+const float TWO_PI = 6.28318531;
+
+float linearizeDepth(float depth) {
+  float z = depth * 2.0 - 1.0;
+  return 2.0 * uNear * uFar / (uFar + uNear - z * (uFar - uNear));
+}
+
+vec3 viewPosition(vec2 uv) {
+  float viewDepth = linearizeDepth(texture2D(uDepth, uv).r);
+  vec2 ndc = uv * 2.0 - 1.0;
+  return vec3(ndc.x * uTanHalfFov * uAspect * viewDepth, ndc.y * uTanHalfFov * viewDepth, -viewDepth);
+}
+
+vec2 projectToScreen(vec3 position) {
+  vec2 ndc = position.xy / (-position.z * vec2(uTanHalfFov * uAspect, uTanHalfFov));
+  return ndc * 0.5 + 0.5;
+}
+
+// Uses whichever neighbour is closer in depth on each axis so normals don't
+// bend across silhouette edges
+vec3 viewNormal(vec2 uv, vec3 position) {
+  vec3 right = viewPosition(uv + vec2(uTexelSize.x, 0.0)) - position;
+  vec3 left = position - viewPosition(uv - vec2(uTexelSize.x, 0.0));
+  vec3 above = viewPosition(uv + vec2(0.0, uTexelSize.y)) - position;
+  vec3 below = position - viewPosition(uv - vec2(0.0, uTexelSize.y));
+
+  vec3 dx = abs(right.z) < abs(left.z) ? right : left;
+  vec3 dy = abs(above.z) < abs(below.z) ? above : below;
+  vec3 normal = normalize(cross(dx, dy));
+
+  // Face the camera whichever way the cross product came out
+  return dot(normal, position) > 0.0 ? -normal : normal;
+}
+
+float hash(vec2 co) {
+  return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+void main() {
+  float depth = texture2D(uDepth, vTexCoord).r;
+
+  // Sky is never occluded
+  if (depth >= 0.99999) {
+    gl_FragColor = vec4(1.0);
+    return;
+  }
+
+  vec3 position = viewPosition(vTexCoord);
+  vec3 normal = viewNormal(vTexCoord, position);
+
+  float angle = hash(gl_FragCoord.xy) * TWO_PI;
+  vec3 randomDirection = vec3(cos(angle), sin(angle), 0.0);
+  vec3 tangent = randomDirection - normal * dot(randomDirection, normal);
+  tangent = length(tangent) < 0.001 ? vec3(0.0, 0.0, 1.0) : normalize(tangent);
+  vec3 bitangent = cross(normal, tangent);
+
+  float occlusion = 0.0;
+  for (int i = 0; i < SAMPLE_COUNT; i++) {
+    // Cosine-weighted spiral over the hemisphere, denser close to the surface
+    float t = (float(i) + 0.5) / float(SAMPLE_COUNT);
+    float spin = float(i) * GOLDEN_ANGLE;
+    vec3 direction = vec3(cos(spin) * sqrt(t), sin(spin) * sqrt(t), sqrt(1.0 - t));
+    float reach = fract(float(i) * 0.618034);
+    reach = mix(0.1, 1.0, reach * reach) * uRadius;
+
+    vec3 samplePosition = position
+      + (tangent * direction.x + bitangent * direction.y + normal * direction.z) * reach;
+    vec2 sampleUV = projectToScreen(samplePosition);
+    if (sampleUV.x < 0.0 || sampleUV.x > 1.0 || sampleUV.y < 0.0 || sampleUV.y > 1.0) continue;
+
+    float sceneDepth = linearizeDepth(texture2D(uDepth, sampleUV).r);
+    // Ignore occluders far in front of the sample, e.g. a building across the street
+    float rangeCheck = smoothstep(0.0, 1.0, uRadius / abs(-position.z - sceneDepth));
+    occlusion += (sceneDepth <= -samplePosition.z - uBias ? 1.0 : 0.0) * rangeCheck;
+  }
+
+  float ambient = 1.0 - occlusion / float(SAMPLE_COUNT) * uIntensity;
+  gl_FragColor = vec4(vec3(clamp(ambient, 0.0, 1.0)), 1.0);
+}
@@ -0,0 +1,21 @@
+// Vector display
+// CRT scanlines and beam flicker over the phosphor image. Applied after the
+// persistence pass so they never accumulate from one frame to the next
+
+precision highp float;
+
+#define PI 3.14159265
+
+varying vec2 vTexCoord;
+
+uniform sampler2D uPhosphor;
+uniform float uScanlineIntensity;
+uniform float uScanlineSpacing;
+uniform float uFlicker;
+
+void main() {
+  vec4 color = texture2D(uPhosphor, vTexCoord);
+  float scanline = 0.5 + 0.5 * cos(gl_FragCoord.y * 2.0 * PI / uScanlineSpacing);
+  color.rgb *= (1.0 - uScanlineIntensity * scanline) * uFlicker;
+  gl_FragColor = color;
+}
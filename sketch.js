@@ -11,86 +11,295 @@
 // Arrays to store the main scene elements
 let buildings = [];     // Array of building objects with properties like position, size, etc.
 let raindrops = [];    // Array of raindrop objects for weather effects
+let rainGeometry = null; // Every raindrop as a quad in one retained buffer, animated by rain.vert
+let snowGeometry = null; // Snow lying on the ground and on every roof, shown as snowCover builds up
+let roadGeometry = null; // Retained road surfaces and lane markings, built with the roads
+let streetLightGeometry = null; // Retained lamp posts, lamp heads and pools of light
 let trees = [];        // Array of tree objects with properties for position, size, and type
 let roads = [];        // Array of road segments defining the city layout
+let streetLights = []; // Street lamp positions beside the road intersections
+let citySeed = 0;      // Seeds random() and noise() so the same seed always builds the same city
+let citySettings = {   // Layout the city is generated from (see configureCity)
+  columns: 5,          // Blocks along the x axis
+  rows: 5,             // Blocks along the z axis
+  spacing: 200,        // Distance between block centres, roads run halfway between
+  density: 0.7,        // Chance a block gets a building
+  heightDistribution: 0, // Index into HEIGHT_DISTRIBUTIONS
+  minHeight: 100,      // Shortest building the distribution gives
+  maxHeight: 400,      // Tallest building the distribution gives
+  buildingType: null,  // Key into BUILDING_TYPES to use for every building, or null for a mix
+  zoning: false        // Zone blocks into downtown towers, parks and ordinary city blocks
+};
+let cityBlocks = [];   // Grid blocks with their centre and zone, shared by buildings, roads and trees
 
 // === Rendering and Animation State ===
 let renderPhase = 0, phaseTimer = 0, buildingDrawProgress = 0;
 let transitionProgress = 0, isSceneReady = false;
 let treeDrawProgress = 0;      // Progress of tree wireframe animation (0-1)
 
+// === Animation Clock ===
+let clockTime = 0;           // Seconds of animation time elapsed; stands still while paused
+let clockDelta = 0;          // Seconds of animation time since the last frame
+let clockPaused = false;     // Freeze every animation while the scene keeps rendering
+let timeScale = 1;           // Animation seconds per real second
+
 // === UI State ===
 let showIntro = true;         // Flag to show/hide intro screen
 let introAlpha = 255;         // Opacity of intro screen (0-255)
 let startButton;             // Reference to the start button element
-let autoAdvance = true;      // Flag for automatic phase advancement
+let timelinePlaying = true;  // Whether the timeline advances through the phases by itself
+let timelinePosition = 0;    // Seconds from the start of the first phase
+let playbackSpeed = 1;       // Timeline seconds advanced per second of animation time
+let timelineLoop = true;     // Start over from the first phase after the last
+let durationEditPhase = 0;   // Phase whose duration the timeline controls edit
+let seedInput = null;        // City seed text field, shows the seed currently in use
+let pipelineBuildingSlider = null; // Inspected Building slider, resized when the city is regenerated
+let cameraDistanceSlider = null; // Camera Distance slider, moved along by wheel zoom
+let rayTraceLimitNote = null; // Ray tracing controls note saying what the object limit leaves out
+let timeOfDaySlider = null;  // Time of Day slider, moved along by the accelerated clock
 let userCameraControl = false; // Flag for user camera control mode
+let lightingModel = 1;       // Phase 4 lighting model (index into LIGHTING_MODELS)
+let shadingView = 0;         // Phase 4 lighting term shown (index into SHADING_VIEWS)
 
 // === Camera and View Settings ===
 let cameraDistance = 900;    // Distance of camera from scene center
 let cameraHeight = -500;     // Height of camera above ground
 let cameraAngle = 0;         // Rotation angle of camera around scene
+let cameraEye = [0, -500, 900];     // Camera position set by updateCamera
+let cameraCenter = [0, -100, 0];    // Camera look-at point set by updateCamera
 
 // === Environmental Effects ===
-let rainIntensity = 1.0;     // Intensity of rain effect (0-1)
-let timeOfDay = 1.0;         // Time of day affecting lighting (0-1)
+let weatherState = 2;        // Selected weather (index into WEATHER_PRESETS)
+let weather = null;          // Rain, snow, fog, wind, storm and cloud levels easing toward the selected preset
+let precipitationScale = 1.0; // Multiplier on the rain and snow of every weather preset
+let windSlant = [0, 0];      // Sideways drift of falling rain per unit of fall, along x and z
+let snowCover = 0;           // How much of the roofs and ground is under snow (0-1)
+let groundWetness = 1;       // How much of the puddles the rain has left (0-1)
+let timeOfDay = 21;          // Hour on the 24-hour clock, placing the sun and moon
+let lightingIntensity = 1.0; // Brightness multiplier for every light in the scene
+let acceleratedClock = false; // Run timeOfDay forward with the animation clock
+let dayCycle = null;         // Sun, moon, light and sky for timeOfDay, set by updateDayCycle
 let globalRotation = 0;      // Global scene rotation angle
+let rainFall = 0;            // Seconds of fall at unit speed, scaled by each drop's speed in rain.vert
+let snowFall = 0;            // As rainFall, for the snowflakes
 let lightningTimer = 0;      // Timer for lightning effect
 let isLightning = false;     // Flag indicating active lightning
+let lightningBolt = null;    // Segments of the latest bolt, the point it struck and where its flash lights the city from
+let thunderQueue = [];       // Thunder still on its way: the clockTime it arrives and how far it has come
+let thunderSound = null;     // Tone.js noise synth and filter the thunder plays through
+let thunderEnabled = true;   // Play thunder after each lightning strike
 let bloomIntensity = 0;      // Intensity of bloom post-processing effect
 let fogDensity = 0;         // Density of atmospheric fog effect
+let fogColor = [30, 40, 50]; // Fog colour, eased toward the current phase's fogColor
+let fogMode = 2;             // Fog equation (index into FOG_MODES)
+let hiddenLineRemoval = true; // Hide Phase 1 vector edges behind nearer faces
+let phosphorPersistence = 0.85; // Fraction of the phosphor glow kept per 60 Hz frame in Phase 1
+let rayTraceSamples = 2;     // Samples per pixel traced each frame in Phase 6
+let pipelineExplainer = false; // Show one building's journey through the rasterisation pipeline
+let pipelineBuilding = 0;    // Index into buildings[] of the building being explained
+let pipelineStage = 0;       // Pipeline stage shown (index into PIPELINE_STAGES)
+let pipelineStageTimer = 0;  // Seconds spent on the current stage, drives its animation
+let pipelineAutoAdvance = true; // Step to the next stage once the current one has played
+let comparisonMode = 0;      // Phase comparison layout (index into COMPARISON_MODES), 0 is off
+let comparisonPhase = 0;     // Phase shown against the current one while comparing
+let comparisonSplit = 0.5;   // Wipe position as a fraction of the canvas width
+let comparisonLens = [0.5, 0.5]; // Lens centre as a fraction of the canvas size
+let lensMagnification = 2;   // Zoom of the second phase inside the comparison lens
+let comparisonDrag = null;   // 'wipe' or 'lens' while its handle is being dragged
 
 // === Textures and Materials ===
 let hdrTexture = null;       // HDR environment map texture
+let hdrRadiance = null;      // Linear radiance decoded from a Radiance .hdr environment map
+let environmentLevels = [];  // Environment prefiltered for increasing roughness, sharpest first
+let irradianceSH = null;     // Diffuse irradiance as 9 RGB spherical-harmonic coefficients
 let leafTexture = null;      // Texture for tree leaves
+let materialShader = null;   // Custom shader currently receiving applyMaterial uniforms
 let mainFont;               // Main font for UI elements
 
 // Material texture sets for different surfaces
-let concreteTextures = { baseColor: null, normal: null, roughness: null, ao: null };
-let groundTextures = { baseColor: null, normal: null, roughness: null, ao: null };
-let roofTextures = { baseColor: null, normal: null, roughness: null, ao: null };
+let concreteTextures = { baseColor: null, normal: null, roughness: null, ao: null, height: null, metallic: null };
+let groundTextures = { baseColor: null, normal: null, roughness: null, ao: null, height: null, metallic: null };
+let roofTextures = { baseColor: null, normal: null, roughness: null, ao: null, height: null, metallic: null };
+let glassTextures = { baseColor: null, normal: null, roughness: null, ao: null, metallic: null, opacity: null };
+let fullResolutionTextures = false; // Show the 4096² originals of the large texture maps
+let textureResolutions = {}; // Both sizes of each large map once loaded, by 'set/slot' (see setFullResolutionTextures)
+
+// === Shaders ===
+let pbrShader = null;        // Cook-Torrance PBR shader used in Phase 5
+let lightingModelShader = null; // Gouraud/Phong/Blinn-Phong shader used in Phase 4
+let shadowDepthShader = null; // Depth-only shader for the shadow map pass
+let rainShader = null;       // Moves and draws the raindrops on the GPU
+let skyShader = null;        // Sky gradient with the sun, moon and stars
+let postShaders = {};        // Full screen post-processing passes keyed by name
+
+// === Post Processing ===
+let sceneBuffer = null;      // Framebuffer the 3D scene is rendered into
+let fogBuffer = null;        // Framebuffer holding the scene after the fog pass
+let bloomBuffers = [];       // Mip chain of { blurred, scratch } framebuffer pairs for bloom
+let ssaoBuffers = null;      // Half resolution { occlusion, scratch } pair for SSAO
+let occludedBuffer = null;   // Scene colour with ambient occlusion applied
+let phosphorBuffers = [];    // Ping-pong pair holding the decaying vector display phosphor
+let phosphorIndex = 0;       // Which phosphor buffer holds the latest frame
+let phosphorFrame = -1;      // Last frame the phosphor was updated, to drop stale trails
+let vectorDisplayBuffer = null; // Phosphor image with scanlines and flicker applied
+let comparisonBuffers = [];  // Finished images of the current and compared phase
+let rayTraceScene = null;    // City boxes and trees packed into a float texture for the ray tracer
+let rayTraceBuffers = [];    // Ping-pong pair averaging the ray traced radiance
+let rayTraceIndex = 0;       // Which ray trace buffer holds the latest average
+let rayTraceFrames = 0;      // Frames averaged since the view last changed
+let rayTraceView = '';       // Camera and settings the averaged frames were traced with
+let rayTraceFrame = -1;      // Last frame the ray tracer ran, to restart after a break
+let shadowMap = null;        // Depth framebuffer rendered from the directional light
+let lightViewProjection = null; // Light camera matrix used to render and sample the shadow map
 
 // === Constants ===
 const TREE_COUNT = 50;                  // Number of trees in the scene
-const PHASE_DURATION = 800;             // Duration of each rendering phase in frames
-const TOTAL_PHASES = 5;                 // Total number of rendering phases
-const RAINDROP_COUNT = 1200;            // Number of raindrops in the weather effect
-const TRANSITION_DURATION = 180;         // Duration of phase transitions in frames
-const BUILDING_DRAW_SPEED = 0.002;      // Speed of building wireframe animation
-const LIGHTNING_CHANCE = 0.002;         // Probability of lightning per frame
-const LIGHTNING_DURATION = 8;           // Duration of lightning effect in frames
+const PHASE_DURATION = 13;              // Duration of each rendering phase in seconds
+const RAINDROP_COUNT = 1200;            // Number of raindrops in the weather effect at full intensity
+const MAX_PRECIPITATION = 2;            // Highest precipitation scale; RAINDROP_COUNT times this many drops are built
+const RAIN_FALL_PERIOD = 10000;         // rainFall wraps here to keep the shader precise; the rain reshuffles once
+const MAX_CITY_SEED = 1000000;          // Seeds picked at random are below this
+const HEIGHT_DISTRIBUTIONS = ['Uniform', 'Downtown Falloff', 'Perlin Skyline']; // How building heights are spread across the city
+const MIN_CITY_GRID = 2;                // Fewest blocks along either side of the city
+const MAX_CITY_GRID = 10;               // Most blocks along either side, keeping within RAY_TRACE_MAX_OBJECTS
+const PARK_CHANCE = 0.15;               // Chance a block outside downtown is zoned as a park
+const DOWNTOWN_RADIUS = 0.4;            // Blocks this close to the centre, as a fraction of the half-diagonal, are downtown
+const DOWNTOWN_HEIGHT_SCALE = 1.5;      // Downtown towers are this much taller than the distribution gives
+const PARK_TREE_COUNT = 8;              // Extra trees planted in each park block
+const ANTENNA_CHANCE = 0.4;             // Chance a tall building carries an antenna
+const SKYLINE_NOISE_SCALE = 0.004;      // Noise frequency of the Perlin skyline, per scene unit
+const FLOOR_HEIGHT = 12;                // Storey height facades are divided into, in scene units
+const BAY_WIDTH = 10;                   // Width of one window bay along a facade, in scene units
+const CURTAIN_WALL_CHANCE = 0.25;       // Chance a block or L-shaped building is glazed as a curtain wall
+const TOWER_CURTAIN_WALL_CHANCE = 0.8;  // Chance a tower is glazed as a curtain wall rather than punched windows
+const BUSY_BUILDING_CHANCE = 0.3;       // Chance a building is busy, with most of its windows lit
+const TRANSITION_DURATION = 3;          // Duration of phase transitions in seconds
+const MIN_PHASE_DURATION = 4;           // Shortest phase duration the timeline controls allow
+const MAX_PHASE_DURATION = 40;          // Longest phase duration the timeline controls allow
+const BUILDING_DRAW_RATE = 0.12;        // Rate of the building wireframe draw-in, per second
+const LIGHTNING_RATE = 0.12;            // Average lightning strikes per second
+const LIGHTNING_DURATION = 0.13;        // Duration of lightning effect in seconds
+const LIGHTNING_CLOUD_HEIGHT = 1400;    // Height of the storm clouds bolts strike down from
+const LIGHTNING_DETAIL = 6;             // Midpoint displacement passes, each doubling a bolt's segments
+const LIGHTNING_BRANCH_CHANCE = 0.3;    // Chance a new midpoint on the main channel forks off a branch
+const SOUND_SPEED = 340;                // Scene units thunder travels per second, a unit being about a metre
+const THUNDER_RANGE = 3000;             // Thunder from this far away or further is at its faintest
+const WEATHER_EASING_RATE = 0.3;        // Rate the weather eases toward the selected preset, per second
+const MAX_WIND_SLANT = 0.6;             // Sideways drift of rain per unit of fall in the strongest wind
+const SNOW_FALL_SPEED = 0.1;            // Snowflakes fall this fraction of the speed of rain
+const SNOW_SETTLE_RATE = 0.05;          // Share of the roofs and ground covered per second of full snowfall
+const SNOW_MELT_RATE = 0.02;            // Share of the snow cover melting per second once the snow stops
+const RAIN_WETTING_RATE = 0.2;          // Share of the puddles filled per second of full rain
+const GROUND_DRYING_RATE = 0.02;        // Share of the puddles drying up per second without rain
+const MAX_FRAME_DELTA = 0.1;            // Longest step one frame may advance the clock, in seconds
+const REFERENCE_FPS = 60;               // Frame rate per-frame settings like phosphor persistence refer to
+const EFFECT_EASING_RATE = 1.8;         // Rate fog and bloom ease toward the phase's targets, per second
+const CAMERA_ROTATION_SPEED = 0.06;     // Automatic camera orbit in radians per second
 const ROAD_WIDTH = 40;                  // Width of road segments in scene units
+const STREET_LIGHT_OFFSET = ROAD_WIDTH / 2 + 4; // Street lamps stand this far from each intersection's centre along x and z
+const STREET_LIGHT_HEIGHT = 45;         // Height of the street lamps
+const STREET_LIGHT_REACH = 40;          // Radius of the pool of light under a lamp
+const STREET_LIGHT_COLOR = [255, 190, 120]; // Sodium glow of the street lamps
+const STREET_POINT_LIGHTS = 3;          // Street lamps nearest the view that cast point lights in the rasterised phases
+const DAY_LENGTH = 120;                 // Seconds of animation clock per 24 hours with the accelerated clock
+const SUN_TILT = 0.5;                   // Lean of the sun's path from overhead toward +z, in radians
+const SUBSURFACE_COLOR = [90, 70, 60];  // Tint of light scattered beneath material surfaces
+const LIGHTING_MODELS = ['Gouraud', 'Phong', 'Blinn-Phong'];              // Phase 4 shading models
+const SHADING_VIEWS = ['Combined', 'Ambient', 'Diffuse', 'Specular'];     // Phase 4 debug views
+const BLOOM_LEVELS = 4;                 // Number of downsampled bloom mip levels
+const BLOOM_THRESHOLD = 0.65;           // Brightness above which pixels start to bloom
+const BLOOM_KNEE = 0.2;                 // Softness of the bloom threshold
+const FOG_MODES = ['Linear', 'Exponential', 'Exponential²', 'Height'];   // Selectable fog equations
+const CAMERA_FOV = Math.PI / 3;         // Vertical field of view of the scene camera
+const CAMERA_NEAR = 10;                 // Near clipping plane distance
+const CAMERA_FAR = 8000;                // Far clipping plane distance
+const SSAO_RADIUS = 30;                 // World-space reach of the occlusion samples
+const SSAO_BIAS = 1.5;                  // Depth tolerance that avoids self-occlusion
+const SSAO_INTENSITY = 1.4;             // Strength of the darkening
+const SHADOW_MAP_SIZE = 2048;           // Resolution of the square shadow map
+const SHADOW_EXTENT = 900;              // Smallest half-width of the area covered by the shadow map
+const SHADOW_DISTANCE = 2000;           // Distance of the shadow camera from the city centre
+const ENVIRONMENT_MAP = 'assets/textures/bg.jpg';   // Equirectangular sky, .jpg/.png or Radiance .hdr
+const ENVIRONMENT_WIDTH = 512;          // Width of the sharpest prefiltered environment level
+const ENVIRONMENT_LEVELS = 5;           // Prefiltered roughness levels, from mirror to fully rough
+const TEXTURE_MAX_SIZE = 1024;          // Default texture maps are downscaled to at most this width
+const FULL_RESOLUTION_TEXTURE_SETS = ['concrete', 'ground', 'roof']; // Sets shipped as 1024² copies with 4096² originals in a 4k folder
+const SCANLINE_SPACING = 3;             // Height of one CRT scanline in pixels
+const RAY_TRACE_SCALE = 0.5;            // Ray traced resolution relative to the canvas
+const RAY_TRACE_MAX_SAMPLES = 8;        // Largest samples-per-pixel setting (MAX_SAMPLES in raytrace.frag)
+const RAY_TRACE_MAX_FRAMES = 256;       // Frames averaged before a still view stops tracing
+const RAY_TRACE_MAX_OBJECTS = 512;      // Boxes, and separately trees, the scene texture holds (MAX_OBJECTS in raytrace.frag)
+const RAY_TRACE_CYLINDER = 8;           // Added to a box's material id to trace it as an upright cylinder (CYLINDER in raytrace.frag)
+const BOX_EDGES = [[0, 1], [1, 2], [2, 3], [3, 0], [4, 5], [5, 6], [6, 7], [7, 4], [0, 4], [1, 5], [2, 6], [3, 7]]; // Corner pairs forming a box's 12 edges
+const BOX_TRIANGLES = [[0, 1, 2], [0, 2, 3], [4, 6, 5], [4, 7, 6], [0, 3, 7], [0, 7, 4], [1, 5, 6], [1, 6, 2], [0, 4, 5], [0, 5, 1], [3, 2, 6], [3, 6, 7]]; // Corner triples, two per face, forming a box's 12 triangles
+const PIPELINE_STAGE_DURATION = 5;      // Seconds each explainer stage plays before advancing
+const PIPELINE_FRAGMENT_SIZE = 14;      // Screen pixels per explainer fragment, so single fragments are visible
+const PIPELINE_INSET_SIZE = 220;        // Size of the explainer's normalised device coordinates inset in pixels
+const PIPELINE_ROUND_SEGMENTS = 8;      // Sides the explainer gives cylinders and cones, few enough to follow
+const PIPELINE_FACE_COLORS = [[255, 90, 90], [90, 200, 255], [255, 200, 60], [120, 230, 120], [200, 120, 255], [255, 140, 200]]; // Explainer face colours, cycled over the building's faces
+const COMPARISON_MODES = ['Off', 'Wipe', 'Side by Side', 'Lens'];      // Phase comparison layouts (uMode in compare.frag)
+const LENS_RADIUS = 160;                // Radius of the comparison lens in pixels
+const WIPE_HANDLE_WIDTH = 20;           // Distance from the wipe line that still grabs it, in pixels
 
 /**
- * Information about each rendering phase, including labels and descriptions
- * Used for UI display and documentation of the visualization progression
- */
-const PHASE_INFO = {
-  // Display labels for each phase
-  labels: [
-    "Phase 1: Vector Graphics",
-    "Phase 2: Flat Shading with Texture",
-    "Phase 3: Environmental Effects & Skybox",
-    "Phase 4: Advanced Lighting & Materials",
-    "Phase 5: Physically Based Rendering"
-  ],
-  // Detailed descriptions explaining each phase
-  descriptions: [
-    "Simple wireframe rendering uses only lines to define the basic structure of 3D models. Early computer graphics (1960s-70s) used this technique, drawing only the edges between vertices to represent objects in 3D space.",
-    "Flat shading assigns a single color to each polygon face. Developed in the 1970s-80s, this technique gives objects solid appearance with minimal lighting. Textures add visual detail without changing geometry.",
-    "Environmental effects add realism to virtual environments. This technique emerged in the 1990s, introducing skybox/environment mapping to create a sense of infinite space, along with weather conditions like rain and reflective surfaces for enhanced atmosphere.",
-    "Advanced lighting models (Phong, Blinn-Phong) simulate how light interacts with different materials. This mid-1990s technique calculates ambient, diffuse and specular components separately for more realistic surface appearance.",
-    "Physically Based Rendering (PBR) emerged in the 2010s as the gold standard for realistic graphics. It simulates physical properties of materials and light using real-world measurements for albedo, metalness, roughness and subsurface scattering."
-  ]
+ * Texture maps shipped in assets/textures, by material set and slot
+ * Slots missing here or failing to load are generated procedurally
+ */
+const TEXTURE_SETS = {
+  concrete: { ao: 'ao.jpg', height: 'height.jpg', metallic: 'metallic.jpg' },
+  ground: { height: 'height.jpg' },
+  roof: { ao: 'ao.jpg', height: 'displacement.jpg', metallic: 'metal.jpg' },
+  glass: {
+    baseColor: 'basecolor.jpg',
+    normal: 'normal.jpg',
+    roughness: 'roughness.jpg',
+    metallic: 'metallic.jpg',
+    opacity: 'opacity.jpg',
+    ao: 'ao.jpg'
+  }
 };
+const LIGHT_RAIN = { color: [150, 200, 255, 150], thickness: 1, length: 1, speed: 1, density: 0.7 };  // Rain for phases whose style sets none
+
+/**
+ * Registered rendering phases, in the order they are shown
+ * Built-in eras are registered below; later scripts can call registerPhase()
+ * to append more without touching the draw functions
+ */
+const PHASES = [];
 
 /**
- * Rendering styles and parameters for each phase
+ * Rendering styles and parameters for each registered phase, indexed like PHASES
  * Each phase is progressive of rendering techniques
  */
-const PHASE_STYLES = {
-  // Phase 1: Vector Graphics - Basic wireframe rendering
-  0: {
+const PHASE_STYLES = [];
+
+/**
+ * Adds a rendering phase to the end of the sequence
+ * A descriptor holds everything one era needs:
+ *   label, description - Text for the phase info overlay
+ *   style              - Rendering parameters read by the lighting, material and post passes
+ *   render             - Per-object hooks: building(b) and tree(t) draw an object at its
+ *                        origin, ground() and puddles(opacity) set up their surfaces
+ *   materialShader     - Optional: returns the custom shader to bind for the scene
+ *   duration           - Optional: seconds the phase plays on the timeline (PHASE_DURATION)
+ *   enter, exit        - Optional: called when the phase starts and ends
+ *   seek(phaseTimer)   - Optional: sets the phase's own animation state for a time into
+ *                        the phase; must depend on phaseTimer alone so seeking is repeatable
+ *   takeoverAt         - Optional: exit progress of the previous phase at which this
+ *                        phase's render hooks take over its objects
+ * @function registerPhase
+ * @param {Object} descriptor - Phase descriptor
+ */
+function registerPhase(descriptor) {
+  PHASES.push({ duration: PHASE_DURATION, ...descriptor });
+  PHASE_STYLES.push(descriptor.style);
+}
+
+// Phase 1: Vector Graphics - Basic wireframe rendering
+registerPhase({
+  label: "Phase 1: Vector Graphics",
+  description: "Simple wireframe rendering uses only lines to define the basic structure of 3D models. Early computer graphics (1960s-70s) used this technique, drawing only the edges between vertices to represent objects in 3D space.",
+  style: {
     strokeColor: [0, 255, 100],        // Bright green wireframe color
     strokeWeight: 1.5,                 // Line thickness for wireframes
     fillColor: null,                   // No fill color in wireframe mode
@@ -98,18 +307,41 @@ const PHASE_STYLES = {
     glowEffect: true,                  // Enable glow effect on lines
     glowColor: [0, 255, 100, 50],      // Green glow color with alpha
     volumetricLight: true,             // Enable basic volumetric lighting
-    volumetricIntensity: 0.2          // Low intensity volumetric effect
+    volumetricIntensity: 0.2,         // Low intensity volumetric effect
+    vectorDisplay: true,               // Phosphor persistence, scanlines and flicker
+    rain: { ...LIGHT_RAIN, color: [0, 255, 100, 150] },  // Rain traced in phosphor green
+    phosphorGlow: 0.9,                 // Bloom strength of the lit phosphor
+    scanlineIntensity: 0.3,            // Darkening between CRT scanlines
+    beamFlicker: 0.08                  // Random frame-to-frame variation in beam brightness
+  },
+  render: {
+    building: drawWireframeBuilding,
+    tree: drawWireframeTree
+  },
+  seek: seekWireframeDrawing,
+  enter: () => {
+    buildingDrawProgress = 0;
+    treeDrawProgress = 0;
   },
+  exit: () => {
+    // The wireframe is shown whole when it takes over from the last phase
+    buildingDrawProgress = 1;
+    treeDrawProgress = 1;
+  },
+  takeoverAt: 0.9
+});
 
-  // Phase 2: Flat Shading - Basic solid rendering with simple lighting
-  1: {
+// Phase 2: Flat Shading - Basic solid rendering with simple lighting
+registerPhase({
+  label: "Phase 2: Flat Shading with Texture",
+  description: "Flat shading assigns a single color to each polygon face. Developed in the 1970s-80s, this technique gives objects solid appearance with minimal lighting. Textures add visual detail without changing geometry.",
+  style: {
     strokeColor: [40, 40, 40],         // Dark edges
     strokeWeight: 0.5,                 // Thin edge lines
     fillColor: [100, 100, 100],        // Medium gray fill
     ambientLight: [40, 45, 55],        // Increased ambient light
     directionalLight: {                // Basic directional lighting
-      color: [120, 140, 180],          // Cool blue-tinted light
-      direction: [0.5, 1, -0.5]        // Light from upper-right
+      color: [120, 140, 180]           // Cool blue-tinted light
     },
     material: {                        // Simple material properties
       specular: [60, 70, 90],          // Low specular reflection
@@ -117,21 +349,28 @@ const PHASE_STYLES = {
       metallic: 0.1,                   // Low metallic quality
       roughness: 0.8                   // High surface roughness
     },
-    fogEffect: true,                   // Enable atmospheric fog
     fogColor: [30, 40, 60],           // Dark blue fog color
     volumetricLight: true,             // Continue volumetric lighting
     volumetricIntensity: 0.3          // Slightly increased intensity
   },
+  render: {
+    building: building => drawShadedBuilding(building, styleFlatPanes, map(styleTransition(), 0.8, 1, 0, 1, true)),
+    tree: tree => drawSolidTree(tree, flatTrunkSurface, flatCanopySurface),
+    ground: flatGroundSurface
+  }
+});
 
-  // Phase 3: Environmental Effects - Adding atmosphere and enhanced lighting
-  2: {
+// Phase 3: Environmental Effects - Adding atmosphere and enhanced lighting
+registerPhase({
+  label: "Phase 3: Environmental Effects & Skybox",
+  description: "Environmental effects add realism to virtual environments. This technique emerged in the 1990s, introducing skybox/environment mapping to create a sense of infinite space, along with weather conditions like rain and reflective surfaces for enhanced atmosphere.",
+  style: {
     strokeColor: [30, 30, 30],         // Darker edges
     strokeWeight: 0.3,                 // Thinner edge lines
     fillColor: [80, 80, 80],           // Darker gray fill
     ambientLight: [35, 40, 50],        // Balanced ambient light
     directionalLight: {                // Enhanced directional light
-      color: [140, 160, 190],          // Brighter blue-tinted light
-      direction: [0.5, 1, -0.5]        // Same direction as phase 1
+      color: [140, 160, 190]           // Brighter blue-tinted light
     },
     pointLights: {                     // Add point light sources
       color: [200, 210, 230],          // Bright cool light
@@ -148,16 +387,24 @@ const PHASE_STYLES = {
     volumetricLight: true,             // Enhanced volumetric lighting
     volumetricIntensity: 0.4          // Increased intensity
   },
+  render: {
+    building: building => drawShadedBuilding(building, styleTexturedPanes),
+    tree: tree => drawSolidTree(tree, barkTrunkSurface, applyLeafTexture),
+    ground: shadedGroundSurface
+  }
+});
 
-  // Phase 4: Advanced Lighting - Complex lighting model with weather effects
-  3: {
+// Phase 4: Advanced Lighting - Complex lighting model with weather effects
+registerPhase({
+  label: "Phase 4: Advanced Lighting & Materials",
+  description: "Advanced lighting models (Phong, Blinn-Phong) simulate how light interacts with different materials. This mid-1990s technique calculates ambient, diffuse and specular components separately for more realistic surface appearance.",
+  style: {
     strokeColor: [20, 20, 20],         // Very dark edges
     strokeWeight: 0.2,                 // Very thin edge lines
     fillColor: [80, 80, 80],           // Maintained fill color
     ambientLight: [30, 35, 45],        // Refined ambient light
     directionalLight: {                // Refined directional light
-      color: [130, 150, 180],          // Adjusted light color
-      direction: [0.5, 1, -0.5]        // Maintained direction
+      color: [130, 150, 180]           // Adjusted light color
     },
     pointLights: {                     // Enhanced point lights
       color: [180, 190, 210],          // Brighter light color
@@ -170,25 +417,44 @@ const PHASE_STYLES = {
       roughness: 0.5,                  // Balanced roughness
       reflectivity: 0.3                // Added reflectivity
     },
-    rainEffect: true,                  // Enable rain particles
-    fogEffect: true,                   // Enhanced fog effect
+    rain: {                            // Heavy downpour with puddles
+      color: [220, 230, 255, 220],     // Bright rain streaks
+      thickness: 2,                    // Thicker drops
+      length: 1.5,                     // Longer streaks
+      speed: 1.5,                      // Faster fall
+      density: 1,                      // Every raindrop drawn
+      puddles: { spacing: 150, size: [50, 120] }  // Large, closely spaced puddles
+    },
     fogColor: [20, 25, 35],           // Darker atmospheric fog
     volumetricLight: true,             // Advanced volumetric lighting
     volumetricIntensity: 0.6,         // Higher intensity
     bloomEffect: true,                 // Enhanced bloom effect
     bloomIntensity: 0.8,              // Increased bloom
-    hdrBackground: true               // Enable HDR environment
+    hdrBackground: true,              // Enable HDR environment
+    shadowMapping: true,               // Directional light casts shadows
+    shadowSoftness: 0,                 // Single depth comparison: hard shadows
+    environmentLighting: 0.35          // Environment-mapped reflections and sky ambient
   },
+  render: {
+    building: building => drawShadedBuilding(building, styleSpecularPanes),
+    tree: tree => drawSolidTree(tree, specularTrunkSurface, applyLeafTexture),
+    ground: shadedGroundSurface,
+    puddles: specularPuddleSurface
+  },
+  materialShader: () => lightingModelShader
+});
 
-  // Phase 5: Physically Based Rendering - Most advanced rendering technique
-  4: {
+// Phase 5: Physically Based Rendering - Most advanced rendering technique
+registerPhase({
+  label: "Phase 5: Physically Based Rendering",
+  description: "Physically Based Rendering (PBR) emerged in the 2010s as the gold standard for realistic graphics. It simulates physical properties of materials and light using real-world measurements for albedo, metalness, roughness and subsurface scattering.",
+  style: {
     strokeColor: null,                 // No visible edges
     strokeWeight: 0,                   // No stroke weight
     fillColor: [120, 120, 120],        // Lighter base color
     ambientLight: [35, 40, 50],        // Refined ambient light
     directionalLight: {                // Final directional light setup
-      color: [160, 180, 210],          // Bright, natural light color
-      direction: [0.5, 1, -0.5]        // Maintained direction
+      color: [160, 180, 210]           // Bright, natural light color
     },
     pointLights: {                     // Final point light setup
       color: [200, 210, 180],          // Warm-tinted lights
@@ -210,11 +476,162 @@ const PHASE_STYLES = {
     bloomIntensity: 1.0,              // Maximum bloom
     glowEffect: true,                  // Enable window glow
     glowColor: [200, 210, 180, 30],   // Warm glow color
-    fogEffect: true,                   // Final atmospheric fog
-    fogColor: [15, 20, 30]            // Deep atmospheric color
+    rain: {                            // Lighter rain with mirror-like puddles
+      ...LIGHT_RAIN,
+      puddles: { spacing: 200, size: [30, 100] }  // Smaller, sparser puddles
+    },
+    roads: true,                       // Asphalt road network
+    rooftops: true,                    // Rooftop plant rooms on buildings
+    hdrBackground: true,               // Environment sky carries on from Phase 4
+    fogColor: [15, 20, 30],           // Deep atmospheric color
+    shadowMapping: true,               // Directional light casts shadows
+    shadowSoftness: 1.5,               // PCF filter radius in texels: soft shadows
+    ambientOcclusion: true,            // Screen-space ambient occlusion pass
+    environmentLighting: 0.5           // Image-based lighting from the environment map
+  },
+  render: {
+    building: drawPBRBuilding,
+    tree: tree => drawSolidTree(tree, pbrTrunkSurface, pbrCanopySurface),
+    ground: pbrGroundSurface,
+    puddles: pbrPuddleSurface
+  },
+  materialShader: () => pbrShader
+});
+
+// Phase 6: Ray Tracing - Reflections and soft shadows traced per pixel
+registerPhase({
+  label: "Phase 6: Real-Time Ray Tracing",
+  description: "Hardware ray tracing arrived in consumer GPUs in 2018, letting games trace rays through the scene instead of approximating light with rasterisation tricks. Reflections in glass and water show what is really there, and shadows soften naturally with distance. A few samples per pixel are averaged over time to remove noise.",
+  style: {
+    strokeColor: null,                 // No visible edges
+    strokeWeight: 0,                   // No stroke weight
+    fillColor: [120, 120, 120],        // Base color for the rasterised fallback
+    ambientLight: [35, 40, 50],        // Same ambient light as Phase 5
+    directionalLight: {                // Sun traced for soft shadows
+      color: [160, 180, 210]           // Bright, natural light color
+    },
+    pointLights: {                     // Street lights for the rasterised fallback
+      color: [200, 210, 180],          // Warm-tinted lights
+      intensity: 1.2                   // Maximum intensity
+    },
+    volumetricLight: true,             // Volumetric lighting for the fallback
+    volumetricIntensity: 0.8,         // High intensity
+    material: {                        // PBR material properties for the fallback
+      specular: [180, 190, 200],       // High specular values
+      shininess: 80,                   // Maximum shininess
+      metallic: 0.5,                   // Balanced metallic
+      roughness: 0.4,                  // Lower roughness
+      reflectivity: 0.5,              // High reflectivity
+      subsurface: 0.2                  // Subsurface scattering
+    },
+    bloomEffect: true,                 // Bloom on lit windows and sky reflections
+    bloomIntensity: 0.8,              // Slightly softer bloom than Phase 5
+    fogColor: [15, 20, 30],           // Deep atmospheric color, applied along each camera ray
+    hdrBackground: true,               // Environment sky, also seen in reflections
+    shadowMapping: true,               // Shadow maps for the rasterised fallback
+    shadowSoftness: 1.5,               // PCF filter radius in texels
+    environmentLighting: 0.5,          // Sky light on diffuse surfaces
+    rooftops: true,                    // Rooftop plant rooms on buildings
+    rayTracing: true,                  // Trace the city instead of rasterising it
+    sunSpread: 0.04,                   // Angular radius of the sun: penumbra width
+    wetness: 1                         // Puddles left on the ground after the rain
+  },
+  render: {
+    building: drawPBRBuilding,
+    tree: tree => drawSolidTree(tree, pbrTrunkSurface, pbrCanopySurface),
+    ground: pbrGroundSurface,
+    puddles: pbrPuddleSurface
+  },
+  materialShader: () => pbrShader
+});
+
+/**
+ * Stages of the rasterisation pipeline shown by the explainer, in order
+ * Each has a label, a description for the overlay and a detail function that
+ * summarises the inspected building's state at that stage
+ */
+const PIPELINE_STAGES = [
+  {
+    label: "1. Vertex Processing",
+    description: "The building reaches the GPU as the corner vertices of its parts, placed around the building's own origin. The vertex shader applies the model matrix, here a translation, to move each vertex to where the building stands in the world.",
+    detail: view => `${view.corners.length} vertices, centre moved to (${view.building.x.toFixed(0)}, ${view.building.y.toFixed(0)}, ${view.building.z.toFixed(0)})`
+  },
+  {
+    label: "2. Primitive Assembly",
+    description: "Vertices are joined into triangles, the only shape the rasteriser understands. Each flat face of a box is split into 2 triangles, and round parts become a ring of flat sides, so neighbouring triangles share vertices.",
+    detail: view => `${ceil(view.progress * view.triangles.length)} of ${view.triangles.length} triangles assembled`
+  },
+  {
+    label: "3. Projection to Clip Space",
+    description: "The view and projection matrices carry each vertex into clip space. Dividing by w, the perspective divide, pulls distant corners toward the centre. The inset shows the building morphing into normalised device coordinates, the -1 to 1 square that maps onto the screen.",
+    detail: view => `${view.clip.filter(insideViewVolume).length} of ${view.clip.length} vertices inside the view volume`
+  },
+  {
+    label: "4. Rasterisation",
+    description: "Each triangle is tested against a grid of pixel centres and every pixel it covers becomes a fragment. Brighter cells are covered twice: the front and back faces of the building land on the same pixels.",
+    detail: view => `${view.fragments.length} fragments over ${new Set(view.fragments.map(f => f.cell)).size} pixels`
+  },
+  {
+    label: "5. Depth Test",
+    description: "Fragments arrive in draw order. Each compares its depth with the depth buffer and is only written if it is nearer than what is stored, so hidden faces are discarded (red) and only the visible surfaces remain.",
+    detail: view => {
+      const { passed, failed } = depthTestFragments(view.fragments, view.fragments.length);
+      return `${passed} fragments passed, ${failed.length} failed`;
+    }
   }
+];
+
+/**
+ * Building archetypes the city generator picks from
+ * Each massing function breaks a building's bounding box into the parts
+ * every phase draws: 'body' walls with a window band, 'detail' spires and
+ * antennas, and 'roof' plant rooms shown in the phases with rooftops
+ */
+const BUILDING_TYPES = {
+  block: { label: 'Block', massing: blockMassing },
+  setback: { label: 'Setback Tower', massing: setbackMassing },
+  cylinder: { label: 'Cylindrical Tower', massing: cylinderMassing },
+  twin: { label: 'Twin Towers', massing: twinMassing },
+  lShape: { label: 'L-Shaped Block', massing: lShapeMassing },
+  spire: { label: 'Spire Tower', massing: spireMassing }
+};
+
+/**
+ * Window layouts a facade can be glazed with: the share of its bay width and
+ * storey height each pane fills, and whether mullions and transoms frame the
+ * panes. raytrace.frag repeats these proportions
+ */
+const FACADE_STYLES = {
+  curtainWall: { pane: [1, 1], frames: true },
+  punched: { pane: [0.6, 0.55], frames: false }
 };
 
+/**
+ * Sky colours at rising sun elevations, the sine of the sun's angle above
+ * the horizon. updateDayCycle blends between neighbouring entries
+ */
+const SKY_GRADIENTS = [
+  { elevation: -0.3, zenith: [3, 5, 12], horizon: [12, 16, 28] },      // Night
+  { elevation: -0.08, zenith: [18, 22, 55], horizon: [60, 50, 85] },   // Twilight
+  { elevation: 0.02, zenith: [45, 65, 125], horizon: [235, 130, 70] }, // Sunrise and sunset
+  { elevation: 0.25, zenith: [55, 115, 200], horizon: [165, 195, 230] } // Day
+];
+
+/**
+ * Weather the city can be set to. Levels run from 0 to 1 except fog, a
+ * multiplier on the fog density: rain and snow are scaled by the
+ * Precipitation setting, wind drives the slant of the rain and the sway of
+ * the trees, storm is how often lightning strikes and cloud how much of the
+ * sun, moon and sky colour it hides. updateWeather eases between presets
+ */
+const WEATHER_PRESETS = [
+  { name: 'Clear', rain: 0, snow: 0, fog: 0.4, wind: 0.15, storm: 0, cloud: 0 },
+  { name: 'Drizzle', rain: 0.35, snow: 0, fog: 0.9, wind: 0.3, storm: 0, cloud: 0.6 },
+  { name: 'Storm', rain: 1, snow: 0, fog: 1, wind: 1, storm: 1, cloud: 0.9 },
+  { name: 'Fog', rain: 0, snow: 0, fog: 2.2, wind: 0, storm: 0, cloud: 0.7 },
+  { name: 'Snow', rain: 0, snow: 1, fog: 1.5, wind: 0.35, storm: 0, cloud: 0.8 }
+];
+
 /**
  * Preloads all necessary assets before the sketch starts
  * This includes fonts, textures, and environment maps
@@ -228,6 +645,13 @@ function preload() {
     // Load the environment map for skybox and reflections
     loadHDREnvironment();
     
+    // Load the custom GLSL shaders used by the later phases
+    loadMaterialShaders();
+    loadPostProcessingShaders();
+    
+    // Load the material texture maps shipped with the sketch
+    loadTextureSets();
+    
     // Load the leaf texture for tree rendering
     leafTexture = loadImage('assets/textures/leaf.png', 
       () => console.log("Leaf texture loaded successfully"),
@@ -238,15 +662,119 @@ function preload() {
   }
 }
 
+/**
+ * Material texture slots by texture set name
+ * @function materialTextureSets
+ * @returns {Object} The concrete, ground, roof and glass slot objects
+ */
+function materialTextureSets() {
+  return {
+    concrete: concreteTextures,
+    ground: groundTextures,
+    roof: roofTextures,
+    glass: glassTextures
+  };
+}
+
+/**
+ * Loads every map listed in TEXTURE_SETS into its material slot
+ * Large maps are downscaled once loaded; failures leave the slot empty so
+ * checkAndCreateProceduralTextures can generate it instead
+ * @function loadTextureSets
+ */
+function loadTextureSets() {
+  const textureSets = materialTextureSets();
+  
+  Object.entries(TEXTURE_SETS).forEach(([setName, files]) => {
+    Object.entries(files).forEach(([slot, file]) => {
+      const path = `assets/textures/${setName}/${file}`;
+      try {
+        textureSets[setName][slot] = loadImage(path,
+          img => {
+            if (img.width > TEXTURE_MAX_SIZE) img.resize(TEXTURE_MAX_SIZE, 0);
+            console.log(`Texture ${path} loaded successfully`);
+          },
+          () => {
+            console.error(`Failed to load texture ${path}, using procedural fallback`);
+            textureSets[setName][slot] = null;
+          }
+        );
+      } catch (e) {
+        console.error(`Error loading texture ${path}:`, e);
+        textureSets[setName][slot] = null;
+      }
+    });
+  });
+}
+
+/**
+ * Swaps the maps of FULL_RESOLUTION_TEXTURE_SETS between the 1024² copies
+ * loaded at startup and their 4096² originals. The originals are only
+ * downloaded the first time they are asked for; both sizes are kept after
+ * that, so switching back and forth loads nothing new
+ * @function setFullResolutionTextures
+ * @param {boolean} enabled - True for the originals, false for the copies
+ */
+function setFullResolutionTextures(enabled) {
+  fullResolutionTextures = enabled;
+  const textureSets = materialTextureSets();
+  
+  FULL_RESOLUTION_TEXTURE_SETS.forEach(setName => {
+    Object.entries(TEXTURE_SETS[setName]).forEach(([slot, file]) => {
+      const maps = textureResolutions[`${setName}/${slot}`] ??= { small: textureSets[setName][slot], full: null, loading: false };
+      if (!enabled || maps.full) {
+        textureSets[setName][slot] = enabled ? maps.full : maps.small;
+        return;
+      }
+      if (maps.loading) return;
+      
+      const path = `assets/textures/${setName}/4k/${file}`;
+      maps.loading = true;
+      try {
+        loadImage(path,
+          img => {
+            maps.full = img;
+            // Leave the copy in place if the originals were switched off meanwhile
+            if (fullResolutionTextures) textureSets[setName][slot] = img;
+            console.log(`Texture ${path} loaded successfully`);
+          },
+          () => {
+            maps.loading = false;
+            console.error(`Failed to load texture ${path}, keeping the smaller map`);
+          }
+        );
+      } catch (e) {
+        maps.loading = false;
+        console.error(`Error loading texture ${path}:`, e);
+      }
+    });
+  });
+}
+
 /**
  * Loads the environment map for the scene background and reflections
- * Using a JPG as loading a HDR took to long
+ * Radiance .hdr files are decoded to linear radiance here and turned into a
+ * displayable texture in setup; any other image loads directly
  * @function loadHDREnvironment
  */
 function loadHDREnvironment() {
   try {
-    // Attempt to load the JPG environment map
-    hdrTexture = loadImage('assets/textures/bg.jpg', 
+    if (ENVIRONMENT_MAP.toLowerCase().endsWith('.hdr')) {
+      loadBytes(ENVIRONMENT_MAP,
+        file => {
+          try {
+            hdrRadiance = parseRGBE(file.bytes);
+            console.log("Environment map loaded successfully from HDR");
+          } catch (e) {
+            console.error("Could not decode HDR environment map:", e);
+          }
+        },
+        () => console.log("Could not load HDR")
+      );
+      return;
+    }
+    
+    hdrTexture = loadImage(ENVIRONMENT_MAP, 
       () => console.log("Environment map loaded successfully from JPG"), 
       () => {
         console.log("Could not load JPG");
@@ -257,6 +785,181 @@ function loadHDREnvironment() {
   }
 }
 
+/**
+ * Decodes a Radiance .hdr (RGBE) file into linear floating point radiance
+ * Handles flat and run-length encoded scanlines in the standard -Y +X layout
+ * @function parseRGBE
+ * @param {Uint8Array} bytes - Raw file contents
+ * @returns {Object} Radiance as { width, height, data } with RGB floats per pixel
+ */
+function parseRGBE(bytes) {
+  let pos = 0;
+  const readLine = () => {
+    let line = '';
+    while (pos < bytes.length && bytes[pos] !== 0x0a) line += String.fromCharCode(bytes[pos++]);
+    pos++;
+    return line;
+  };
+  
+  if (!readLine().startsWith('#?')) throw new Error("Missing Radiance header");
+  
+  for (let line = readLine(); line !== ''; line = readLine()) {
+    if (pos >= bytes.length) throw new Error("Unexpected end of header");
+    if (line.startsWith('FORMAT=') && line !== 'FORMAT=32-bit_rle_rgbe') {
+      throw new Error(`Unsupported pixel format ${line.slice(7)}`);
+    }
+  }
+  
+  const size = readLine().match(/^-Y (\d+) \+X (\d+)$/);
+  if (!size) throw new Error("Unsupported image orientation");
+  
+  const height = Number(size[1]);
+  const width = Number(size[2]);
+  const data = new Float32Array(width * height * 3);
+  const scanline = new Uint8Array(width * 4);
+  
+  for (let y = 0; y < height; y++) {
+    pos = readRGBEScanline(bytes, pos, scanline, width);
+    
+    for (let x = 0; x < width; x++) {
+      const exponent = scanline[x * 4 + 3];
+      const scale = exponent ? Math.pow(2, exponent - 136) : 0;
+      const i = (y * width + x) * 3;
+      data[i] = (scanline[x * 4] + 0.5) * scale;
+      data[i + 1] = (scanline[x * 4 + 1] + 0.5) * scale;
+      data[i + 2] = (scanline[x * 4 + 2] + 0.5) * scale;
+    }
+  }
+  
+  return { width, height, data };
+}
+
+/**
+ * Reads one RGBE scanline, expanding the per-channel run-length encoding
+ * @function readRGBEScanline
+ * @param {Uint8Array} bytes - Raw file contents
+ * @param {number} pos - Offset of the scanline in the file
+ * @param {Uint8Array} scanline - Receives width * 4 RGBE bytes
+ * @param {number} width - Pixels per scanline
+ * @returns {number} Offset just past the scanline
+ */
+function readRGBEScanline(bytes, pos, scanline, width) {
+  const isEncoded = width >= 8 && width < 32768 &&
+    bytes[pos] === 2 && bytes[pos + 1] === 2 &&
+    ((bytes[pos + 2] << 8) | bytes[pos + 3]) === width;
+  
+  if (!isEncoded) {
+    if (pos + width * 4 > bytes.length) throw new Error("Unexpected end of pixel data");
+    scanline.set(bytes.subarray(pos, pos + width * 4));
+    return pos + width * 4;
+  }
+  
+  pos += 4;
+  for (let channel = 0; channel < 4; channel++) {
+    for (let x = 0; x < width;) {
+      let count = bytes[pos++];
+      const isRun = count > 128;
+      if (isRun) count -= 128;
+      if (!count || x + count > width || pos >= bytes.length) throw new Error("Corrupt scanline");
+      
+      if (isRun) {
+        const value = bytes[pos++];
+        for (let i = 0; i < count; i++) scanline[(x++) * 4 + channel] = value;
+      } else {
+        for (let i = 0; i < count; i++) scanline[(x++) * 4 + channel] = bytes[pos++];
+      }
+    }
+  }
+  return pos;
+}
+
+/**
+ * Loads the custom material shaders from assets/shaders
+ * Phases fall back to p5's built-in lighting if a shader fails to load
+ * @function loadMaterialShaders
+ */
+function loadMaterialShaders() {
+  try {
+    pbrShader = loadShader('assets/shaders/pbr.vert', 'assets/shaders/pbr.frag',
+      () => console.log("PBR shader loaded successfully"),
+      () => {
+        console.error("Failed to load PBR shader");
+        pbrShader = null;
+      }
+    );
+    
+    lightingModelShader = loadShader('assets/shaders/lighting-models.vert', 'assets/shaders/lighting-models.frag',
+      () => console.log("Lighting model shader loaded successfully"),
+      () => {
+        console.error("Failed to load lighting model shader");
+        lightingModelShader = null;
+      }
+    );
+    
+    shadowDepthShader = loadShader('assets/shaders/shadow-depth.vert', 'assets/shaders/shadow-depth.frag',
+      () => console.log("Shadow depth shader loaded successfully"),
+      () => {
+        console.error("Failed to load shadow depth shader");
+        shadowDepthShader = null;
+      }
+    );
+    
+    skyShader = loadShader('assets/shaders/sky.vert', 'assets/shaders/sky.frag',
+      () => console.log("Sky shader loaded successfully"),
+      () => {
+        console.error("Failed to load sky shader");
+        skyShader = null;
+      }
+    );
+    
+    rainShader = loadShader('assets/shaders/rain.vert', 'assets/shaders/rain.frag',
+      () => console.log("Rain shader loaded successfully"),
+      () => {
+        console.error("Failed to load rain shader");
+        rainShader = null;
+      }
+    );
+  } catch (e) {
+    console.error("Error loading material shaders:", e);
+  }
+}
+
+/**
+ * Loads the full screen post-processing shaders from assets/shaders
+ * All passes share post.vert, which maps rect() straight onto the screen
+ * @function loadPostProcessingShaders
+ */
+function loadPostProcessingShaders() {
+  const passes = {
+    fog: 'fog.frag',
+    bloomBright: 'bloom-bright.frag',
+    blur: 'blur.frag',
+    bloomComposite: 'bloom-composite.frag',
+    ssao: 'ssao.frag',
+    ssaoComposite: 'ssao-composite.frag',
+    environmentPrefilter: 'environment-prefilter.frag',
+    phosphor: 'phosphor.frag',
+    vectorDisplay: 'vector-display.frag',
+    compare: 'compare.frag',
+    rayTrace: 'raytrace.frag',
+    rayTraceDisplay: 'raytrace-display.frag'
+  };
+  
+  try {
+    Object.entries(passes).forEach(([name, file]) => {
+      postShaders[name] = loadShader('assets/shaders/post.vert', `assets/shaders/${file}`,
+        () => console.log(`Post-processing shader ${file} loaded successfully`),
+        () => {
+          console.error(`Failed to load post-processing shader ${file}`);
+          delete postShaders[name];
+        }
+      );
+    });
+  } catch (e) {
+    console.error("Error loading post-processing shaders:", e);
+  }
+}
+
 /**
  * Sets up the sketch environment and initializes all necessary components
  * Called once after preload, before the first draw call
@@ -268,16 +971,18 @@ function setup() {
   textFont(mainFont || createFont('Arial', 16));
   createIntroScreen();
   
-  // Generate procedural textures for different materials
-  createProceduralConcreteTextures();
-  createProceduralGroundTextures();
-  createProceduralRoofTextures();
+  // Seed every generator, then generate procedural textures for any maps that did not load
+  citySeed = initialCitySeed();
+  seedGenerators(citySeed);
+  checkAndCreateProceduralTextures();
   
   // Generate scene geometry and elements
-  generateCityscape();    // Create buildings
-  generateRoads();       // Create road network
-  createRaindrops();     // Initialize rain particles
-  generateTrees();       // Create and position trees
+  generateCity();
+  updateSeedURL();
+  
+  createPostProcessingBuffers();
+  createEnvironmentLighting();
+  createRayTraceScene();
   
   // Set up initial camera position and orientation
   camera(0, -500, 900,   // Camera position
@@ -422,6 +1127,7 @@ function createIntroScreen() {
   });
 
   startButton.mousePressed(() => {
+    startThunderSound();
     const intro = select('#intro-screen');
     intro.style('opacity', '0');
     intro.style('transform', 'translate(-50%, -50%) scale(0.95)');
@@ -429,8 +1135,9 @@ function createIntroScreen() {
       intro.remove();
       showIntro = false;
       isSceneReady = true;
+      // The overlay builds the control panel too, so the panel exists once
+      // and lookups by id like #timeline-play find the visible one
       createPhaseInfoOverlay();
-      createControlPanel();
     }, 800);
   });
   startButton.parent(buttonContainer);
@@ -442,6 +1149,7 @@ function createIntroScreen() {
  * @function draw
  */
 function draw() {
+  updateClock();
   background(0);
   
   // Render intro animation if showIntro is true
@@ -451,7 +1159,7 @@ function draw() {
     stroke(0, 255, 98, 20); 
     strokeWeight(1);
     const gridSize = 50;  
-    const time = frameCount * 0.01;
+    const time = clockTime * 0.6;
     
     rotateX(PI * 0.2);
     translate(0, 100, 0);
@@ -502,52 +1210,20 @@ function draw() {
   if (!isSceneReady) return;
   
   try {
+    updateWeather();
+    updateDayCycle();
     updatePhase();
-    updateCamera();
     updateLightning();
+    updateRaindrops();
     
-    // Apply HDR environment from phase 3
-    const showHDR = (renderPhase === 3) || (renderPhase === 2 && nextPhase() === 3 && transitionProgress > 0.7) || (renderPhase === 4 && transitionProgress < 0.3);
-    
-    // Clear with background color first
-    if (fogDensity > 0) {
-      const fogColor = PHASE_STYLES[renderPhase].fogColor || [30, 40, 50];
-      background(...fogColor, constrain(fogDensity, 0, 1) * 100);
+    if (isComparisonReady()) {
+      renderComparison();
     } else {
-      background(0);
-    }
-    
-    if (showHDR && hdrTexture) {
-      applyHDRBackground();
-    }
-  
-    applyRenderingStyle(transitionProgress);
-    drawGround();
-    
-    // Draw roads in Phase 5
-    if (renderPhase === 4 || (renderPhase === 3 && transitionProgress > 0.8)) {
-      const roadVisibility = renderPhase === 4 ? 1.0 : 
-        map(transitionProgress, 0.8, 1, 0, 1, true);
-      drawRoads(roadVisibility);
-    }
-    
-    buildings.forEach(drawBuilding);
-    trees.forEach(drawTree);
-    
-    const shouldShowRain = renderPhase === 3 || 
-      (renderPhase === 2 && nextPhase() === 3 && transitionProgress > 0.8) ||
-      (renderPhase === 4 && transitionProgress < 0.2);
-    
-    const rainOpacity = renderPhase === 3 ? 1.0 :
-      renderPhase === 2 ? map(transitionProgress, 0.8, 1, 0, 1, true) :
-      renderPhase === 4 ? map(transitionProgress, 0, 0.2, 1, 0, true) : 0;
-    
-    if (shouldShowRain) {
-      push();
-      drawRain(rainOpacity);
-      pop();
+      renderPhaseView();
     }
     
+    // The explainer follows the full-width camera, which side by side lacks
+    if (pipelineExplainer && viewAspect() === width / height) drawPipelineExplainer();
     displayPhaseInfo();
   } catch (e) {
     console.error("Error in draw loop:", e);
@@ -555,132 +1231,484 @@ function draw() {
 }
 
 /**
- * Updates the current rendering phase and handles transitions
- * Controls phase timing, progression, and transition effects
- * @function updatePhase
+ * Advances the animation clock by the real time since the last frame
+ * Everything that moves reads clockTime or clockDelta instead of counting
+ * frames, so the presentation runs at the same pace at any frame rate.
+ * Long stalls are capped at MAX_FRAME_DELTA so a background tab does not jump
+ * @function updateClock
  */
-function updatePhase() {
-  if (!autoAdvance) return;
-  phaseTimer++;
-  
-  // Check if current phase duration is complete
-  if (phaseTimer >= PHASE_DURATION) {
-    phaseTimer = 0;
-    // Cycle phases on loop phase using modulo 
-    renderPhase = (renderPhase + 1) % TOTAL_PHASES;
-    
-    if (renderPhase === 0) {
-      buildingDrawProgress = 0;
-      treeDrawProgress = 0;
+function updateClock() {
+  clockDelta = clockPaused ? 0 : min(deltaTime / 1000, MAX_FRAME_DELTA) * timeScale;
+  clockTime += clockDelta;
+}
+
+/**
+ * Places the sun and moon for timeOfDay and works out the light and sky they
+ * give. The full moon stands opposite the sun, and whichever of the two is
+ * above the horizon lights the scene. With the accelerated clock on, the
+ * time of day runs forward with the animation clock, a day every DAY_LENGTH
+ * seconds, so freezing or scaling time also holds or speeds up the day
+ * @function updateDayCycle
+ */
+function updateDayCycle() {
+  if (acceleratedClock && clockDelta > 0) {
+    timeOfDay = (timeOfDay + clockDelta * 24 / DAY_LENGTH) % 24;
+    if (timeOfDaySlider) {
+      timeOfDaySlider.value(timeOfDay);
+      timeOfDaySlider.showValue();
     }
   }
   
-  // Define transition timing boundaries
-  // Exit transition starts at: PHASE_DURATION - TRANSITION_DURATION
-  // Exit transition ends at: PHASE_DURATION
-  // Entry transition ends at: TRANSITION_DURATION
-  const transitionStart = PHASE_DURATION - TRANSITION_DURATION;
-  const transitionEnd = PHASE_DURATION;
-  const entryTransitionEnd = TRANSITION_DURATION;
-  
-  // Calculate transition progress using cubic easing:
-  if (phaseTimer > transitionStart) {
-    // Exit transition (current phase to next phase)
-    // Maps phaseTimer from [transitionStart, transitionEnd] to [0, 1]
-    // Uses easeInOutCubic for smooth acceleration and deceleration
-    transitionProgress = easeInOutCubic(map(phaseTimer, transitionStart, transitionEnd, 0, 1, true));
-  } else if (phaseTimer < entryTransitionEnd) {
-    // Entry transition (previous phase to current phase)
-    // Maps phaseTimer from [0, entryTransitionEnd] to [0, 1]
-    // Inverted (1 - x) since itll transitioning in
-    transitionProgress = 1 - easeInOutCubic(map(phaseTimer, 0, entryTransitionEnd, 0, 1, true));
+  // The sun rises in +x at 6:00, is highest at noon and sets in -x at 18:00
+  const angle = (timeOfDay - 6) / 24 * TWO_PI;
+  const toSun = createVector(cos(angle), -sin(angle) * cos(SUN_TILT), sin(angle) * sin(SUN_TILT));
+  const toMoon = p5.Vector.mult(toSun, -1);
+  const elevation = -toSun.y; // p5's Y axis points down
+  const sunUp = smoothstep(-0.02, 0.15, elevation);
+  const moonUp = smoothstep(-0.02, 0.15, -elevation);
+  const daylight = smoothstep(-0.12, 0.3, elevation);
+  const sunHeight = smoothstep(0.05, 0.45, elevation);
+  
+  // Phase styles set moonlight colours, so the moon leaves them as they are
+  // and the sun warms and brightens them, most of all when low in the sky.
+  // Cloud cover dims both and dulls the sky toward grey
+  const sunTint = lerpArray([1.5, 0.8, 0.45], [1.6, 1.5, 1.3], sunHeight);
+  const overcast = 1 - weather.cloud * 0.5;
+  const sky = skyGradient(elevation);
+  const dull = color => lerpArray(color, Array(3).fill((color[0] + color[1] + color[2]) / 3), weather.cloud * 0.7);
+  
+  // The light is held a little above the horizon so shadows stay finite
+  const toLight = (elevation >= 0 ? toSun : toMoon).copy();
+  toLight.y = min(toLight.y, -0.2);
+  
+  dayCycle = {
+    sunDirection: toSun.array(),
+    moonDirection: toMoon.array(),
+    lightDirection: toLight.normalize().mult(-1).array(),
+    lightTint: sunTint.map(v => (v * sunUp + moonUp) * overcast),
+    ambientTint: lerpArray([1, 1, 1], [2.2, 2.3, 2.5], daylight),
+    sunColor: lerpArray([255, 140, 60], [255, 245, 225], sunHeight).map(v => v * smoothstep(-0.05, 0.02, elevation) * (1 - weather.cloud)),
+    daylight: daylight,
+    lightsOn: 1 - smoothstep(-0.04, 0.08, elevation),
+    zenith: dull(sky.zenith),
+    horizon: dull(sky.horizon)
+  };
+}
+
+/**
+ * Eases the weather toward the selected preset, swings the wind slowly
+ * around with gusts, and lets snow settle or melt and puddles fill or dry up
+ * @function updateWeather
+ */
+function updateWeather() {
+  const target = { ...WEATHER_PRESETS[weatherState] };
+  delete target.name;
+  if (!weather) weather = { ...target };
+  
+  const easing = 1 - exp(-WEATHER_EASING_RATE * clockDelta);
+  Object.keys(target).forEach(key => weather[key] = lerp(weather[key], target[key], easing));
+  
+  const heading = noise(clockTime * 0.02, 100) * TWO_PI * 2;
+  const gust = 0.7 + noise(clockTime * 0.4, 200) * 0.6;
+  windSlant = [cos(heading), sin(heading)].map(v => v * weather.wind * gust * MAX_WIND_SLANT);
+  
+  const rain = weather.rain * precipitationScale;
+  const snow = weather.snow * precipitationScale;
+  snowCover = constrain(snowCover + (snow > 0.05 ? snow * SNOW_SETTLE_RATE : -SNOW_MELT_RATE) * clockDelta, 0, 1);
+  groundWetness = constrain(groundWetness + (rain > 0.05 ? rain * RAIN_WETTING_RATE : -GROUND_DRYING_RATE) * clockDelta, 0, 1);
+}
+
+/**
+ * Blends the sky colours of SKY_GRADIENTS for a sun elevation
+ * @function skyGradient
+ * @param {number} elevation - Sine of the sun's angle above the horizon
+ * @returns {Object} zenith and horizon RGB colours
+ */
+function skyGradient(elevation) {
+  const above = SKY_GRADIENTS.findIndex(key => key.elevation > elevation);
+  if (above === 0) return { zenith: SKY_GRADIENTS[0].zenith, horizon: SKY_GRADIENTS[0].horizon };
+  const lower = SKY_GRADIENTS[above === -1 ? SKY_GRADIENTS.length - 1 : above - 1];
+  const upper = above === -1 ? lower : SKY_GRADIENTS[above];
+  const t = upper === lower ? 0 : (elevation - lower.elevation) / (upper.elevation - lower.elevation);
+  return { zenith: lerpArray(lower.zenith, upper.zenith, t), horizon: lerpArray(lower.horizon, upper.horizon, t) };
+}
+
+/**
+ * Scales a light colour from a phase style by the sun or sky for the time
+ * of day and by the Lighting Intensity setting
+ * @function daylitColor
+ * @param {Array} color - RGB light colour from a phase style
+ * @param {Array} tint - dayCycle.lightTint for the sun or moon, dayCycle.ambientTint for sky light
+ * @returns {Array} RGB light colour
+ */
+function daylitColor(color, tint) {
+  return color.map((v, i) => v * tint[i] * lightingIntensity);
+}
+
+/**
+ * Formats an hour on the 24-hour clock for display
+ * @function formatClock
+ * @param {number} hours - Hour, fractions giving the minutes
+ * @returns {string} Time as HH:MM
+ */
+function formatClock(hours) {
+  const minutes = floor(hours * 60) % (24 * 60);
+  return `${nf(floor(minutes / 60), 2)}:${nf(minutes % 60, 2)}`;
+}
+
+/**
+ * Renders the current phase with its shadows, ray tracing and post-processing
+ * @function renderPhaseView
+ * @param {p5.Framebuffer} [target] - Framebuffer receiving the finished image,
+ *   the canvas if omitted
+ */
+function renderPhaseView(target) {
+  if (usesShadows()) renderShadowMap();
+  if (rayTracingWeight() > 0) renderRayTracing();
+  
+  // Render into the scene framebuffer when post-processing is available
+  // so bloom can be built from it, otherwise straight to the canvas
+  if (isPostProcessingReady()) {
+    sceneBuffer.begin();
+    try {
+      renderScene();
+    } finally {
+      sceneBuffer.end();
+    }
+    applyPostProcessing(target);
   } else {
-    transitionProgress = 0;
+    renderScene();
   }
+}
+
+/**
+ * Checks whether a phase comparison is switched on and can be shown
+ * @function isComparisonReady
+ * @returns {boolean} True if both phases should be rendered and combined
+ */
+function isComparisonReady() {
+  return comparisonMode > 0 && comparisonBuffers.length === 2 &&
+    !!postShaders.compare && isPostProcessingReady();
+}
+
+/**
+ * Renders the current phase and the compared phase from the same camera and
+ * combines them with the chosen wipe, side-by-side or lens layout. Both views
+ * draw the same buildings, trees, roads and raindrops
+ * @function renderComparison
+ */
+function renderComparison() {
+  renderPhaseView(comparisonBuffers[0]);
+  withComparisonPhase(() => renderPhaseView(comparisonBuffers[1]));
   
-  if (transitionProgress > 0.99) transitionProgress = 1;
-  if (transitionProgress < 0.01) transitionProgress = 0;
+  background(0);
+  drawPostQuad(postShaders.compare, {
+    uFirst: comparisonBuffers[0].color,
+    uSecond: comparisonBuffers[1].color,
+    uMode: comparisonMode,
+    uSplit: comparisonSplit,
+    uLensCenter: comparisonLens,
+    uLensRadius: LENS_RADIUS,
+    uMagnification: lensMagnification,
+    uResolution: [width, height],
+    uFlipY: true
+  });
+}
+
+/**
+ * Runs a drawing function as if the compared phase were current
+ * The compared phase is shown settled, without a transition, and with its
+ * fog and bloom at their targets rather than eased from the current phase
+ * @function withComparisonPhase
+ * @param {Function} drawView - Draws the view while the phase is swapped in
+ */
+function withComparisonPhase(drawView) {
+  const saved = { renderPhase, transitionProgress, bloomIntensity, fogDensity, fogColor };
+  const targets = visualEffectTargets(PHASE_STYLES[comparisonPhase]);
   
-  // Progressive drawing animation for Phase 1 (wireframe)
-  if (renderPhase === 0 && buildingDrawProgress < 1) {
-    // Asymptotic growth formula: progress += speed * (1 - progress)
-    // Smooth deceleration effect
-    buildingDrawProgress += BUILDING_DRAW_SPEED * (1 - buildingDrawProgress);
-    if (buildingDrawProgress > 0.995) buildingDrawProgress = 1;
-    
-    // Tree animation starts when buildings are 30% complete
-    // Asymptotic growth but 20% faster than buildings
-    if (buildingDrawProgress > 0.3 && treeDrawProgress < 1) {
-      treeDrawProgress += BUILDING_DRAW_SPEED * 1.2 * (1 - treeDrawProgress);
-      if (treeDrawProgress > 0.995) treeDrawProgress = 1;
-    }
-  }
+  renderPhase = comparisonPhase;
+  transitionProgress = 0;
+  bloomIntensity = targets.bloomIntensity;
+  fogDensity = targets.fogDensity;
+  fogColor = targets.fogColor || fogColor;
   
-  if (renderPhase === TOTAL_PHASES - 1 && transitionProgress > 0.9 && nextPhase() === 0) {
-    buildingDrawProgress = 0;
-    treeDrawProgress = 0;
+  try {
+    drawView();
+  } finally {
+    renderPhase = saved.renderPhase;
+    transitionProgress = saved.transitionProgress;
+    bloomIntensity = saved.bloomIntensity;
+    fogDensity = saved.fogDensity;
+    fogColor = saved.fogColor;
   }
-  
-  // Update camera rotation:
-  // - When user controlled: no automatic rotation
-  // - When automatic: rotate by 0.001 radians per frame
-  globalRotation += (userCameraControl ? 0 : 0.001);
-  updateVisualEffects();
 }
 
 /**
- * Applies the current rendering style with transition blending
- * @function applyRenderingStyle
- * @param {number} transitionAmount - Blend amount between current and next phase (0-1)
+ * Finds the comparison handle under a point on the canvas
+ * @function comparisonHandleAt
+ * @param {number} x - Canvas x in pixels
+ * @param {number} y - Canvas y in pixels
+ * @returns {string|null} 'wipe' or 'lens', or null if no handle is there
  */
-function applyRenderingStyle(transitionAmount) {
-  noLights();
-  const currentStyle = PHASE_STYLES[renderPhase];
-  const nextStyle = PHASE_STYLES[(renderPhase + 1) % TOTAL_PHASES];
-  
-  drawingContext.filter = 'none';
+function comparisonHandleAt(x, y) {
+  if (!isComparisonReady()) return null;
+  const mode = COMPARISON_MODES[comparisonMode];
   
-  if (isLightning && renderPhase >= 4) {
-    // Calculate lighting intensity using sine wave:
-    // - frameCount * 0.8: Controls flash frequency (lower = slower flashes)
-    // - * 0.5: Reduces amplitude to range [-0.5, 0.5]
-    // - + 0.5: Shifts wave to range [0, 1]
-    // Smooth oscillation between 0 and 1
-    const flashIntensity = sin(frameCount * 0.8) * 0.5 + 0.5;
-    
-    // Apply ambient light with flash intensity:
-    // Base values [150, 150, 200] for RGB
-    // Add intensity-scaled offsets [50, 50, 55]
-    ambientLight(
-      150 + flashIntensity * 50,  // Red: 150 + [0-50]
-      150 + flashIntensity * 50,  // Green: 150 + [0-50]
-      200 + flashIntensity * 55   // Blue: 200 + [0-55]
-    );
-    
-    // Add directional point light for lightning strike
-    // Uses intensity calculation but with higher base values
-    pointLight(
-      200 + flashIntensity * 55,  // Red: 200 + [0-55]
-      200 + flashIntensity * 55,  // Green: 200 + [0-55]
-      255,                        // Blue: Fixed at max brightness
-      0, -1000, 0                 // Position: directly overhead
-    );
+  if (mode === 'Wipe' && abs(x - comparisonSplit * width) < WIPE_HANDLE_WIDTH) return 'wipe';
+  if (mode === 'Lens' && dist(x, y, comparisonLens[0] * width, comparisonLens[1] * height) < LENS_RADIUS) return 'lens';
+  return null;
+}
+
+/**
+ * Draws the 3D city for the current phase and transition
+ * Called inside the scene framebuffer when post-processing is enabled
+ * @function renderScene
+ */
+function renderScene() {
+  updateCamera();
+  perspective(CAMERA_FOV, viewAspect(), CAMERA_NEAR, CAMERA_FAR);
+  
+  // Boolean style features cross-fade with the phase transition
+  const hdrOpacity = phaseFeatureWeight('hdrBackground');
+  const roadVisibility = phaseFeatureWeight('roads');
+  const rayTracing = rayTracingWeight();
+  
+  // Clear with background color first
+  if (fogDensity > 0) {
+    background(...fogColor, constrain(fogDensity, 0, 1) * 100);
+  } else {
+    background(0);
   }
   
-  if (bloomIntensity > 0) {
-    const safeBloomIntensity = constrain(bloomIntensity, 0, 2);
-    drawingContext.filter = `blur(${safeBloomIntensity * 2}px) brightness(${1 + safeBloomIntensity * 0.2})`;
+  // Phases lit by the sun and moon show them in the sky; by day the
+  // environment photo gives way to the sky gradient
+  const skyOpacity = phaseFeatureWeight('directionalLight');
+  if (skyOpacity > 0) {
+    drawSky(skyOpacity);
   }
   
-  if (renderPhase === 0 && transitionAmount < 0.01) {
-    applyWireframeStyle();
-  } else if (renderPhase === TOTAL_PHASES - 1 && transitionAmount > 0.99) {
-    applyWireframeStyle();
-  } else {
-    applyPhaseStyle(renderPhase, (renderPhase + 1) % TOTAL_PHASES, transitionAmount);
+  if (hdrOpacity > 0 && hdrTexture) {
+    applyHDRBackground(hdrOpacity * (1 - dayCycle.daylight * 0.8));
   }
   
-  drawingContext.filter = 'none';
+  // A fully ray traced frame has nothing left to rasterise
+  // The traced image leaves no depth to hide the bolt behind buildings,
+  // so there the bolt is only seen by the light of its flash
+  if (rayTracing >= 1) {
+    drawRayTracedScene(1);
+    return;
+  }
+  
+  // Snow is left off the vector display, which only draws edges
+  const snowOpacity = 1 - phaseFeatureWeight('vectorDisplay');
+  
+  beginMaterialShading();
+  applyRenderingStyle(styleTransition());
+  drawGround();
+  drawSnowCover(snowGeometry?.ground, snowOpacity);
+  
+  if (roadVisibility > 0) {
+    drawRoads(roadVisibility);
+    drawStreetLights(roadVisibility);
+  }
+  
+  buildings.forEach(drawBuilding);
+  trees.forEach(drawTree);
+  drawSnowCover(snowGeometry?.roofs, snowOpacity);
+  
+  push();
+  drawRain();
+  pop();
+  
+  endMaterialShading();
+  
+  if (rayTracing > 0) drawRayTracedScene(rayTracing);
+  drawLightningBolt();
+}
+
+/**
+ * Advances the timeline and applies the phase and transition it lands on
+ * When looping is off, playback stops at the end of the last phase
+ * @function updatePhase
+ */
+function updatePhase() {
+  if (timelinePlaying) {
+    const position = timelinePosition + clockDelta * playbackSpeed;
+    if (!timelineLoop && position >= timelineDuration()) timelinePlaying = false;
+    seekTimeline(position);
+  }
+  
+  // Update camera rotation:
+  // - When user controlled: no automatic rotation
+  // - When automatic: orbit at CAMERA_ROTATION_SPEED radians per second
+  globalRotation += (userCameraControl ? 0 : CAMERA_ROTATION_SPEED * clockDelta);
+  updateVisualEffects();
+}
+
+/**
+ * Total length of the timeline: every phase's duration in order
+ * @function timelineDuration
+ * @returns {number} Length in seconds
+ */
+function timelineDuration() {
+  return PHASES.reduce((total, phase) => total + phase.duration, 0);
+}
+
+/**
+ * Position on the timeline where a phase starts
+ * @function phaseStart
+ * @param {number} index - Index of the phase in PHASES
+ * @returns {number} Seconds from the start of the first phase
+ */
+function phaseStart(index) {
+  return PHASES.slice(0, index).reduce((total, phase) => total + phase.duration, 0);
+}
+
+/**
+ * Jumps the timeline to a position and sets everything that depends on it
+ * The phase, phaseTimer, transitionProgress and the phase's own animation
+ * state are all worked out from the position alone, so seeking to the same
+ * place always gives the same frame
+ * @function seekTimeline
+ * @param {number} position - Seconds from the start of the first phase
+ */
+function seekTimeline(position) {
+  const total = timelineDuration();
+  timelinePosition = timelineLoop ? ((position % total) + total) % total : constrain(position, 0, total);
+  
+  let phase = 0;
+  let start = 0;
+  while (phase < PHASES.length - 1 && timelinePosition >= start + PHASES[phase].duration) {
+    start += PHASES[phase].duration;
+    phase++;
+  }
+  
+  if (phase !== renderPhase) setPhase(phase);
+  phaseTimer = timelinePosition - start;
+  transitionProgress = phaseTransition(phase, phaseTimer);
+  PHASES[phase].seek?.(phaseTimer);
+}
+
+/**
+ * Transition progress at a time into a phase
+ * Ramps up toward the next phase over the phase's last TRANSITION_DURATION
+ * seconds and down from the previous phase over its first, shortened to half
+ * the phase for short phases. The last phase only ramps out when looping
+ * @function phaseTransition
+ * @param {number} index - Index of the phase in PHASES
+ * @param {number} timer - Seconds since the phase started
+ * @returns {number} Transition progress (0-1)
+ */
+function phaseTransition(index, timer) {
+  const duration = PHASES[index].duration;
+  const ramp = min(TRANSITION_DURATION, duration / 2);
+  const hasNext = timelineLoop || index < PHASES.length - 1;
+  let progress = 0;
+  
+  // Calculate transition progress using cubic easing:
+  if (hasNext && timer > duration - ramp) {
+    // Exit transition (current phase to next phase)
+    // Uses easeInOutCubic for smooth acceleration and deceleration
+    progress = easeInOutCubic(map(timer, duration - ramp, duration, 0, 1, true));
+  } else if (timer < ramp) {
+    // Entry transition (previous phase to current phase)
+    // Inverted (1 - x) since it is transitioning in
+    progress = 1 - easeInOutCubic(map(timer, 0, ramp, 0, 1, true));
+  }
+  
+  if (progress > 0.99) return 1;
+  if (progress < 0.01) return 0;
+  return progress;
+}
+
+/**
+ * Plays or pauses the timeline, starting over if it stopped at the end
+ * @function toggleTimeline
+ */
+function toggleTimeline() {
+  if (!timelinePlaying && !timelineLoop && timelinePosition >= timelineDuration()) seekTimeline(0);
+  timelinePlaying = !timelinePlaying;
+}
+
+/**
+ * Changes how long a phase plays, keeping the view at the same point
+ * @function setPhaseDuration
+ * @param {number} index - Index of the phase in PHASES
+ * @param {number} duration - New duration in seconds
+ */
+function setPhaseDuration(index, duration) {
+  PHASES[index].duration = duration;
+  seekTimeline(phaseStart(renderPhase) + min(phaseTimer, PHASES[renderPhase].duration));
+  updateTimelineMarkers();
+}
+
+/**
+ * Makes another registered phase current, running its exit and enter hooks
+ * @function setPhase
+ * @param {number} index - Index of the phase in PHASES
+ */
+function setPhase(index) {
+  PHASES[renderPhase].exit?.();
+  renderPhase = index;
+  phaseTimer = 0;
+  PHASES[renderPhase].enter?.();
+}
+
+/**
+ * Finds the phase whose render hooks draw the scene objects this frame
+ * Usually the current phase, but a phase with takeoverAt replaces the
+ * previous phase's objects near the end of the transition into it
+ * @function objectPhase
+ * @returns {Object} Phase descriptor
+ */
+function objectPhase() {
+  const next = PHASES[nextPhase()];
+  return styleTransition() > (next.takeoverAt ?? 1) ? next : PHASES[renderPhase];
+}
+
+/**
+ * Sets the progressive draw-in of the Phase 1 wireframe city for a time
+ * into the phase
+ * @function seekWireframeDrawing
+ * @param {number} timer - Seconds since the phase started
+ */
+function seekWireframeDrawing(timer) {
+  // Asymptotic growth: the remaining part shrinks exponentially, so drawing
+  // starts quickly and slows as the city completes. Smooth deceleration effect
+  buildingDrawProgress = 1 - exp(-BUILDING_DRAW_RATE * timer);
+  if (buildingDrawProgress > 0.995) buildingDrawProgress = 1;
+  
+  // Tree animation starts when buildings are 30% complete
+  // Asymptotic growth but 20% faster than buildings
+  const treeStart = log(1 / 0.7) / BUILDING_DRAW_RATE;
+  treeDrawProgress = timer > treeStart ? 1 - exp(-BUILDING_DRAW_RATE * 1.2 * (timer - treeStart)) : 0;
+  if (treeDrawProgress > 0.995) treeDrawProgress = 1;
+}
+
+/**
+ * Applies the current rendering style with transition blending
+ * @function applyRenderingStyle
+ * @param {number} transitionAmount - Blend amount between current and next phase (0-1)
+ */
+function applyRenderingStyle(transitionAmount) {
+  noLights();
+  const currentStyle = PHASE_STYLES[renderPhase];
+  const nextStyle = PHASE_STYLES[nextPhase()];
+  
+  const flash = lightningFlash();
+  if (flash) {
+    ambientLight(...flash.ambient);
+    pointLight(...flash.color, ...flash.position);
+  }
+  
+  // Styles without a fill are drawn as wireframes
+  if (!currentStyle.fillColor && transitionAmount < 0.01) {
+    applyWireframeStyle();
+  } else if (!nextStyle.fillColor && transitionAmount > 0.99) {
+    applyWireframeStyle();
+  } else {
+    applyPhaseStyle(renderPhase, nextPhase(), transitionAmount);
+  }
 }
 
 /**
@@ -690,186 +1718,287 @@ function applyRenderingStyle(transitionAmount) {
  * @param {Object} building - Building object with position, size, and style properties
  */
 function drawBuilding(building) {
+  const phase = objectPhase();
   push();
   translate(building.x, building.y, building.z);
   
-  if (renderPhase > 0) {
+  if (!phase.style.vectorDisplay) {
     const swayAmount = 0.001;
-    rotateZ(sin(frameCount * 0.5 + building.x * 0.01 + building.z * 0.01) * swayAmount);
+    rotateZ(sin(clockTime * 30 + building.x * 0.01 + building.z * 0.01) * swayAmount);
   }
   
-  if (renderPhase === 0) {
-    if (transitionProgress < 0.8) {
-      noFill();
-      stroke(0, 255, 0);
-      strokeWeight(1);
-    }
-    
-    const easedProgress = easeOutQuart(buildingDrawProgress);
-    const buildingHeight = building.height * easedProgress;
+  phase.render.building?.(building);
+  pop();
+}
+
+/**
+ * Draws a building as vector display outlines, growing with the draw-in animation
+ * @function drawWireframeBuilding
+ * @param {Object} building - Building object with position, size, and style properties
+ */
+function drawWireframeBuilding(building) {
+  // Near the end of its exit the blended solid style shows through instead
+  if (objectPhase() !== PHASES[renderPhase] || transitionProgress < 0.8) applyWireframeStyle();
+  
+  // The outline rises from the ground, so stacked parts appear in turn
+  const reached = massingTop(building) * easeOutQuart(buildingDrawProgress);
+  const windowProgress = easeOutQuart(map(buildingDrawProgress, 0.3, 1, 0, 1, true));
+  
+  building.parts.forEach(part => {
+    if (part.role === 'roof') return;
+    const shown = constrain(reached - part.bottom, 0, part.h);
+    if (shown <= 0) return;
     
-    if (buildingDrawProgress < 1) {
-      push();
-      if (PHASE_STYLES[0].glowEffect) {
-        push();
-        stroke(0, 255, 0, 50);
-        strokeWeight(3);
-        box(building.width, buildingHeight, building.depth);
-        pop();
-      }
-      
-      box(building.width, buildingHeight, building.depth);
-      
-      if (buildingDrawProgress > 0.3) {
-        const windowProgress = easeOutQuart(map(buildingDrawProgress, 0.3, 1, 0, 1, true));
-        push();
-        translate(0, -buildingHeight * 0.1, 0);
-        scale(1.01);
-        box(building.width, buildingHeight * 0.8 * windowProgress, building.depth);
-        pop();
-      }
-      pop();
-    } else {
-      if (PHASE_STYLES[0].glowEffect) {
-        push();
-        stroke(0, 255, 0, 50);
-        strokeWeight(3);
-        box(building.width, building.height, building.depth);
-        translate(0, -building.height * 0.1, 0);
-        scale(1.01);
-        box(building.width, building.height * 0.8, building.depth);
-        pop();
-      }
-      
-      box(building.width, building.height, building.depth);
-      push();
-      translate(0, -building.height * 0.1, 0);
-      scale(1.01);
-      box(building.width, building.height * 0.8, building.depth);
-      pop();
-    }
-  } else if (nextPhase() === 0 && transitionProgress > 0.9) {
-    noFill();
-    stroke(0, 255, 0);
-    strokeWeight(1);
-    box(building.width, building.height, building.depth);
     push();
-    translate(0, -building.height * 0.1, 0);
-    scale(1.01);
-    box(building.width, building.height * 0.8, building.depth);
+    translate(part.x, part.y, part.z);
+    if (part.role === 'body' && buildingDrawProgress > 0.3) drawVectorFacade(part, part.h / 2 - shown, windowProgress);
+    translate(0, (part.h - shown) / 2, 0);
+    drawVectorPart(part, shown);
     pop();
-  } else if (renderPhase >= 4) {
-    push();
-    if (concreteTextures.baseColor?.width) {
-      texture(concreteTextures.baseColor);
-    } else {
-      fill(100, 100, 100);
+  });
+}
+
+/**
+ * Draws a body's floors and window bays as vector edges just proud of its
+ * walls, over the band buildFacadeGeometry glazes. The grid rises from the
+ * bottom of the band as it draws in, never past the top of the outline
+ * @function drawVectorFacade
+ * @param {Object} part - Body part of a building's massing, with its facade
+ * @param {number} top - Highest y the outline has reached, from the part's centre
+ * @param {number} progress - Draw-in progress of the grid, 0 to 1
+ */
+function drawVectorFacade(part, top, progress) {
+  const bandHeight = part.h * 0.8;
+  const bandTop = -part.h * 0.1 - bandHeight / 2;
+  const bandBottom = bandTop + bandHeight;
+  const reached = max(top, bandBottom - bandHeight * progress);
+  if (reached >= bandBottom) return;
+  const storeyHeight = bandHeight / part.facade.floors;
+  
+  const edges = [];
+  facadeBays(part).forEach(({ bay, center, normal, right, width }) => {
+    const [start, end] = [-1, 1].map(side =>
+      p5.Vector.add(center, p5.Vector.mult(right, side * width / 2)).add(p5.Vector.mult(normal, 0.3)));
+    // Floors below each storey; the band's top is the outline's own edge
+    for (let storey = 1; storey <= part.facade.floors; storey++) {
+      const y = bandTop + storey * storeyHeight;
+      if (y >= reached) edges.push([[start.x, y, start.z], [end.x, y, end.z]]);
     }
-    
-    applyMaterial({
-      specular: [80, 90, 100],
-      shininess: 40,
-      metallic: 0.2,
-      roughness: concreteTextures.roughness?.width ? 
-        map(brightness(concreteTextures.roughness.get(0, 0)), 0, 255, 0.9, 0.3) : 0.7,
-      reflectivity: 0.1
-    });
-    box(building.width, building.height, building.depth);
+    // The lower side of each bay, leaving a box's corners to the outline
+    if (bay > 0 || part.shape === 'cylinder') edges.push([[start.x, reached, start.z], [start.x, bandBottom, start.z]]);
+  });
+  drawVectorEdges(edges);
+}
+
+/**
+ * Height of the top of a building's tallest part above the ground, leaving
+ * out rooftop units
+ * @function massingTop
+ * @param {Object} building - Building object
+ * @returns {number} Height in scene units
+ */
+function massingTop(building) {
+  return max(building.parts.filter(part => part.role !== 'roof').map(part => part.bottom + part.h));
+}
+
+/**
+ * Draws a massing part as vector display outlines, centred on the origin
+ * @function drawVectorPart
+ * @param {Object} part - Massing part
+ * @param {number} h - Height to draw it at
+ */
+function drawVectorPart(part, h) {
+  if (part.shape === 'cylinder') {
+    drawVectorCylinder(part.w / 2, h, 16);
+  } else if (part.shape === 'cone') {
+    push();
+    translate(0, h / 2, 0);
+    drawVectorCone(part.w / 2, h, 8);
     pop();
-    
+  } else {
+    drawVectorBox(part.w, h, part.d);
+  }
+}
+
+/**
+ * Draws a solid building in the current style with a facade on each body of
+ * its massing
+ * @function drawShadedBuilding
+ * @param {Object} building - Building object with position, size, and style properties
+ * @param {Function} stylePanes - Sets the window pane material, given whether the panes are lit
+ * @param {number} frameAlpha - Opacity of curtain wall frames (0-1)
+ */
+function drawShadedBuilding(building, stylePanes, frameAlpha = 1) {
+  building.parts.forEach(part => {
+    if (part.role === 'roof') return;
     push();
-    translate(0, -building.height * 0.1, 0);
-    const isLit = noise(building.x * 0.1, building.z * 0.1) > 0.7;
-    applyMaterial({
-      specular: isLit ? [140, 160, 190] : [100, 120, 150],
-      shininess: 200,
-      metallic: 0.1,
-      roughness: 0.1,
-      reflectivity: 0.8,
-      subsurface: isLit ? 0.3 : 0.1
-    });
-    
-    if (isLit) {
-      emissiveMaterial(50, 60, 80);
-      fill(60, 90, 120, 200);
-    } else {
-      fill(25, 35, 50, 220);
-    }
-    
-    drawWindowGrid(building.width, building.height * 0.8, building.depth);
-    scale(1.01);
-    box(building.width, building.height * 0.8, building.depth);
+    translate(part.x, part.y, part.z);
+    drawPartShape(part);
+    if (part.role === 'body') drawFacade(part, stylePanes, frameAlpha);
     pop();
-    
+  });
+}
+
+/**
+ * Flat-coloured window panes, blending toward Phase 3's on the way there
+ * @function styleFlatPanes
+ * @param {boolean} isLit - Whether the panes are lit windows
+ */
+function styleFlatPanes(isLit) {
+  const transition = styleTransition();
+  
+  if (transition > 0.7) {
+    const blendAmount = map(transition, 0.7, 1, 0, 1, true);
+    fill(
+      ...(isLit ? 
+        lerpArray([50, 65, 90], [50, 70, 100], blendAmount) :
+        lerpArray([25, 30, 40], [30, 40, 60], blendAmount)),
+      lerp(255, 200, blendAmount)
+    );
+  } else {
+    fill(isLit ? [50, 65, 90] : [25, 30, 40]);
+  }
+}
+
+/**
+ * Translucent window panes
+ * @function styleTexturedPanes
+ * @param {boolean} isLit - Whether the panes are lit windows
+ */
+function styleTexturedPanes(isLit) {
+  fill(isLit ? [50, 70, 100, 200] : [30, 40, 60, 200]);
+}
+
+/**
+ * Glossy window panes that glow when lit
+ * @function styleSpecularPanes
+ * @param {boolean} isLit - Whether the panes are lit windows
+ */
+function styleSpecularPanes(isLit) {
+  if (isLit) {
+    fill(55, 80, 110, 190);
+    emissiveMaterial(35, 45, 65);
+  } else {
+    fill(30, 40, 60, 200);
+  }
+  specularMaterial(80, 100, 130, 100);
+  shininess(100);
+}
+
+/**
+ * Draws a building's massing with textured PBR concrete, glass, rooftop units and steel details
+ * @function drawPBRBuilding
+ * @param {Object} building - Building object with position, size, and style properties
+ */
+function drawPBRBuilding(building) {
+  building.parts.forEach(part => {
     push();
-    translate(0, -building.height * 0.55, 0);
-    if (roofTextures.baseColor?.width) {
-      texture(roofTextures.baseColor);
+    translate(part.x, part.y, part.z);
+    if (part.role === 'body') {
+      drawPBRBody(part);
+    } else if (part.role === 'roof') {
+      drawPBRRooftop(part);
     } else {
-      fill(60, 50, 50);
+      drawPBRDetail(part);
     }
-    
-    applyMaterial({
-      specular: [90, 95, 100],
-      shininess: 60,
-      metallic: 0.3,
-      roughness: roofTextures.roughness?.width ?
-        map(brightness(roofTextures.roughness.get(0, 0)), 0, 255, 0.8, 0.4) : 0.6,
-      reflectivity: 0.2
-    });
-    box(building.width * 0.7, building.height * 0.1, building.depth * 0.7);
     pop();
+  });
+}
+
+/**
+ * Draws a body part in textured concrete with its glass facade
+ * @function drawPBRBody
+ * @param {Object} part - Body part of the building's massing
+ */
+function drawPBRBody(part) {
+  push();
+  if (concreteTextures.baseColor?.width) {
+    texture(concreteTextures.baseColor);
   } else {
-    box(building.width, building.height, building.depth);
-    
-    if (renderPhase >= 1) {
-      const isLit = noise(building.x * 0.1, building.z * 0.1) > 0.7;
-      push();
-      translate(0, -building.height * 0.1, 0);
-      noStroke();
-      
-      const isTransitionToPhase2 = (renderPhase === 1 && transitionProgress > 0);
-      
-      if (renderPhase === 1 && !isTransitionToPhase2) {
-        fill(isLit ? [50, 65, 90] : [25, 30, 40]);
-      } else if (renderPhase === 1 && isTransitionToPhase2) {
-        if (transitionProgress > 0.7) {
-          const blendAmount = map(transitionProgress, 0.7, 1, 0, 1, true);
-          fill(
-            ...(isLit ? 
-              lerpArray([50, 65, 90], [50, 70, 100], blendAmount) :
-              lerpArray([25, 30, 40], [30, 40, 60], blendAmount)),
-            lerp(255, 200, blendAmount)
-          );
-        } else {
-          fill(isLit ? [50, 65, 90] : [25, 30, 40]);
-        }
-        
-        if (transitionProgress > 0.8) {
-          drawWindowGridWithAlpha(building.width, building.height * 0.8, building.depth, map(transitionProgress, 0.8, 1, 0, 1, true));
-        }
-      } else if (renderPhase === 2) {
-        fill(isLit ? [50, 70, 100, 200] : [30, 40, 60, 200]);
-        drawWindowGrid(building.width, building.height * 0.8, building.depth);
-      } else if (renderPhase >= 3) {
-        if (isLit) {
-          fill(55, 80, 110, 190);
-          emissiveMaterial(35, 45, 65);
-        } else {
-          fill(30, 40, 60, 200);
-        }
-        specularMaterial(80, 100, 130, 100);
-        shininess(100);
-        drawWindowGrid(building.width, building.height * 0.8, building.depth);
-      }
-      
-      scale(1.01);
-      box(building.width, building.height * 0.8, building.depth);
-      pop();
-    }
+    fill(100, 100, 100);
   }
   
+  applyMaterial({
+    specular: [80, 90, 100],
+    shininess: 40,
+    metallic: 0.2,
+    roughness: concreteTextures.roughness?.width ? 
+      map(brightness(concreteTextures.roughness.get(0, 0)), 0, 255, 0.9, 0.3) : 0.7,
+    reflectivity: 0.1,
+    maps: concreteTextures
+  });
+  drawPartShape(part);
   pop();
+  
+  drawFacade(part, stylePBRPanes);
+}
+
+/**
+ * Textured PBR glass panes, lit ones glowing from within
+ * @function stylePBRPanes
+ * @param {boolean} isLit - Whether the panes are lit windows
+ */
+function stylePBRPanes(isLit) {
+  const glass = {
+    specular: isLit ? [140, 160, 190] : [100, 120, 150],
+    shininess: 200,
+    metallic: 0.1,
+    roughness: 0.1,
+    reflectivity: 0.8,
+    subsurface: isLit ? 0.3 : 0.1
+  };
+  
+  if (glassTextures.baseColor?.width) {
+    texture(glassTextures.baseColor);
+    tint(...(isLit ? [80, 110, 145, 200] : [35, 45, 60, 220]));
+    applyMaterial({ ...glass, maps: glassTextures });
+  } else {
+    fill(...(isLit ? [60, 90, 120, 200] : [25, 35, 50, 220]));
+    applyMaterial(glass);
+  }
+  // After applyMaterial, which spends the emissive colour on subsurface glow
+  if (isLit) emissiveMaterial(50, 60, 80);
+}
+
+/**
+ * Draws a rooftop plant room in textured roofing
+ * @function drawPBRRooftop
+ * @param {Object} part - Roof part of the building's massing
+ */
+function drawPBRRooftop(part) {
+  if (roofTextures.baseColor?.width) {
+    texture(roofTextures.baseColor);
+  } else {
+    fill(60, 50, 50);
+  }
+  
+  applyMaterial({
+    specular: [90, 95, 100],
+    shininess: 60,
+    metallic: 0.3,
+    roughness: roofTextures.roughness?.width ?
+      map(brightness(roofTextures.roughness.get(0, 0)), 0, 255, 0.8, 0.4) : 0.6,
+    reflectivity: 0.2,
+    maps: roofTextures
+  });
+  drawPartShape(part);
+}
+
+/**
+ * Draws a spire or antenna in brushed steel
+ * @function drawPBRDetail
+ * @param {Object} part - Detail part of the building's massing
+ */
+function drawPBRDetail(part) {
+  fill(150, 155, 165);
+  applyMaterial({
+    specular: [200, 205, 215],
+    shininess: 120,
+    metallic: 0.9,
+    roughness: 0.3,
+    reflectivity: 0.6
+  });
+  drawPartShape(part);
 }
 
 /**
@@ -879,231 +2008,218 @@ function drawBuilding(building) {
  * @param {Object} tree - Tree object with position, size, and type properties
  */
 function drawTree(tree) {
-  const renderMode = renderPhase >= 4 ? "pbr" : "normal";
-  
   push();
   translate(tree.x, 0, tree.z);
   
-  // Add subtle sway based on wind noise
-  const time = frameCount * 0.01;
-  const windStrength = noise(tree.x * 0.01, tree.z * 0.01, time) * 0.05;
+  // Add subtle sway based on wind noise, stronger as the weather blows harder
+  const time = clockTime * 0.6;
+  const windStrength = noise(tree.x * 0.01, tree.z * 0.01, time) * 0.05 * (0.4 + weather.wind * 0.6);
   const swayAmount = sin(time + tree.swayOffset) * windStrength * tree.height;
   
   rotateY(swayAmount);
   
-  if (renderPhase === 0) {
-    // Wireframe mode with progressive drawing effect
-    noFill();
-    stroke(0, 255, 100);
-    strokeWeight(1.5);
+  objectPhase().render.tree?.(tree);
+  pop();
+}
+
+/**
+ * Draws a tree as vector display outlines, growing after the buildings
+ * @function drawWireframeTree
+ * @param {Object} tree - Tree object with position, size, and type properties
+ */
+function drawWireframeTree(tree) {
+  // Wireframe mode with progressive drawing effect
+  applyWireframeStyle();
+  
+  // Apply the wireframe animation progress
+  const treeProgress = buildingDrawProgress > 0.3 ? treeDrawProgress : 0;
+  const drawHeight = tree.height * treeProgress;
+  const drawCanopy = treeProgress > 0.6;
+  
+  // Draw trunk with progress
+  if (treeProgress > 0) {
+    push();
+    const actualTrunkHeight = min(drawHeight, tree.trunkHeight);
+    translate(0, -actualTrunkHeight/2, 0);
     
-    // Apply the wireframe animation progress
-    const treeProgress = buildingDrawProgress > 0.3 ? treeDrawProgress : 0;
-    const drawHeight = tree.height * treeProgress;
-    const drawCanopy = treeProgress > 0.6;
+    // Draw trunk wireframe
+    drawVectorBox(tree.trunkWidth, actualTrunkHeight, tree.trunkWidth);
+    pop();
     
-    // Draw trunk with progress
-    if (treeProgress > 0) {
+    // Draw canopy with progress
+    if (drawCanopy) {
+      const canopyProgress = map(treeProgress, 0.6, 1, 0, 1, true);
+      
       push();
-      const actualTrunkHeight = min(drawHeight, tree.trunkHeight);
-      translate(0, -actualTrunkHeight/2, 0);
+      translate(0, -tree.trunkHeight - tree.canopySize/2, 0);
       
-      // Draw trunk wireframe
-      box(tree.trunkWidth, actualTrunkHeight, tree.trunkWidth);
-      pop();
+      // Pine tree - progressive cone drawing (now for all trees)
+      const layers = 5;
+      const layerHeight = tree.height * 0.7 / layers;
+      const maxLayers = floor(layers * canopyProgress);
       
-      // Draw canopy with progress
-      if (drawCanopy) {
-        const canopyProgress = map(treeProgress, 0.6, 1, 0, 1, true);
-        
+      for (let i = 0; i < maxLayers; i++) {
         push();
-        translate(0, -tree.trunkHeight - tree.canopySize/2, 0);
+        const layerY = -i * layerHeight;
+        translate(0, layerY, 0);
+        const layerScale = map(i, 0, layers-1, 1, 0.4);
+        const layerSize = tree.canopySize * layerScale;
         
-        // Pine tree - progressive cone drawing (now for all trees)
-        const layers = 5;
-        const layerHeight = tree.height * 0.7 / layers;
-        const maxLayers = floor(layers * canopyProgress);
-        
-        for (let i = 0; i < maxLayers; i++) {
-          push();
-          const layerY = -i * layerHeight;
-          translate(0, layerY, 0);
-          const layerScale = map(i, 0, layers-1, 1, 0.4);
-          const layerSize = tree.canopySize * layerScale;
-          
-          // Wireframe cone
-          beginShape();
-          for (let angle = 0; angle < TWO_PI; angle += PI/4) {
-            const px = cos(angle) * layerSize/2;
-            const pz = sin(angle) * layerSize/2;
-            vertex(px, 0, pz);
-            vertex(0, -layerHeight, 0);
-          }
-          endShape(CLOSE);
-          pop();
-        }
+        // Wireframe cone
+        drawVectorCone(layerSize/2, layerHeight, 8);
         pop();
       }
+      pop();
     }
-  } else {
-    // Rest of the existing tree rendering code for other phases
-    // Trunk
-    push();
-    translate(0, -tree.trunkHeight/2, 0);
-    
-    if (renderPhase === 1) {
-      noStroke();
-      fill(110, 80, 40);
-    } else if (renderPhase >= 2) {
-      noStroke();
-      fill(90, 60, 30);
-      
-      if (renderPhase >= 3) {
-        specularMaterial(120, 90, 50);
-        shininess(10);
-      }
-      
-      if (renderPhase >= 4) {
-        applyMaterial({
-          specular: [120, 90, 50],
-          shininess: 10,
-          metallic: 0.0,
-          roughness: 0.9,
-          reflectivity: 0.1
-        });
-      }
-    }
-    
-    box(tree.trunkWidth, tree.trunkHeight, tree.trunkWidth);
-    pop();
-    
-    // Canopy
+  }
+}
+
+/**
+ * Draws a solid tree: a box trunk under a stack of cone layers
+ * @function drawSolidTree
+ * @param {Object} tree - Tree object with position, size, and type properties
+ * @param {Function} trunkSurface - Sets up the trunk's fill and material
+ * @param {Function} canopySurface - Sets up a canopy layer, given (isPine, layer, layers)
+ */
+function drawSolidTree(tree, trunkSurface, canopySurface) {
+  // Trunk
+  push();
+  translate(0, -tree.trunkHeight/2, 0);
+  noStroke();
+  trunkSurface();
+  box(tree.trunkWidth, tree.trunkHeight, tree.trunkWidth);
+  pop();
+  
+  // Canopy
+  push();
+  translate(0, -tree.trunkHeight - tree.canopySize/2, 0);
+  
+  // Use pine tree cone style for all trees
+  const layers = 6;
+  const layerHeight = tree.height / (layers * 1.2);
+  const baseSize = tree.canopySize;
+  
+  // Determine color based on original tree type
+  const isOriginallyPine = tree.type === 'pine';
+  
+  // Start from bottom layer
+  for (let i = 0; i < layers; i++) {
     push();
-    translate(0, -tree.trunkHeight - tree.canopySize/2, 0);
+    // Position each layer from bottom to top
+    const layerY = -(i * layerHeight);
+    translate(0, layerY, 0);
+    const layerScale = map(i, 0, layers-1, 1, 0.4); // Larger at bottom, smaller at top
+    const layerSize = baseSize * layerScale;
     
-    // Use pine tree cone style for all trees
-    const layers = 6;
-    const layerHeight = tree.height / (layers * 1.2);
-    const baseSize = tree.canopySize;
+    // Solid cone with slight random variation
+    const randOffset = random(-0.1, 0.1);
+    canopySurface(isOriginallyPine, i, layers);
     
-    // Determine color based on original tree type
-    const isOriginallyPine = tree.type === 'pine';
+    // Cone for tree
+    translate(0, -layerHeight/2, 0);
+    const coneSize = layerSize * (1 + randOffset);
+    const coneHeight = layerHeight * (1 - abs(randOffset));
     
-    // Start from bottom layer
-    for (let i = 0; i < layers; i++) {
-      push();
-      // Position each layer from bottom to top
-      const layerY = -(i * layerHeight);
-      translate(0, layerY, 0);
-      const layerScale = map(i, 0, layers-1, 1, 0.4); // Larger at bottom, smaller at top
-      const layerSize = baseSize * layerScale;
-      
-      if (renderPhase === 0) {
-        // Wireframe cone
-        beginShape();
-        for (let angle = 0; angle < TWO_PI; angle += PI/8) {
-          const px = cos(angle) * layerSize/2;
-          const pz = sin(angle) * layerSize/2;
-          vertex(px, 0, pz);
-          vertex(0, -layerHeight, 0); // Point upward
-        }
-        endShape(CLOSE);
-      } else {
-        // Solid cone with slight random variation
-        const randOffset = random(-0.1, 0.1);
-        
-        // Apply texture in phases 2 and above if available
-        if (renderPhase >= 2 && leafTexture) {
-          // Use texture for canopy
-          texture(leafTexture);
-          // Tint the texture to maintain color variation
-          if (isOriginallyPine) {
-            tint(30, 80, 40);
-          } else {
-            tint(40, 120, 50);
-          }
-        } else if (renderPhase >= 4) {
-          // PBR material settings
-          if (leafTexture) {
-            texture(leafTexture);
-            if (isOriginallyPine) {
-              tint(20 + random(-5, 5), 60 + random(-10, 10) + (layers - i) * 2, 30 + random(-5, 5));
-            } else {
-              tint(30 + random(-5, 5), 100 + random(-15, 15) + (layers - i) * 3, 40 + random(-8, 8));
-            }
-          } else {
-            // Fallback for color
-            if (isOriginallyPine) {
-              const layerColor = color(
-                20 + random(-5, 5),
-                60 + random(-10, 10) + (layers - i) * 2, 
-                30 + random(-5, 5)
-              );
-              fill(layerColor);
-            } else {
-              const layerColor = color(
-                30 + random(-5, 5),
-                100 + random(-15, 15) + (layers - i) * 3,
-                40 + random(-8, 8)
-              );
-              fill(layerColor);
-            }
-          }
-        } else if (renderPhase >= 1) {
-          if (leafTexture) {
-            texture(leafTexture);
-            if (isOriginallyPine) {
-              tint(30, 80, 40);
-            } else {
-              tint(40, 120, 50);
-            }
-          } else {
-            if (isOriginallyPine) {
-              fill(30, 80, 40);
-            } else {
-              fill(40, 120, 50);
-            }
-          }
-        }
-        
-        // Cone for tree
-        translate(0, -layerHeight/2, 0);
-        const coneSize = layerSize * (1 + randOffset);
-        const coneHeight = layerHeight * (1 - abs(randOffset));
-        
-        // Pine tree shape
-        push();
-        const droop = map(i, 0, layers-1, 0.1, 0.05); 
-        rotateX(-droop); 
-        if (leafTexture) {
-          rotateY(i * PI/3 + tree.swayOffset);
-        }
-        cone(coneSize, coneHeight);
-        pop();
-        if (leafTexture && renderPhase >= 1) {
-          noTint();
-        }
-      }
-      pop();
+    // Pine tree shape
+    push();
+    const droop = map(i, 0, layers-1, 0.1, 0.05); 
+    rotateX(-droop); 
+    if (leafTexture) {
+      rotateY(i * PI/3 + tree.swayOffset);
+    }
+    cone(coneSize, coneHeight);
+    pop();
+    if (leafTexture) {
+      noTint();
     }
     pop();
   }
   pop();
 }
 
+// Trunk surfaces for drawSolidTree, from flat colour to PBR
+function flatTrunkSurface() {
+  fill(110, 80, 40);
+}
+
+function barkTrunkSurface() {
+  fill(90, 60, 30);
+}
+
+function specularTrunkSurface() {
+  barkTrunkSurface();
+  specularMaterial(120, 90, 50);
+  shininess(10);
+}
+
+function pbrTrunkSurface() {
+  specularTrunkSurface();
+  applyMaterial({
+    specular: [120, 90, 50],
+    shininess: 10,
+    metallic: 0.0,
+    roughness: 0.9,
+    reflectivity: 0.1
+  });
+}
+
+/**
+ * Textures a canopy layer with the leaf texture, tinted by tree type
+ * @function applyLeafTexture
+ * @param {boolean} isPine - Whether the tree was generated as a pine
+ * @returns {boolean} False if the leaf texture is not available
+ */
+function applyLeafTexture(isPine) {
+  if (!leafTexture) return false;
+  texture(leafTexture);
+  // Tint the texture to maintain color variation
+  if (isPine) {
+    tint(30, 80, 40);
+  } else {
+    tint(40, 120, 50);
+  }
+  return true;
+}
+
+// Canopy surfaces for drawSolidTree when no leaf texture is loaded
+function flatCanopySurface(isPine) {
+  if (applyLeafTexture(isPine)) return;
+  if (isPine) {
+    fill(30, 80, 40);
+  } else {
+    fill(40, 120, 50);
+  }
+}
+
+function pbrCanopySurface(isPine, layer, layers) {
+  if (applyLeafTexture(isPine)) return;
+  // Fallback for color
+  if (isPine) {
+    fill(20 + random(-5, 5), 60 + random(-10, 10) + (layers - layer) * 2, 30 + random(-5, 5));
+  } else {
+    fill(30 + random(-5, 5), 100 + random(-15, 15) + (layers - layer) * 3, 40 + random(-8, 8));
+  }
+}
+
 
+/**
+ * Lays roads along the edges of every city block, with an intersection tile
+ * wherever two of them cross. Roads carry on one block past the city
+ * @function generateRoads
+ */
 function generateRoads() {
-  const gridSize = 5;
-  const spacing = 200;  // Same spacing as buildings
-  const halfGrid = gridSize / 2;
+  const { columns, rows, spacing } = citySettings;
+  const halfWidth = columns * spacing / 2;
+  const halfDepth = rows * spacing / 2;
   
   // Generate horizontal roads (along X axis)
-  for (let z = -halfGrid; z <= halfGrid; z++) {
+  for (let row = 0; row <= rows; row++) {
+    const z = row * spacing - halfDepth;
     roads.push({
-      x1: -halfGrid * spacing - 200,
-      z1: z * spacing,
-      x2: halfGrid * spacing + 200,
-      z2: z * spacing,
+      x1: -halfWidth - spacing,
+      z1: z,
+      x2: halfWidth + spacing,
+      z2: z,
       width: ROAD_WIDTH,
       isIntersection: false,
       direction: 'horizontal'
@@ -1111,12 +2227,13 @@ function generateRoads() {
   }
   
   // Generate vertical roads (along Z axis)
-  for (let x = -halfGrid; x <= halfGrid; x++) {
+  for (let col = 0; col <= columns; col++) {
+    const x = col * spacing - halfWidth;
     roads.push({
-      x1: x * spacing,
-      z1: -halfGrid * spacing - 200,
-      x2: x * spacing,
-      z2: halfGrid * spacing + 200,
+      x1: x,
+      z1: -halfDepth - spacing,
+      x2: x,
+      z2: halfDepth + spacing,
       width: ROAD_WIDTH,
       isIntersection: false,
       direction: 'vertical'
@@ -1124,25 +2241,18 @@ function generateRoads() {
   }
   
   // Mark intersections
-  for (let i = 0; i < roads.length; i++) {
-    const road1 = roads[i];
-    if (road1.direction === 'horizontal') {
-      for (let j = 0; j < roads.length; j++) {
-        const road2 = roads[j];
-        if (road2.direction === 'vertical') {
-          // Check if roads intersect
-          if (Math.abs(road1.z1 - road2.x1) < ROAD_WIDTH / 2) {
-            roads.push({
-              x1: road2.x1 - ROAD_WIDTH / 2,
-              z1: road1.z1 - ROAD_WIDTH / 2,
-              x2: road2.x1 + ROAD_WIDTH / 2,
-              z2: road1.z1 + ROAD_WIDTH / 2,
-              width: ROAD_WIDTH,
-              isIntersection: true
-            });
-          }
-        }
-      }
+  for (let row = 0; row <= rows; row++) {
+    for (let col = 0; col <= columns; col++) {
+      const x = col * spacing - halfWidth;
+      const z = row * spacing - halfDepth;
+      roads.push({
+        x1: x - ROAD_WIDTH / 2,
+        z1: z - ROAD_WIDTH / 2,
+        x2: x + ROAD_WIDTH / 2,
+        z2: z + ROAD_WIDTH / 2,
+        width: ROAD_WIDTH,
+        isIntersection: true
+      });
     }
   }
 }
@@ -1153,188 +2263,319 @@ function generateRoads() {
  * @param {number} opacity - Opacity value for road rendering (0-1)
  */
 function drawRoads(opacity = 1.0) {
+  if (!roadGeometry) return;
   push();
   noStroke();
   
   // Road material (asphalt)
   fill(30, 30, 35, 255 * opacity);
-  specularMaterial(60, 60, 65, 255 * opacity);
-  shininess(20);
   applyMaterial({
     specular: [60, 60, 65],
     shininess: 20,
     metallic: 0.0,
     roughness: 0.8,
     reflectivity: 0.1
-  });
+  }, opacity);
+  model(roadGeometry.surface);
   
-  // Road segments
-  for (let road of roads) {
-    push();
-    if (road.isIntersection) {
-      translate((road.x1 + road.x2) / 2, 1, (road.z1 + road.z2) / 2);
-      box(ROAD_WIDTH, 2, ROAD_WIDTH);
-    } else if (road.direction === 'horizontal') {
-      const length = road.x2 - road.x1;
-      translate((road.x1 + road.x2) / 2, 1, road.z1);
-      box(length, 2, road.width);
+  // Dashed lines
+  fill(255, 255, 255, 220 * opacity);
+  specularMaterial(255, 255, 255, 150 * opacity);
+  model(roadGeometry.markings);
+  
+  pop();
+}
+
+/**
+ * Builds every road surface, and separately every lane marking dash, into
+ * retained geometry so each is drawn with a single call
+ * @function buildRoadGeometry
+ * @returns {Object} surface and markings p5.Geometry
+ */
+function buildRoadGeometry() {
+  const surface = buildRetainedGeometry(() => {
+    for (let road of roads) {
       push();
-      translate(0, 0.1, 0);
-      fill(255, 255, 255, 220 * opacity);
-      specularMaterial(255, 255, 255, 150 * opacity);
-      
-      // Dashed line
-      const dashCount = Math.floor(length / 30);
-      const dashLength = 10;
-      const dashGap = 20;
-      
-      for (let i = 0; i < dashCount; i++) {
-        push();
-        const xPos = -length/2 + i * (dashLength + dashGap) + dashLength/2;
-        translate(xPos, 0.1, 0);
-        box(dashLength, 0.5, 1);
-        pop();
+      if (road.isIntersection) {
+        translate((road.x1 + road.x2) / 2, 1, (road.z1 + road.z2) / 2);
+        box(ROAD_WIDTH, 2, ROAD_WIDTH);
+      } else if (road.direction === 'horizontal') {
+        translate((road.x1 + road.x2) / 2, 1, road.z1);
+        box(road.x2 - road.x1, 2, road.width);
+      } else {
+        translate(road.x1, 1, (road.z1 + road.z2) / 2);
+        box(road.width, 2, road.z2 - road.z1);
       }
       pop();
-    } else if (road.direction === 'vertical') {
-      const length = road.z2 - road.z1;
-      translate(road.x1, 1, (road.z1 + road.z2) / 2);
-      box(road.width, 2, length);
-      push();
-      translate(0, 0.1, 0);
-      fill(255, 255, 255, 220 * opacity);
-      specularMaterial(255, 255, 255, 150 * opacity);
-      
-      // Dashed line
+    }
+  });
+  
+  const markings = buildRetainedGeometry(() => {
+    const dashLength = 10;
+    const dashGap = 20;
+    for (let road of roads) {
+      if (road.isIntersection) continue;
+      const horizontal = road.direction === 'horizontal';
+      const length = horizontal ? road.x2 - road.x1 : road.z2 - road.z1;
       const dashCount = Math.floor(length / 30);
-      const dashLength = 10;
-      const dashGap = 20;
       
       for (let i = 0; i < dashCount; i++) {
+        const offset = -length/2 + i * (dashLength + dashGap) + dashLength/2;
         push();
-        const zPos = -length/2 + i * (dashLength + dashGap) + dashLength/2;
-        translate(0, 0.1, zPos);
-        box(1, 0.5, dashLength);
+        if (horizontal) {
+          translate((road.x1 + road.x2) / 2 + offset, 1.2, road.z1);
+          box(dashLength, 0.5, 1);
+        } else {
+          translate(road.x1, 1.2, (road.z1 + road.z2) / 2 + offset);
+          box(1, 0.5, dashLength);
+        }
         pop();
       }
-      pop();
     }
-    pop();
-  }
+  });
   
-  // Ambient occlusion for road edges (Not perfect)
-  for (const building of buildings) {
-    for (const road of roads) {
-      if (!road.isIntersection) {
-        if (road.direction === 'horizontal' && 
-            Math.abs(road.z1 - building.z) < (building.depth/2 + road.width/2) &&
-            building.x > road.x1 && building.x < road.x2) {
-          push();
-          translate(building.x, 1.05, road.z1);
-          fill(0, 0, 0, 120 * opacity);
-          box(building.width * 1.2, 0.2, road.width);
-          pop();
-        }
-        else if (road.direction === 'vertical' && 
-                Math.abs(road.x1 - building.x) < (building.width/2 + road.width/2) &&
-                building.z > road.z1 && building.z < road.z2) {
-          push();
-          translate(road.x1, 1.05, building.z);
-          fill(0, 0, 0, 120 * opacity);
-          box(road.width, 0.2, building.depth * 1.2);
-          pop();
-        }
-      }
+  return { surface, markings };
+}
+
+/**
+ * Layout of the street lamps: one on the same corner of every intersection,
+ * so they form a grid. raytrace.frag lights the ground from this grid
+ * @function streetLightGrid
+ * @returns {Object} origin [x, z] of the first lamp, spacing between lamps
+ *   and count [along x, along z]
+ */
+function streetLightGrid() {
+  const { columns, rows, spacing } = citySettings;
+  return {
+    origin: [-columns * spacing / 2 + STREET_LIGHT_OFFSET, -rows * spacing / 2 + STREET_LIGHT_OFFSET],
+    spacing: spacing,
+    count: [columns + 1, rows + 1]
+  };
+}
+
+/**
+ * Puts up a street lamp beside every road intersection
+ * @function generateStreetLights
+ */
+function generateStreetLights() {
+  const { origin, spacing, count } = streetLightGrid();
+  for (let row = 0; row < count[1]; row++) {
+    for (let col = 0; col < count[0]; col++) {
+      streetLights.push({ x: origin[0] + col * spacing, z: origin[1] + row * spacing });
     }
   }
+}
+
+/**
+ * Builds the street lamps into retained geometry: their posts, the lamp
+ * heads that glow at night and the pools of light beneath them. Each pool is
+ * three stacked discs, brightest in the middle where they overlap
+ * @function buildStreetLightGeometry
+ * @returns {Object} posts, lamps and pools p5.Geometry
+ */
+function buildStreetLightGeometry() {
+  const posts = buildRetainedGeometry(() => {
+    streetLights.forEach(light => {
+      push();
+      translate(light.x, -STREET_LIGHT_HEIGHT / 2, light.z);
+      box(2, STREET_LIGHT_HEIGHT, 2);
+      pop();
+    });
+  });
+  
+  const lamps = buildRetainedGeometry(() => {
+    streetLights.forEach(light => {
+      push();
+      translate(light.x, -STREET_LIGHT_HEIGHT, light.z);
+      box(7, 2, 7);
+      pop();
+    });
+  });
+  
+  // Just above the ground, which tops out at y = -5
+  const pools = buildRetainedGeometry(() => {
+    streetLights.forEach(light => {
+      [1, 0.66, 0.33].forEach((scale, i) => {
+        push();
+        translate(light.x, -5.2 - i * 0.2, light.z);
+        cylinder(STREET_LIGHT_REACH * scale, 0.1, 24, 1);
+        pop();
+      });
+    });
+  });
+  
+  return { posts, lamps, pools };
+}
+
+/**
+ * Draws the street lamps, lit from dusk to dawn. Lamp heads and their pools
+ * of light glow without lighting or the phase's material shader, and the
+ * pools add to what is beneath them
+ * @function drawStreetLights
+ * @param {number} opacity - Opacity value for the street lights (0-1)
+ */
+function drawStreetLights(opacity = 1.0) {
+  if (!streetLightGeometry) return;
+  push();
+  noStroke();
+  
+  fill(60, 62, 68, 255 * opacity);
+  model(streetLightGeometry.posts);
+  
+  const glow = dayCycle.lightsOn * lightingIntensity * opacity;
+  resetShader();
+  noLights();
+  fill(...lerpArray([90, 90, 85], STREET_LIGHT_COLOR, dayCycle.lightsOn), 255 * opacity);
+  model(streetLightGeometry.lamps);
+  
+  if (glow > 0) {
+    blendMode(ADD);
+    fill(...STREET_LIGHT_COLOR, 30 * glow);
+    model(streetLightGeometry.pools);
+    blendMode(BLEND);
+  }
   pop();
 }
 
 /**
- * Renders rain effects including particles and puddles
+ * Renders the rain and snow the weather brings, and the puddles the rain
+ * leaves. Every phase shows the weather in the look its style gives the rain
  * @function drawRain
  * @param {number} opacity - Opacity value for rain effects (0-1)
  */
 function drawRain(opacity = 1.0) {
-  const isPhase3 = renderPhase === 3;
-  const rainColor = isPhase3 ? [220, 230, 255, 220 * opacity] : [150, 200, 255, 150 * opacity];
+  const rain = PHASE_STYLES[renderPhase].rain || LIGHT_RAIN;
+  const [r, g, b, a] = rain.color;
+  const rainAmount = weather.rain * precipitationScale;
+  const snowAmount = weather.snow * precipitationScale;
   
-  if (bloomIntensity > 0) {
-    push();
-    stroke(...rainColor.slice(0, 3), rainColor[3] * 0.3);
-    strokeWeight((isPhase3 ? 3 : 2) * bloomIntensity);
-    drawRaindrops(opacity, true);
-    pop();
+  if (rainAmount > 0.01) {
+    if (bloomIntensity > 0) {
+      push();
+      fill(r, g, b, a * opacity * 0.3);
+      drawRaindrops(rain, rainAmount, true);
+      pop();
+    }
+    
+    fill(r, g, b, a * opacity);
+    drawRaindrops(rain, rainAmount, false);
   }
   
-  stroke(...rainColor);
-  strokeWeight(isPhase3 ? 1.5 : 1);
-  drawRaindrops(opacity, false);
+  if (snowAmount > 0.01) {
+    // Snowflakes take the phase's rain colour, washed out toward white
+    const [sr, sg, sb, sa] = lerpArray(rain.color, [255, 255, 255, 255], 0.6);
+    fill(sr, sg, sb, sa * opacity);
+    drawPrecipitation({
+      fall: snowFall,
+      visible: snowAmount / MAX_PRECIPITATION,
+      length: 0.12,
+      thickness: 3,
+      slant: windSlant.map(v => v * 2),
+      flutter: 12
+    });
+  }
   
-  if (renderPhase >= 3) {
-    drawRainPuddles(isPhase3 ? rainIntensity : opacity * rainIntensity);
+  if (rain.puddles && groundWetness > 0.01) {
+    drawRainPuddles(rain.puddles, opacity * groundWetness * (1 - snowCover));
   }
 }
 
 /**
- * Renders individual raindrop particles
+ * Renders the raindrops, leaning with the wind
  * @function drawRaindrops
- * @param {number} opacity - Opacity value for raindrops (0-1)
- * @param {boolean} isGlow - Whether to render glow effect
- */
-function drawRaindrops(opacity, isGlow) {
-  const effectiveRaindrops = floor(raindrops.length * rainIntensity);
-  const visibleDrops = isGlow ? Math.floor(effectiveRaindrops * 0.3) : Math.floor(effectiveRaindrops * (renderPhase === 3 ? 1 : 0.7));
-  
-  for (let i = 0; i < visibleDrops; i++) {
-    const drop = raindrops[i];
-    const dropSpeed = (renderPhase === 3 ? drop.speed * 1.5 : drop.speed) * rainIntensity;
-    const windOffset = sin(frameCount * 0.01 + drop.y * 0.01) * 2;
-    const dropLength = renderPhase === 3 ? drop.length * 1.5 : drop.length;
-    
-    strokeWeight(isGlow ? drop.thickness * 3 : drop.thickness * (renderPhase === 3 ? 2 : 1));
-    line(
-      drop.x + windOffset, drop.y, drop.z,
-      drop.x + windOffset * 1.5, drop.y + dropLength, drop.z
-    );
-    
-    drop.y += dropSpeed;
-    drop.x += windOffset * 0.1;
-    
-    if (drop.y > 50) {
-      drop.y = random(-1000, -50);
-      drop.x = random(-1000, 1000);
-      drop.z = random(-1000, 1000);
-    }
-  }
+ * @param {Object} rain - Rain settings from the phase style
+ * @param {number} amount - How hard it is raining, 0 to MAX_PRECIPITATION
+ * @param {boolean} isGlow - Whether to render the glow, widened by bloomIntensity
+ */
+function drawRaindrops(rain, amount, isGlow) {
+  drawPrecipitation({
+    fall: rainFall,
+    visible: amount / MAX_PRECIPITATION * (isGlow ? 0.3 : rain.density),
+    length: rain.length,
+    // The glow is twice the drop's width at full bloom and fades out with it
+    thickness: isGlow ? rain.thickness * 2 * bloomIntensity : rain.thickness,
+    slant: windSlant,
+    flutter: 0
+  });
+}
+
+/**
+ * Renders raindrops or snowflakes in one draw call; rain.vert works out
+ * where each has fallen to
+ * @function drawPrecipitation
+ * @param {Object} settings - How far they have fallen, the share of them
+ *   shown, length and thickness scales, the wind's slant [x, z] and how far
+ *   they flutter from side to side
+ */
+function drawPrecipitation({ fall, visible, length, thickness, slant, flutter }) {
+  if (!rainShader || !rainGeometry) return;
+  push();
+  noStroke();
+  shader(rainShader);
+  rainShader.setUniform('uFall', fall);
+  rainShader.setUniform('uTime', clockTime);
+  rainShader.setUniform('uExtent', max(1000, cityExtent()));
+  rainShader.setUniform('uVisible', visible);
+  rainShader.setUniform('uLengthScale', length);
+  rainShader.setUniform('uThicknessScale', thickness);
+  rainShader.setUniform('uWind', slant);
+  rainShader.setUniform('uFlutter', flutter);
+  rainShader.setUniform('uResolution', [width, height]);
+  model(rainGeometry);
+  pop();
+}
+
+/**
+ * Advances how far the rain and snow have fallen by the time since the last frame
+ * Kept apart from drawing so every view rendered in a frame shares the same drops
+ * @function updateRaindrops
+ */
+function updateRaindrops() {
+  const rain = PHASE_STYLES[renderPhase].rain || LIGHT_RAIN;
+  // Heavier rain falls a little faster
+  const pace = 0.6 + weather.rain * precipitationScale * 0.4;
+  rainFall = (rainFall + rain.speed * pace * clockDelta) % RAIN_FALL_PERIOD;
+  snowFall = (snowFall + SNOW_FALL_SPEED * clockDelta) % RAIN_FALL_PERIOD;
+}
+
+/**
+ * Draws the snow lying on the ground or the roofs, as thick as snowCover
+ * @function drawSnowCover
+ * @param {p5.Geometry} geometry - snowGeometry.ground or snowGeometry.roofs
+ * @param {number} opacity - Opacity value for the snow (0-1)
+ */
+function drawSnowCover(geometry, opacity = 1.0) {
+  if (!geometry || snowCover * opacity <= 0.01) return;
+  push();
+  noStroke();
+  fill(235, 240, 250, 255 * snowCover * opacity);
+  model(geometry);
+  pop();
 }
 
 /**
  * Renders rain puddles on ground surfaces
  * @function drawRainPuddles
+ * @param {Object} puddles - Puddle spacing and [min, max] size from the rain settings
  * @param {number} opacity - Opacity value for puddles (0-1)
  */
-function drawRainPuddles(opacity = 1.0) {
+function drawRainPuddles(puddles, opacity = 1.0) {
   push();
   noStroke();
   
-  if (renderPhase >= 4) {
-    specularMaterial(100, 150, 200, 255 * opacity);
-    shininess(200);
-  } else if (renderPhase === 3) {
-    specularMaterial(90, 130, 180, 255 * opacity);
-    shininess(150);
-  } else if (renderPhase === 2) {
-    fill(40, 70, 120, 150 * opacity);
+  const puddleSurface = PHASES[renderPhase].render.puddles;
+  if (puddleSurface) {
+    puddleSurface(opacity);
   } else {
     fill(20, 40, 80, 100 * opacity);
   }
   
-  const puddleDensity = (renderPhase === 2 || renderPhase === 3) ? 150 : 200;
-  const time = frameCount * 0.01;
+  const time = clockTime * 0.6;
+  // Puddles shift up to 50 either way, so they stay that far inside the ground
+  const extent = cityExtent() - 50;
   
-  for (let x = -700; x <= 700; x += puddleDensity) {
-    for (let z = -700; z <= 700; z += puddleDensity) {
+  for (let x = -extent; x <= extent; x += puddles.spacing) {
+    for (let z = -extent; z <= extent; z += puddles.spacing) {
       push();
       const noiseVal = noise(x * 0.01, z * 0.01, time * 0.1);
       const yOffset = sin(time + noiseVal * TWO_PI) * 0.5;
@@ -1347,21 +2588,19 @@ function drawRainPuddles(opacity = 1.0) {
       
       rotateX(HALF_PI);
       
-      const baseSize = (renderPhase === 2 || renderPhase === 3) ? random(50, 120) : random(30, 100);
+      const baseSize = random(...puddles.size);
       const sizeVariation = sin(time + noiseVal * TWO_PI) * 5;
       const puddleSize = baseSize + sizeVariation;
       
-      if (renderPhase >= 3) {
-        const rippleIntensity = (1 + sin(time * 2 + noiseVal * TWO_PI)) * 0.5;
-        const rippleSize = puddleSize * (1 + rippleIntensity * 0.1);
-        
-        push();
-        noFill();
-        stroke(255, 255, 255, 30 * opacity);
-        strokeWeight(1);
-        ellipse(0, 0, rippleSize, rippleSize * 0.7);
-        pop();
-      }
+      const rippleIntensity = (1 + sin(time * 2 + noiseVal * TWO_PI)) * 0.5;
+      const rippleSize = puddleSize * (1 + rippleIntensity * 0.1);
+      
+      push();
+      noFill();
+      stroke(255, 255, 255, 30 * opacity);
+      strokeWeight(1);
+      ellipse(0, 0, rippleSize, rippleSize * 0.7);
+      pop();
       
       ellipse(0, 0, puddleSize, puddleSize * 0.7);
       pop();
@@ -1377,176 +2616,245 @@ function drawRainPuddles(opacity = 1.0) {
 function drawGround() {
   push();
   translate(0, 0, 0);
-  
-  if (renderPhase >= 4) {
-    if (groundTextures.baseColor?.width) {
-      texture(groundTextures.baseColor);
-    } else {
-      fill(20, 25, 30);
-    }
-    
-    const groundMaterial = {
-      specular: [70, 90, 120],
-      shininess: 100,
-      metallic: 0.1,
-      roughness: 0.8,
-      reflectivity: 0.1
-    };
-    
-    if (groundTextures.roughness?.width) {
-      groundMaterial.roughness = map(
-        brightness(groundTextures.roughness.get(0, 0)),
-        0, 255, 0.9, 0.5
-      );
-    }
-    
-    applyMaterial(groundMaterial);
-  } else if (renderPhase > 0) {
-    fill(20, 30, 40);
-    
-    if (renderPhase >= 2) {
-      const simpleMaterial = {
-        specular: [50, 70, 100],
-        shininess: 50,
-        roughness: 0.7
-      };
-      applyMaterial(simpleMaterial);
-    }
-  }
-  
-  box(1500, 10, 1500);
+  objectPhase().render.ground?.();
+  box(cityExtent() * 2, 10, cityExtent() * 2);
   pop();
 }
 
-/**
- * Renders a window grid for buildings
- * @function drawWindowGrid
- * @param {number} width - Width of the window grid
- * @param {number} height - Height of the window grid
- * @param {number} depth - Depth of window insets
- * @param {number} alpha - Opacity of windows (0-1)
- */
-function drawWindowGrid(width, height, depth, alpha = 1) {
-  const hFrames = 8, vFrames = 8, frameThickness = 1;
-  push();
-  
-  fill(40, 40, 50, 255 * alpha);
-  noStroke();
-  specularMaterial(120, 120, 120, 255 * alpha);
-  shininess(30 * alpha);
-  
-  for (let i = 1; i < vFrames; i++) {
-    const yPos = -height/2 + height * (i/vFrames);
-    push();
-    translate(0, yPos, depth/2 + 0.5);
-    box(width, frameThickness, 1);
-    pop();
-    push();
-    translate(0, yPos, -depth/2 - 0.5);
-    box(width, frameThickness, 1);
-    pop();
+// Ground surfaces, from flat colour to textured PBR
+function flatGroundSurface() {
+  fill(20, 30, 40);
+}
+
+function shadedGroundSurface() {
+  flatGroundSurface();
+  applyMaterial({
+    specular: [50, 70, 100],
+    shininess: 50,
+    roughness: 0.7
+  });
+}
+
+function pbrGroundSurface() {
+  if (groundTextures.baseColor?.width) {
+    texture(groundTextures.baseColor);
+  } else {
+    fill(20, 25, 30);
   }
   
-  for (let i = 1; i < hFrames; i++) {
-    const xPos = -width/2 + width * (i/hFrames);
-    push();
-    translate(xPos, 0, depth/2 + 0.5);
-    box(frameThickness, height, 1);
-    pop();
-    push();
-    translate(xPos, 0, -depth/2 - 0.5);
-    box(frameThickness, height, 1);
-    pop();
-  }
+  const groundMaterial = {
+    specular: [70, 90, 120],
+    shininess: 100,
+    metallic: 0.1,
+    roughness: 0.8,
+    reflectivity: 0.1,
+    maps: groundTextures
+  };
   
-  if (alpha > 0.5) {
-    for (let i = 1; i < vFrames; i++) {
-      const yPos = -height/2 + height * (i/vFrames);
-      push();
-      translate(-width/2 - 0.5, yPos, 0);
-      box(1, frameThickness, depth);
-      pop();
-      push();
-      translate(width/2 + 0.5, yPos, 0);
-      box(1, frameThickness, depth);
-      pop();
-    }
+  if (groundTextures.roughness?.width) {
+    groundMaterial.roughness = map(
+      brightness(groundTextures.roughness.get(0, 0)),
+      0, 255, 0.9, 0.5
+    );
   }
   
-  pop();
+  applyMaterial(groundMaterial);
+}
+
+// Puddle surfaces, given the puddle opacity
+function specularPuddleSurface(opacity) {
+  fill(90, 130, 180, 255 * opacity);
+  specularMaterial(90, 130, 180, 255 * opacity);
+  shininess(150);
+}
+
+function pbrPuddleSurface(opacity) {
+  // Still water is a near-perfect mirror for the sky
+  fill(100, 150, 200, 255 * opacity);
+  applyMaterial({
+    specular: [100, 150, 200],
+    shininess: 200,
+    metallic: 0.0,
+    roughness: 0.05,
+    reflectivity: 1.0
+  });
 }
 
 /**
- * Renders a window grid with alpha blending
- * Used for transitions and special effects
- * @function drawWindowGridWithAlpha
- * @param {number} width - Width of the window grid
- * @param {number} height - Height of the window grid
- * @param {number} depth - Depth of window insets
- * @param {number} alpha - Opacity of windows (0-1)
+ * Draws a body's facade from its retained geometry: the unlit panes, the lit
+ * panes and, over curtain walls, the frames. Every solid phase draws windows
+ * through here and only chooses how the panes look
+ * @function drawFacade
+ * @param {Object} part - Body part of a building's massing
+ * @param {Function} stylePanes - Sets the pane material, given whether the panes are lit
+ * @param {number} frameAlpha - Opacity of the frames (0-1)
  */
-function drawWindowGridWithAlpha(width, height, depth, alpha) {
-  const hFrames = 8, vFrames = 8, frameThickness = 1;
-  push();
-  
-  fill(40, 40, 50, 255 * alpha);
-  noStroke();
-  specularMaterial(120, 120, 120, 255 * alpha);
-  shininess(30 * alpha);
+function drawFacade(part, stylePanes, frameAlpha = 1) {
+  const geometry = part.facadeGeometry;
+  if (!geometry) return;
   
-  for (let i = 1; i < vFrames; i++) {
-    const yPos = -height/2 + height * (i/vFrames);
+  // Lit windows only glow once the lights come on at dusk
+  const windowsOn = dayCycle.lightsOn > 0.5;
+  [false, true].forEach(isLit => {
     push();
-    translate(0, yPos, depth/2 + 0.5);
-    box(width, frameThickness, 1);
-    pop();
-    push();
-    translate(0, yPos, -depth/2 - 0.5);
-    box(width, frameThickness, 1);
+    noStroke();
+    stylePanes(isLit && windowsOn);
+    model(isLit ? geometry.lit : geometry.dark);
     pop();
-  }
+  });
   
-  for (let i = 1; i < hFrames; i++) {
-    const xPos = -width/2 + width * (i/hFrames);
-    push();
-    translate(xPos, 0, depth/2 + 0.5);
-    box(frameThickness, height, 1);
-    pop();
+  if (geometry.frames && frameAlpha > 0) {
     push();
-    translate(xPos, 0, -depth/2 - 0.5);
-    box(frameThickness, height, 1);
+    fill(40, 40, 50, 255 * frameAlpha);
+    noStroke();
+    specularMaterial(120, 120, 120, 255 * frameAlpha);
+    shininess(30 * frameAlpha);
+    model(geometry.frames);
     pop();
   }
-  
-  if (alpha > 0.5) {
-    for (let i = 1; i < vFrames; i++) {
-      const yPos = -height/2 + height * (i/vFrames);
-      push();
-      translate(-width/2 - 0.5, yPos, 0);
-      box(1, frameThickness, depth);
-      pop();
-      push();
-      translate(width/2 + 0.5, yPos, 0);
-      box(1, frameThickness, depth);
-      pop();
-    }
-  }
-  
-  pop();
 }
 
 /**
- * Initializes the 3D scene and all components
- * Sets up camera, lighting, and generates scene elements
- * @function initializeScene
+ * Builds a body's facade layout into retained geometry, one quad per pane
+ * and frame. Panes sit just proud of the wall and frames just proud of the
+ * panes; the band spans the upper 80% of the body, storeys counted from its top
+ * @function buildFacadeGeometry
+ * @param {Object} part - Body part of a building's massing, with its facade
+ * @param {string} name - Prefix for the geometry ids, unique to the part
+ * @returns {Object} dark and lit pane p5.Geometry, and frames (null for punched windows)
+ */
+function buildFacadeGeometry(part, name) {
+  const facade = part.facade;
+  const style = FACADE_STYLES[facade.style];
+  const bandHeight = part.h * 0.8;
+  const bandTop = -part.h * 0.1 - bandHeight / 2;
+  const storeyHeight = bandHeight / facade.floors;
+  const geometry = {
+    dark: facadeGeometry(`${name}-dark`),
+    lit: facadeGeometry(`${name}-lit`),
+    frames: style.frames ? facadeGeometry(`${name}-frames`) : null
+  };
+  
+  facadeBays(part).forEach(({ face, bay, center, normal, right, width }) => {
+    for (let storey = 0; storey < facade.floors; storey++) {
+      const y = bandTop + (storey + 0.5) * storeyHeight;
+      addFacadeQuad(isWindowLit(facade, face, storey, bay) ? geometry.lit : geometry.dark,
+        center, y, 0.3, normal, right, width * style.pane[0], storeyHeight * style.pane[1]);
+      
+      // Each bay carries the transom above it and the mullion on its lower
+      // side, leaving the band's outer edges to the wall
+      if (!geometry.frames) continue;
+      if (storey > 0) {
+        addFacadeQuad(geometry.frames, center, y - storeyHeight / 2, 0.5, normal, right, width, 1);
+      }
+      if (bay > 0 || part.shape === 'cylinder') {
+        const edge = p5.Vector.sub(center, p5.Vector.mult(right, width / 2));
+        addFacadeQuad(geometry.frames, edge, y, 0.5, normal, right, 1, storeyHeight);
+      }
+    }
+  });
+  
+  return geometry;
+}
+
+/**
+ * Splits the walls of a body into window bays, in the order isWindowLit and
+ * raytrace.frag count them. A cylinder's bays are flat panels around it
+ * @function facadeBays
+ * @param {Object} part - Body part of a building's massing, with its facade
+ * @returns {Array} Bays with their face and index, the centre of the bay on the
+ *   wall (y of 0), outward normal, direction along the wall and width
+ */
+function facadeBays(part) {
+  const { baysX, baysZ } = part.facade;
+  const bays = [];
+  
+  if (part.shape === 'cylinder') {
+    const radius = part.w / 2;
+    for (let bay = 0; bay < baysX; bay++) {
+      const angle = -PI + (bay + 0.5) * TWO_PI / baysX;
+      const normal = createVector(cos(angle), 0, sin(angle));
+      bays.push({
+        face: 0, bay, normal,
+        center: p5.Vector.mult(normal, radius),
+        right: createVector(-sin(angle), 0, cos(angle)),
+        width: 2 * radius * sin(PI / baysX)
+      });
+    }
+    return bays;
+  }
+  
+  const walls = [
+    { normal: [0, 0, 1], right: [1, 0, 0], width: part.w, depth: part.d / 2, count: baysX },
+    { normal: [0, 0, -1], right: [1, 0, 0], width: part.w, depth: part.d / 2, count: baysX },
+    { normal: [1, 0, 0], right: [0, 0, 1], width: part.d, depth: part.w / 2, count: baysZ },
+    { normal: [-1, 0, 0], right: [0, 0, 1], width: part.d, depth: part.w / 2, count: baysZ }
+  ];
+  walls.forEach((wall, face) => {
+    const normal = createVector(...wall.normal);
+    const right = createVector(...wall.right);
+    const width = wall.width / wall.count;
+    for (let bay = 0; bay < wall.count; bay++) {
+      const along = -wall.width / 2 + (bay + 0.5) * width;
+      bays.push({
+        face, bay, normal, right, width,
+        center: p5.Vector.add(p5.Vector.mult(normal, wall.depth), p5.Vector.mult(right, along))
+      });
+    }
+  });
+  return bays;
+}
+
+/**
+ * Starts an empty retained geometry for a facade layer. Hand-built geometry
+ * needs its own id for p5 to cache its buffers under
+ * @function facadeGeometry
+ * @param {string} id - Unique geometry id
+ * @returns {p5.Geometry} Empty geometry
+ */
+function facadeGeometry(id) {
+  const geometry = new p5.Geometry();
+  geometry.gid = id;
+  return geometry;
+}
+
+/**
+ * Adds a rectangle facing out of a wall to a facade geometry
+ * @function addFacadeQuad
+ * @param {p5.Geometry} geometry - Geometry to add to
+ * @param {p5.Vector} center - Point on the wall the rectangle is centred on, ignoring y
+ * @param {number} y - Height of the rectangle's centre
+ * @param {number} offset - Distance in front of the wall
+ * @param {p5.Vector} normal - Outward normal of the wall, horizontal
+ * @param {p5.Vector} right - Horizontal direction along the wall
+ * @param {number} width - Width along the wall
+ * @param {number} height - Height of the rectangle
+ */
+function addFacadeQuad(geometry, center, y, offset, normal, right, width, height) {
+  const first = geometry.vertices.length;
+  const x = center.x + normal.x * offset;
+  const z = center.z + normal.z * offset;
+  // The corners share one normal vector; p5 only reads it
+  [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([side, up]) => {
+    const along = side * width / 2;
+    geometry.vertices.push(createVector(x + right.x * along, y + up * height / 2, z + right.z * along));
+    geometry.vertexNormals.push(normal);
+    geometry.uvs.push((side + 1) / 2, (up + 1) / 2);
+  });
+  geometry.faces.push([first, first + 1, first + 2], [first, first + 2, first + 3]);
+}
+
+/**
+ * Initializes the 3D scene and all components
+ * Sets up camera, lighting, and generates scene elements
+ * @function initializeScene
  */
 function initializeScene() {
   createPhaseInfoOverlay();
+  seedGenerators(citySeed);
   checkAndCreateProceduralTextures();
-  generateCityscape();
-  generateRoads();
-  createRaindrops();
-  generateTrees();
+  generateCity();
+  createRayTraceScene();
   
   camera(0, -500, 900, 0, -100, 0, 0, 1, 0);
   isSceneReady = true;
@@ -1590,12 +2898,17 @@ function createPhaseInfoOverlay() {
     'align-items': 'center'
   }, container);
   
+  // Timeline covering every phase: click or drag anywhere on it to seek
   const progressBarContainer = createUIElement('div', {
+    position: 'relative',
     width: '80%',
-    height: '10px',
+    height: '12px',
     border: '1px solid white',
-    'border-radius': '5px'
+    'border-radius': '5px',
+    cursor: 'pointer',
+    'touch-action': 'none'
   }, progressContainer);
+  progressBarContainer.id('timeline');
   
   createUIElement('div', {
     width: '0%',
@@ -1604,14 +2917,122 @@ function createPhaseInfoOverlay() {
     'border-radius': '4px'
   }, progressBarContainer).id('progress-bar');
   
+  const scrub = event => {
+    const bounds = progressBarContainer.elt.getBoundingClientRect();
+    seekTimeline(constrain((event.clientX - bounds.left) / bounds.width, 0, 1) * timelineDuration());
+  };
+  progressBarContainer.elt.addEventListener('pointerdown', event => {
+    progressBarContainer.elt.setPointerCapture(event.pointerId);
+    scrub(event);
+  });
+  progressBarContainer.elt.addEventListener('pointermove', event => {
+    if (progressBarContainer.elt.hasPointerCapture(event.pointerId)) scrub(event);
+  });
+  updateTimelineMarkers();
+  
   createUIElement('div', {
     'margin-left': '10px',
     'font-size': '14px'
   }, progressContainer).id('phase-counter');
   
+  createUIElement('div', {
+    position: 'absolute',
+    top: '20px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    'background-color': 'rgba(0, 0, 0, 0.7)',
+    color: 'white',
+    padding: '8px 15px',
+    'border-radius': '10px',
+    'font-family': 'Arial, sans-serif',
+    'font-size': '14px',
+    'z-index': '1000',
+    display: 'none'
+  }).id('comparison-label');
+  
+  createPipelineOverlay();
   createControlPanel();
 }
 
+/**
+ * Marks phase boundaries and transitions on the timeline bar
+ * Rebuilt whenever a phase duration changes
+ * @function updateTimelineMarkers
+ */
+function updateTimelineMarkers() {
+  const timeline = select('#timeline');
+  if (!timeline) return;
+  selectAll('.timeline-marker', timeline).forEach(marker => marker.remove());
+  
+  const total = timelineDuration();
+  PHASES.forEach((phase, i) => {
+    const start = phaseStart(i);
+    const ramp = min(TRANSITION_DURATION, phase.duration / 2);
+    
+    // Shaded band over the ramp into the next phase
+    createUIElement('div', {
+      position: 'absolute',
+      top: '0',
+      left: `${(start + phase.duration - ramp) / total * 100}%`,
+      width: `${ramp / total * 100}%`,
+      height: '100%',
+      'background-color': 'rgba(255, 255, 255, 0.25)',
+      'pointer-events': 'none'
+    }, timeline).class('timeline-marker');
+    
+    if (i > 0) {
+      createUIElement('div', {
+        position: 'absolute',
+        top: '-3px',
+        left: `${start / total * 100}%`,
+        width: '1px',
+        height: 'calc(100% + 6px)',
+        'background-color': 'white',
+        'pointer-events': 'none'
+      }, timeline).class('timeline-marker');
+    }
+  });
+}
+
+/**
+ * Creates the panel describing the pipeline stage the explainer is showing
+ * Hidden until the explainer is switched on
+ * @function createPipelineOverlay
+ */
+function createPipelineOverlay() {
+  const container = createUIElement('div', {
+    position: 'absolute',
+    top: '20px',
+    left: '20px',
+    width: '320px',
+    'background-color': 'rgba(0, 0, 0, 0.7)',
+    color: 'white',
+    padding: '15px',
+    'border-radius': '10px',
+    'font-family': 'Arial, sans-serif',
+    'z-index': '1000',
+    display: 'none'
+  });
+  container.id('pipeline-info');
+  
+  createUIElement('h3', {
+    margin: '0 0 8px 0',
+    'font-size': '18px'
+  }, container).id('pipeline-title');
+  
+  createUIElement('p', {
+    margin: '0 0 10px 0',
+    'font-size': '13px',
+    'line-height': '1.4'
+  }, container).id('pipeline-description');
+  
+  createUIElement('div', {
+    'font-size': '12px',
+    'font-family': 'monospace',
+    color: 'rgba(255, 255, 255, 0.8)'
+  }, container).id('pipeline-detail');
+}
+
 function createControlPanel() {
   const controlContainer = createUIElement('div', {
     position: 'absolute',
@@ -1684,9 +3105,27 @@ function createControlPanel() {
   
   createPhaseControls(controlPanel);
   createDivider(controlPanel);
+  createClockControls(controlPanel);
+  createDivider(controlPanel);
   createCameraControls(controlPanel);
   createDivider(controlPanel);
+  createPipelineControls(controlPanel);
+  createDivider(controlPanel);
+  createComparisonControls(controlPanel);
+  createDivider(controlPanel);
+  createVectorDisplayControls(controlPanel);
+  createDivider(controlPanel);
+  createRayTracingControls(controlPanel);
+  createDivider(controlPanel);
+  createShadingControls(controlPanel);
+  createDivider(controlPanel);
+  createTextureControls(controlPanel);
+  createDivider(controlPanel);
   createEnvironmentalControls(controlPanel);
+  createDivider(controlPanel);
+  createCityControls(controlPanel);
+  createDivider(controlPanel);
+  createSeedControls(controlPanel);
   
   createUIElement('div', {
     'margin-top': '20px',
@@ -1736,32 +3175,8 @@ function createPhaseControls(parent) {
     'margin-bottom': '12px'
   }, phaseNav);
   
-  const buttonStyle = {
-    'background-color': 'rgba(255, 255, 255, 0.15)',
-    color: 'white',
-    border: 'none',
-    'border-radius': '8px',
-    padding: '8px 15px',
-    cursor: 'pointer',
-    'font-size': '14px',
-    flex: '1',
-    transition: 'background-color 0.2s ease',
-    'font-weight': '600'
-  };
-  
-  const prevButton = createButton('◀ Previous');
-  Object.entries(buttonStyle).forEach(([key, value]) => prevButton.style(key, value));
-  prevButton.mouseOver(() => prevButton.style('background-color', 'rgba(255, 255, 255, 0.25)'));
-  prevButton.mouseOut(() => prevButton.style('background-color', 'rgba(255, 255, 255, 0.15)'));
-  prevButton.mousePressed(() => changePhase(-1));
-  prevButton.parent(buttonContainer);
-  
-  const nextButton = createButton('Next ▶');
-  Object.entries(buttonStyle).forEach(([key, value]) => nextButton.style(key, value));
-  nextButton.mouseOver(() => nextButton.style('background-color', 'rgba(255, 255, 255, 0.25)'));
-  nextButton.mouseOut(() => nextButton.style('background-color', 'rgba(255, 255, 255, 0.15)'));
-  nextButton.mousePressed(() => changePhase(1));
-  nextButton.parent(buttonContainer);
+  createStyledButton('◀ Previous', () => changePhase(-1)).parent(buttonContainer);
+  createStyledButton('Next ▶', () => changePhase(1)).parent(buttonContainer);
   
   createUIElement('div', {
     'text-align': 'center',
@@ -1772,6 +3187,78 @@ function createPhaseControls(parent) {
     'border-radius': '8px',
     'margin-bottom': '12px'
   }, phaseNav).id('phase-nav-counter');
+  
+  createTimelineControls(phaseNav);
+}
+
+function createTimelineControls(parent) {
+  const buttonContainer = createUIElement('div', {
+    display: 'flex',
+    'justify-content': 'space-between',
+    gap: '10px',
+    'margin-bottom': '12px'
+  }, parent);
+  createStyledButton('❚❚ Pause', toggleTimeline).id('timeline-play').parent(buttonContainer);
+  
+  const loopContainer = createUIElement('div', {
+    display: 'flex',
+    'justify-content': 'space-between',
+    'align-items': 'center',
+    'margin-bottom': '15px',
+    padding: '8px 12px',
+    'background-color': 'rgba(255, 255, 255, 0.1)',
+    'border-radius': '8px'
+  }, parent);
+  createUIElement('div', {
+    'font-size': '14px',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, loopContainer).html('Loop Phases');
+  createStyledCheckbox(timelineLoop, checked => {
+    timelineLoop = checked;
+    seekTimeline(timelinePosition);
+  }).parent(loopContainer);
+  
+  createSliderControl(parent, 'Playback Speed', 0.25, 4, playbackSpeed, val => playbackSpeed = val, 0.25, value => value.toFixed(2));
+  
+  // One duration slider, pointed at the phase chosen above it
+  let durationSlider = null;
+  createSelectControl(parent, 'Duration Of', PHASES.map(phase => phase.label), durationEditPhase, val => {
+    durationEditPhase = val;
+    durationSlider.value(PHASES[val].duration);
+    durationSlider.showValue();
+  });
+  durationSlider = createSliderControl(parent, 'Phase Duration (s)', MIN_PHASE_DURATION, MAX_PHASE_DURATION,
+    PHASES[durationEditPhase].duration, val => setPhaseDuration(durationEditPhase, val), 1);
+}
+
+function createClockControls(parent) {
+  const clockControls = createUIElement('div', { 'margin-bottom': '20px' }, parent);
+  
+  createUIElement('div', {
+    'margin-bottom': '12px',
+    'font-size': '14px',
+    'font-weight': '600',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, clockControls).html('Animation Clock');
+  
+  const toggleContainer = createUIElement('div', {
+    display: 'flex',
+    'justify-content': 'space-between',
+    'align-items': 'center',
+    'margin-bottom': '15px',
+    padding: '8px 12px',
+    'background-color': 'rgba(255, 255, 255, 0.1)',
+    'border-radius': '8px'
+  }, clockControls);
+  
+  createUIElement('div', {
+    'font-size': '14px',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, toggleContainer).html('Freeze Animation');
+  
+  createStyledCheckbox(clockPaused, checked => clockPaused = checked).parent(toggleContainer);
+  
+  createSliderControl(clockControls, 'Time Scale', 0.1, 3, timeScale, val => timeScale = val, 0.1);
 }
 
 function createCameraControls(parent) {
@@ -1799,454 +3286,3185 @@ function createCameraControls(parent) {
     color: 'rgba(255, 255, 255, 0.9)'
   }, toggleContainer).html('Manual Camera');
   
-  const cameraToggle = createCheckbox('', userCameraControl);
-  cameraToggle.style('margin', '0');
-  cameraToggle.changed(() => userCameraControl = cameraToggle.checked());
-  
-  const toggleElt = cameraToggle.elt;
-  toggleElt.style.display = 'flex';
-  toggleElt.style.alignItems = 'center';
-  const checkboxInput = toggleElt.querySelector('input');
-  checkboxInput.style.width = '16px';
-  checkboxInput.style.height = '16px';
-  checkboxInput.style.cursor = 'pointer';
-  
+  const cameraToggle = createStyledCheckbox(userCameraControl, checked => userCameraControl = checked);
   cameraToggle.parent(toggleContainer);
   
-  createSliderControl(cameraControls, 'Camera Distance', 400, 1500, cameraDistance, val => cameraDistance = val);
+  cameraDistanceSlider = createSliderControl(cameraControls, 'Camera Distance', 400, 1500, cameraDistance, val => cameraDistance = val);
   createSliderControl(cameraControls, 'Camera Height', -800, -200, cameraHeight, val => cameraHeight = val);
 }
 
-function createEnvironmentalControls(parent) {
-  const envControls = createUIElement('div', {}, parent);
+function createPipelineControls(parent) {
+  const pipelineControls = createUIElement('div', { 'margin-bottom': '20px' }, parent);
   
   createUIElement('div', {
     'margin-bottom': '12px',
     'font-size': '14px',
     'font-weight': '600',
     color: 'rgba(255, 255, 255, 0.9)'
-  }, envControls).html('Environmental Controls');
+  }, pipelineControls).html('Pipeline Explainer');
   
-  createSliderControl(envControls, 'Rain Intensity', 0, 2, rainIntensity, val => rainIntensity = val, 0.1);
-  createSliderControl(envControls, 'Lighting Intensity', 0.5, 1.5, timeOfDay, val => timeOfDay = val, 0.1);
-}
-
-function createSliderControl(parent, label, min, max, defaultValue, onChange, step = 1) {
-  const container = createUIElement('div', {
+  const toggleStyle = {
+    display: 'flex',
+    'justify-content': 'space-between',
+    'align-items': 'center',
     'margin-bottom': '15px',
     padding: '8px 12px',
     'background-color': 'rgba(255, 255, 255, 0.1)',
     'border-radius': '8px'
-  }, parent);
+  };
+  const labelStyle = {
+    'font-size': '14px',
+    color: 'rgba(255, 255, 255, 0.9)'
+  };
   
-  const labelContainer = createUIElement('div', {
+  const toggleContainer = createUIElement('div', toggleStyle, pipelineControls);
+  createUIElement('div', labelStyle, toggleContainer).html('Show Pipeline');
+  createStyledCheckbox(pipelineExplainer, checked => {
+    pipelineExplainer = checked;
+    select('#pipeline-info').style('display', checked ? 'block' : 'none');
+  }).parent(toggleContainer);
+  
+  const autoContainer = createUIElement('div', toggleStyle, pipelineControls);
+  createUIElement('div', labelStyle, autoContainer).html('Auto Advance Stages');
+  createStyledCheckbox(pipelineAutoAdvance, checked => pipelineAutoAdvance = checked).parent(autoContainer);
+  
+  const buttonContainer = createUIElement('div', {
     display: 'flex',
     'justify-content': 'space-between',
-    'align-items': 'center',
-    'margin-bottom': '8px'
-  }, container);
+    gap: '10px',
+    'margin-bottom': '15px'
+  }, pipelineControls);
+  createStyledButton('◀ Stage', () => changePipelineStage(-1)).parent(buttonContainer);
+  createStyledButton('Stage ▶', () => changePipelineStage(1)).parent(buttonContainer);
+  
+  pipelineBuildingSlider = createSliderControl(pipelineControls, 'Inspected Building', 0, max(0, buildings.length - 1), pipelineBuilding, val => {
+    pipelineBuilding = val;
+    pipelineStageTimer = 0;
+  });
+}
+
+function createComparisonControls(parent) {
+  const comparisonControls = createUIElement('div', { 'margin-bottom': '20px' }, parent);
   
   createUIElement('div', {
+    'margin-bottom': '12px',
     'font-size': '14px',
+    'font-weight': '600',
     color: 'rgba(255, 255, 255, 0.9)'
-  }, labelContainer).html(label);
-  
-  const valueDisplay = createUIElement('div', {
-    'font-size': '12px',
-    color: 'rgba(255, 255, 255, 0.7)',
-    'font-family': 'monospace'
-  }, labelContainer);
-  
-  const slider = createSlider(min, max, defaultValue, step);
-  Object.entries({
-    width: '100%',
-    'margin-top': '5px',
-    cursor: 'pointer',
-    '-webkit-appearance': 'none',
-    height: '6px',
-    'border-radius': '3px',
-    'background-color': 'rgba(255, 255, 255, 0.2)'
-  }).forEach(([key, value]) => slider.style(key, value));
+  }, comparisonControls).html('Phase Comparison');
   
-  slider.style('::-webkit-slider-thumb', `{
-    -webkit-appearance: none;
-    width: 16px;
-    height: 16px;
-    border-radius: 50%;
-    background: white;
-    cursor: pointer;
-    transition: background .15s ease-in-out;
-  }`);
+  createSelectControl(comparisonControls, 'Layout', COMPARISON_MODES, comparisonMode, val => comparisonMode = val);
+  createSelectControl(comparisonControls, 'Compare With', PHASES.map(phase => phase.label), comparisonPhase, val => comparisonPhase = val);
+  createSliderControl(comparisonControls, 'Lens Magnification', 1, 4, lensMagnification, val => lensMagnification = val, 0.5);
+}
+
+function createVectorDisplayControls(parent) {
+  const vectorControls = createUIElement('div', { 'margin-bottom': '20px' }, parent);
   
-  slider.style('::-moz-range-thumb', `{
-    width: 16px;
-    height: 16px;
-    border: 0;
-    border-radius: 50%;
-    background: white;
-    cursor: pointer;
-    transition: background .15s ease-in-out;
-  }`);
+  createUIElement('div', {
+    'margin-bottom': '12px',
+    'font-size': '14px',
+    'font-weight': '600',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, vectorControls).html('Vector Display (Phase 1)');
   
-  const updateValue = () => {
-    const value = slider.value();
-    valueDisplay.html(value.toFixed(step < 1 ? 1 : 0));
-    onChange(value);
-  };
+  const toggleContainer = createUIElement('div', {
+    display: 'flex',
+    'justify-content': 'space-between',
+    'align-items': 'center',
+    'margin-bottom': '15px',
+    padding: '8px 12px',
+    'background-color': 'rgba(255, 255, 255, 0.1)',
+    'border-radius': '8px'
+  }, vectorControls);
   
-  slider.input(updateValue);
-  slider.changed(updateValue);
+  createUIElement('div', {
+    'font-size': '14px',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, toggleContainer).html('Hidden Line Removal');
   
-  valueDisplay.html(defaultValue.toFixed(step < 1 ? 1 : 0));
+  createStyledCheckbox(hiddenLineRemoval, checked => hiddenLineRemoval = checked).parent(toggleContainer);
   
-  slider.parent(container);
-  return slider;
-}
-
-function changePhase(direction) {
-  renderPhase = (renderPhase + direction + TOTAL_PHASES) % TOTAL_PHASES;
-  resetPhase();
-}
-
-function resetPhase() {
-  phaseTimer = 0;
-  transitionProgress = 0;
-  if (renderPhase === 0) buildingDrawProgress = 0;
+  createSliderControl(vectorControls, 'Phosphor Persistence', 0, 0.95, phosphorPersistence, val => phosphorPersistence = val, 0.05);
 }
 
+function createRayTracingControls(parent) {
+  const rayControls = createUIElement('div', { 'margin-bottom': '20px' }, parent);
+  
+  createUIElement('div', {
+    'margin-bottom': '12px',
+    'font-size': '14px',
+    'font-weight': '600',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, rayControls).html('Ray Tracing (Phase 6)');
+  
+  createSliderControl(rayControls, 'Samples per Pixel', 1, RAY_TRACE_MAX_SAMPLES, rayTraceSamples, val => rayTraceSamples = val, 1);
+  
+  rayTraceLimitNote = createUIElement('div', {
+    display: 'none',
+    padding: '8px 12px',
+    'font-size': '12px',
+    'line-height': '1.4',
+    color: 'rgb(255, 200, 90)',
+    'background-color': 'rgba(255, 160, 0, 0.15)',
+    'border-radius': '8px'
+  }, rayControls);
+  showRayTraceLimit();
+}
+
+/**
+ * Creates a button styled to match the control panel
+ * @function createStyledButton
+ * @param {string} label - Text on the button
+ * @param {Function} onPress - Called when the button is pressed
+ * @returns {p5.Element} The button element
+ */
+function createStyledButton(label, onPress) {
+  const button = createButton(label);
+  Object.entries({
+    'background-color': 'rgba(255, 255, 255, 0.15)',
+    color: 'white',
+    border: 'none',
+    'border-radius': '8px',
+    padding: '8px 15px',
+    cursor: 'pointer',
+    'font-size': '14px',
+    flex: '1',
+    transition: 'background-color 0.2s ease',
+    'font-weight': '600'
+  }).forEach(([key, value]) => button.style(key, value));
+  button.mouseOver(() => button.style('background-color', 'rgba(255, 255, 255, 0.25)'));
+  button.mouseOut(() => button.style('background-color', 'rgba(255, 255, 255, 0.15)'));
+  button.mousePressed(onPress);
+  
+  return button;
+}
+
+/**
+ * Creates a checkbox styled to match the control panel
+ * @function createStyledCheckbox
+ * @param {boolean} checked - Initial state
+ * @param {Function} onChange - Called with the new state when toggled
+ * @returns {p5.Element} The checkbox element
+ */
+function createStyledCheckbox(checked, onChange) {
+  const checkbox = createCheckbox('', checked);
+  checkbox.style('margin', '0');
+  checkbox.changed(() => onChange(checkbox.checked()));
+  
+  const checkboxElt = checkbox.elt;
+  checkboxElt.style.display = 'flex';
+  checkboxElt.style.alignItems = 'center';
+  const checkboxInput = checkboxElt.querySelector('input');
+  checkboxInput.style.width = '16px';
+  checkboxInput.style.height = '16px';
+  checkboxInput.style.cursor = 'pointer';
+  
+  return checkbox;
+}
+
+function createShadingControls(parent) {
+  const shadingControls = createUIElement('div', { 'margin-bottom': '20px' }, parent);
+  
+  createUIElement('div', {
+    'margin-bottom': '12px',
+    'font-size': '14px',
+    'font-weight': '600',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, shadingControls).html('Lighting Model (Phase 4)');
+  
+  createSelectControl(shadingControls, 'Shading', LIGHTING_MODELS, lightingModel, val => lightingModel = val);
+  createSelectControl(shadingControls, 'Show Term', SHADING_VIEWS, shadingView, val => shadingView = val);
+}
+
+function createTextureControls(parent) {
+  const textureControls = createUIElement('div', { 'margin-bottom': '20px' }, parent);
+  
+  createUIElement('div', {
+    'margin-bottom': '12px',
+    'font-size': '14px',
+    'font-weight': '600',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, textureControls).html('Textures');
+  
+  const toggleContainer = createUIElement('div', {
+    display: 'flex',
+    'justify-content': 'space-between',
+    'align-items': 'center',
+    'margin-bottom': '15px',
+    padding: '8px 12px',
+    'background-color': 'rgba(255, 255, 255, 0.1)',
+    'border-radius': '8px'
+  }, textureControls);
+  
+  createUIElement('div', {
+    'font-size': '14px',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, toggleContainer).html('Full Resolution (4096²)');
+  
+  createStyledCheckbox(fullResolutionTextures, setFullResolutionTextures).parent(toggleContainer);
+}
+
+function createEnvironmentalControls(parent) {
+  const envControls = createUIElement('div', {}, parent);
+  
+  createUIElement('div', {
+    'margin-bottom': '12px',
+    'font-size': '14px',
+    'font-weight': '600',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, envControls).html('Environmental Controls');
+  
+  createSelectControl(envControls, 'Weather', WEATHER_PRESETS.map(preset => preset.name), weatherState, val => weatherState = val);
+  createSliderControl(envControls, 'Precipitation', 0, MAX_PRECIPITATION, precipitationScale, val => precipitationScale = val, 0.1);
+  
+  const thunderToggle = createUIElement('div', {
+    display: 'flex',
+    'justify-content': 'space-between',
+    'align-items': 'center',
+    'margin-bottom': '15px',
+    padding: '8px 12px',
+    'background-color': 'rgba(255, 255, 255, 0.1)',
+    'border-radius': '8px'
+  }, envControls);
+  
+  createUIElement('div', {
+    'font-size': '14px',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, thunderToggle).html('Thunder Sound');
+  
+  createStyledCheckbox(thunderEnabled, checked => {
+    thunderEnabled = checked;
+    if (checked) startThunderSound();
+  }).parent(thunderToggle);
+  
+  timeOfDaySlider = createSliderControl(envControls, 'Time of Day', 0, 24, timeOfDay, val => timeOfDay = val % 24, 0.1, formatClock);
+  
+  const clockToggle = createUIElement('div', {
+    display: 'flex',
+    'justify-content': 'space-between',
+    'align-items': 'center',
+    'margin-bottom': '15px',
+    padding: '8px 12px',
+    'background-color': 'rgba(255, 255, 255, 0.1)',
+    'border-radius': '8px'
+  }, envControls);
+  
+  createUIElement('div', {
+    'font-size': '14px',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, clockToggle).html('Accelerated Clock');
+  
+  createStyledCheckbox(acceleratedClock, checked => acceleratedClock = checked).parent(clockToggle);
+  
+  createSliderControl(envControls, 'Lighting Intensity', 0.5, 1.5, lightingIntensity, val => lightingIntensity = val, 0.1);
+  createSelectControl(envControls, 'Fog Type', FOG_MODES, fogMode, val => fogMode = val);
+}
+
+function createCityControls(parent) {
+  const cityControls = createUIElement('div', { 'margin-bottom': '20px' }, parent);
+  
+  createUIElement('div', {
+    'margin-bottom': '12px',
+    'font-size': '14px',
+    'font-weight': '600',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, cityControls).html('City Generator');
+  
+  createCitySlider(cityControls, 'Grid Columns', MIN_CITY_GRID, MAX_CITY_GRID, 'columns', 1);
+  createCitySlider(cityControls, 'Grid Rows', MIN_CITY_GRID, MAX_CITY_GRID, 'rows', 1);
+  createCitySlider(cityControls, 'Block Spacing', 120, 320, 'spacing', 10);
+  createCitySlider(cityControls, 'Building Density', 0, 1, 'density', 0.05);
+  createSelectControl(cityControls, 'Height Distribution', HEIGHT_DISTRIBUTIONS, citySettings.heightDistribution,
+    val => configureCity({ heightDistribution: val }));
+  const typeKeys = Object.keys(BUILDING_TYPES);
+  createSelectControl(cityControls, 'Building Type', ['Mixed', ...typeKeys.map(key => BUILDING_TYPES[key].label)],
+    typeKeys.indexOf(citySettings.buildingType) + 1, val => configureCity({ buildingType: typeKeys[val - 1] || null }));
+  
+  // configureCity pushes the other height along when one passes it
+  const heightSliders = {};
+  const setHeight = (key, val) => {
+    configureCity({ [key]: val });
+    Object.entries(heightSliders).forEach(([other, slider]) => {
+      slider.value(citySettings[other]);
+      slider.showValue();
+    });
+  };
+  heightSliders.minHeight = createCitySlider(cityControls, 'Min Height', 40, 300, 'minHeight', 10, val => setHeight('minHeight', val));
+  heightSliders.maxHeight = createCitySlider(cityControls, 'Max Height', 200, 800, 'maxHeight', 10, val => setHeight('maxHeight', val));
+  
+  const toggleContainer = createUIElement('div', {
+    display: 'flex',
+    'justify-content': 'space-between',
+    'align-items': 'center',
+    'margin-bottom': '15px',
+    padding: '8px 12px',
+    'background-color': 'rgba(255, 255, 255, 0.1)',
+    'border-radius': '8px'
+  }, cityControls);
+  
+  createUIElement('div', {
+    'font-size': '14px',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, toggleContainer).html('Zoning');
+  
+  createStyledCheckbox(citySettings.zoning, checked => configureCity({ zoning: checked })).parent(toggleContainer);
+}
+
+function createSeedControls(parent) {
+  const seedControls = createUIElement('div', { 'margin-bottom': '20px' }, parent);
+  
+  createUIElement('div', {
+    'margin-bottom': '12px',
+    'font-size': '14px',
+    'font-weight': '600',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, seedControls).html('City Seed');
+  
+  seedInput = createInput(String(citySeed));
+  Object.entries({
+    width: '100%',
+    'box-sizing': 'border-box',
+    'margin-bottom': '10px',
+    padding: '8px 12px',
+    'background-color': 'rgba(255, 255, 255, 0.1)',
+    color: 'white',
+    border: 'none',
+    'border-radius': '8px',
+    'font-size': '14px',
+    'font-family': 'monospace'
+  }).forEach(([key, value]) => seedInput.style(key, value));
+  seedInput.parent(seedControls);
+  
+  const regenerateFromInput = () => {
+    const seed = parseInt(seedInput.value(), 10);
+    if (Number.isFinite(seed)) regenerateCity(seed);
+    else seedInput.value(citySeed);
+  };
+  seedInput.elt.addEventListener('keydown', e => {
+    if (e.key === 'Enter') regenerateFromInput();
+  });
+  
+  const buttonContainer = createUIElement('div', {
+    display: 'flex',
+    'justify-content': 'space-between',
+    gap: '10px',
+    'margin-bottom': '15px'
+  }, seedControls);
+  createStyledButton('Regenerate', regenerateFromInput).parent(buttonContainer);
+  createStyledButton('Random Seed', () => regenerateCity(floor(Math.random() * MAX_CITY_SEED))).parent(buttonContainer);
+}
+
+/**
+ * Creates a slider for one of the city settings. Rebuilding the city takes
+ * too long to follow a drag, so the readout tracks the thumb and the city is
+ * only rebuilt once the slider is released
+ * @function createCitySlider
+ * @param {p5.Element} parent - Element to add the control to
+ * @param {string} label - Label shown above the slider
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @param {string} key - citySettings field the slider sets
+ * @param {number} step - Step between values
+ * @param {Function} onChange - Called with the value on release, configureCity by default
+ * @returns {p5.Element} The slider
+ */
+function createCitySlider(parent, label, min, max, key, step, onChange = val => configureCity({ [key]: val })) {
+  const slider = createSliderControl(parent, label, min, max, citySettings[key], onChange, step);
+  slider.input(() => slider.showValue());
+  return slider;
+}
+
+function createSliderControl(parent, label, min, max, defaultValue, onChange, step = 1, formatValue = value => value.toFixed(step < 1 ? 1 : 0)) {
+  const container = createUIElement('div', {
+    'margin-bottom': '15px',
+    padding: '8px 12px',
+    'background-color': 'rgba(255, 255, 255, 0.1)',
+    'border-radius': '8px'
+  }, parent);
+  
+  const labelContainer = createUIElement('div', {
+    display: 'flex',
+    'justify-content': 'space-between',
+    'align-items': 'center',
+    'margin-bottom': '8px'
+  }, container);
+  
+  createUIElement('div', {
+    'font-size': '14px',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, labelContainer).html(label);
+  
+  const valueDisplay = createUIElement('div', {
+    'font-size': '12px',
+    color: 'rgba(255, 255, 255, 0.7)',
+    'font-family': 'monospace'
+  }, labelContainer);
+  
+  const slider = createSlider(min, max, defaultValue, step);
+  Object.entries({
+    width: '100%',
+    'margin-top': '5px',
+    cursor: 'pointer',
+    '-webkit-appearance': 'none',
+    height: '6px',
+    'border-radius': '3px',
+    'background-color': 'rgba(255, 255, 255, 0.2)'
+  }).forEach(([key, value]) => slider.style(key, value));
+  
+  slider.style('::-webkit-slider-thumb', `{
+    -webkit-appearance: none;
+    width: 16px;
+    height: 16px;
+    border-radius: 50%;
+    background: white;
+    cursor: pointer;
+    transition: background .15s ease-in-out;
+  }`);
+  
+  slider.style('::-moz-range-thumb', `{
+    width: 16px;
+    height: 16px;
+    border: 0;
+    border-radius: 50%;
+    background: white;
+    cursor: pointer;
+    transition: background .15s ease-in-out;
+  }`);
+  
+  const updateValue = () => {
+    const value = slider.value();
+    valueDisplay.html(formatValue(value));
+    onChange(value);
+  };
+  
+  slider.input(updateValue);
+  slider.changed(updateValue);
+  
+  valueDisplay.html(formatValue(defaultValue));
+  
+  // Refreshes the readout after code moves the slider, without calling onChange
+  slider.showValue = () => valueDisplay.html(formatValue(slider.value()));
+  
+  slider.parent(container);
+  return slider;
+}
+
+function createSelectControl(parent, label, options, defaultIndex, onChange) {
+  const container = createUIElement('div', {
+    display: 'flex',
+    'justify-content': 'space-between',
+    'align-items': 'center',
+    'margin-bottom': '15px',
+    padding: '8px 12px',
+    'background-color': 'rgba(255, 255, 255, 0.1)',
+    'border-radius': '8px'
+  }, parent);
+  
+  createUIElement('div', {
+    'font-size': '14px',
+    color: 'rgba(255, 255, 255, 0.9)'
+  }, container).html(label);
+  
+  const select = createSelect();
+  Object.entries({
+    'background-color': 'rgba(255, 255, 255, 0.15)',
+    color: 'white',
+    border: 'none',
+    'border-radius': '6px',
+    padding: '4px 8px',
+    cursor: 'pointer',
+    'font-size': '13px'
+  }).forEach(([key, value]) => select.style(key, value));
+  
+  options.forEach((option, index) => select.option(option, index));
+  Array.from(select.elt.options).forEach(opt => opt.style.backgroundColor = 'rgb(25, 30, 35)');
+  select.selected(String(defaultIndex));
+  select.changed(() => onChange(Number(select.value())));
+  
+  select.parent(container);
+  return select;
+}
+
+function changePhase(direction) {
+  seekTimeline(phaseStart((renderPhase + direction + PHASES.length) % PHASES.length));
+}
+
+/**
+ * Fills every empty material slot with a procedurally generated map
+ * Maps loaded from disk are kept; slots without a generator stay empty
+ * @function checkAndCreateProceduralTextures
+ */
 function checkAndCreateProceduralTextures() {
-  if (!concreteTextures.baseColor?.width) createProceduralConcreteTextures();
-  if (!groundTextures.baseColor?.width) createProceduralGroundTextures();
-  if (!roofTextures.baseColor?.width) createProceduralRoofTextures();
+  fillMissingTextures(concreteTextures, createProceduralConcreteTextures);
+  fillMissingTextures(groundTextures, createProceduralGroundTextures);
+  fillMissingTextures(roofTextures, createProceduralRoofTextures);
+  fillMissingTextures(glassTextures, createProceduralGlassTextures);
+}
+
+/**
+ * Replaces every procedurally generated map with one generated from the
+ * random state as it is now. Run right after seeding, as setup does, so a
+ * regenerated city gets the same maps as one loaded with its seed in the URL
+ * @function regenerateProceduralTextures
+ */
+function regenerateProceduralTextures() {
+  Object.values(materialTextureSets()).forEach(textureSet => {
+    Object.keys(textureSet).forEach(slot => {
+      // Generated maps are the graphics buffers; loaded maps are images
+      if (!(textureSet[slot] instanceof p5.Graphics)) return;
+      textureSet[slot].remove();
+      textureSet[slot] = null;
+    });
+  });
+  checkAndCreateProceduralTextures();
+}
+
+/**
+ * Copies generated maps into the slots of a texture set that have no image
+ * @function fillMissingTextures
+ * @param {Object} textureSet - Material texture set to complete
+ * @param {Function} generate - Procedural generator returning a set of maps
+ */
+function fillMissingTextures(textureSet, generate) {
+  const missing = Object.keys(textureSet).filter(slot => !textureSet[slot]?.width);
+  if (!missing.length) return;
+  
+  const generated = generate();
+  Object.keys(generated).forEach(slot => {
+    if (missing.includes(slot)) {
+      textureSet[slot] = generated[slot];
+    } else {
+      // Free the maps a loaded image already covers
+      generated[slot].remove();
+    }
+  });
+}
+
+function createProceduralTexture(size, bgColor, noiseParams) {
+  const { count, shade, alpha } = noiseParams;
+  const tex = createGraphics(size, size);
+  tex.background(bgColor);
+  tex.noStroke();
+  
+  for (let i = 0; i < count; i++) {
+    tex.fill(...shade, alpha);
+    tex.ellipse(random(size), random(size), 2, 2);
+  }
+  
+  return tex;
+}
+
+/**
+ * Creates procedural textures for concrete building surfaces
+ * Generates baseColor, normal, roughness, and ambient occlusion maps
+ * @function createProceduralConcreteTextures
+ * @returns {Object} Texture maps for concrete materials
+ */
+function createProceduralConcreteTextures() {
+  const baseColor = createProceduralTexture(200, 120, {
+    count: 5000,
+    shade: [random(80, 150)],
+    alpha: 100
+  });
+  
+  const normal = createProceduralTexture(200, [128, 128, 255], {
+    count: 2000,
+    shade: [random(120, 140), random(120, 140), random(240, 255)],
+    alpha: 100
+  });
+  
+  const roughness = createProceduralTexture(200, 200, {
+    count: 3000,
+    shade: [random(180, 240)],
+    alpha: 150
+  });
+  
+  // Mostly unoccluded, with darker pits where the surface is pocked
+  const ao = createProceduralTexture(200, 240, {
+    count: 1500,
+    shade: [random(150, 190)],
+    alpha: 120
+  });
+  
+  return { baseColor, normal, roughness, ao };
+}
+
+/**
+ * Creates procedural textures for ground surfaces
+ * Uses Perlin noise to generate natural-looking terrain patterns
+ * @function createProceduralGroundTextures
+ * @returns {Object} Texture maps for ground materials
+ */
+function createProceduralGroundTextures() {
+  const baseColor = createGraphics(400, 400);
+  baseColor.background(30, 30, 35);
+  baseColor.noStroke();
+  
+  for (let i = 0; i < 10000; i++) {
+    const shade = random(20, 60);
+    baseColor.fill(shade, shade, shade + random(-5, 5), 150);
+    baseColor.ellipse(random(400), random(400), random(1, 3), random(1, 3));
+  }
+  
+  baseColor.fill(220, 220, 0);
+  for (let i = 0; i < 400; i += 100) {
+    for (let j = 50; j < 350; j += 30) {
+      baseColor.rect(i, j, 20, 5);
+    }
+  }
+  
+  const normal = createProceduralTexture(400, [128, 128, 255], {
+    count: 8000,
+    shade: [random(120, 135), random(120, 135), random(240, 255)],
+    alpha: 100
+  });
+  
+  const roughness = createProceduralTexture(400, 180, {
+    count: 6000,
+    shade: [random(160, 220)],
+    alpha: 120
+  });
+  
+  const ao = createProceduralTexture(400, 235, {
+    count: 4000,
+    shade: [random(140, 180)],
+    alpha: 100
+  });
+  
+  return { baseColor, normal, roughness, ao };
+}
+
+/**
+ * Creates procedural textures for building roofs
+ * Generates patterns for different roofing materials and wear
+ * @function createProceduralRoofTextures
+ * @returns {Object} Texture maps for roof materials
+ */
+function createProceduralRoofTextures() {
+  const createPatternedTexture = (size, bgColor, patternColor) => {
+    const tex = createGraphics(size, size);
+    tex.background(bgColor);
+    tex.noStroke();
+    tex.fill(patternColor);
+    
+    for (let i = 0; i < size; i += 20) {
+      for (let j = 0; j < size; j += 20) {
+        if ((i + j) % 40 === 0) {
+          tex.rect(i, j, 10, 10);
+        }
+      }
+    }
+    
+    return tex;
+  };
+  
+  return {
+    baseColor: createPatternedTexture(200, [50, 40, 40], [70, 60, 60]),
+    normal: createPatternedTexture(200, [128, 128, 255], [128, 128, 220]),
+    roughness: createPatternedTexture(200, 180, 140),
+    // Recessed tiles catch less ambient light than the surface around them
+    ao: createPatternedTexture(200, 245, 170)
+  };
+}
+
+/**
+ * Creates procedural textures for window glass
+ * A grid of smooth, see-through panes set in an opaque metal frame
+ * @function createProceduralGlassTextures
+ * @returns {Object} Texture maps for glass materials
+ */
+function createProceduralGlassTextures() {
+  const createPaneTexture = (frameColor, paneColor) => {
+    const tex = createGraphics(200, 200);
+    tex.background(frameColor);
+    tex.noStroke();
+    tex.fill(paneColor);
+    
+    for (let i = 0; i < 5; i++) {
+      for (let j = 0; j < 5; j++) {
+        tex.rect(i * 40 + 4, j * 40 + 4, 32, 32, 2);
+      }
+    }
+    
+    return tex;
+  };
+  
+  return {
+    baseColor: createPaneTexture([50, 55, 65], [190, 210, 215]),
+    normal: createPaneTexture([128, 128, 255], [128, 128, 255]),
+    roughness: createPaneTexture(150, 15),
+    ao: createPaneTexture(200, 255),
+    metallic: createPaneTexture(200, 0),
+    opacity: createPaneTexture(255, 0)
+  };
+}
+
+/**
+ * Reads the city seed from the ?seed= query parameter, or picks a new one
+ * when the page was opened without it
+ * @function initialCitySeed
+ * @returns {number} The seed to build the city from
+ */
+function initialCitySeed() {
+  const seed = parseInt(getURLParams().seed, 10);
+  return Number.isFinite(seed) ? seed : floor(Math.random() * MAX_CITY_SEED);
+}
+
+/**
+ * Seeds p5's random() and noise() so everything generated afterwards is reproducible
+ * @function seedGenerators
+ * @param {number} seed - Seed shared by both generators
+ */
+function seedGenerators(seed) {
+  randomSeed(seed);
+  noiseSeed(seed);
+}
+
+/**
+ * Builds the buildings, roads, rain and trees from citySeed, replacing any
+ * that were generated before. Reseeding first makes a regenerated city match
+ * one loaded with the same seed in the URL
+ * @function generateCity
+ */
+function generateCity() {
+  seedGenerators(citySeed);
+  freeCityGeometry();
+  cityBlocks = [];
+  buildings = [];
+  roads = [];
+  streetLights = [];
+  raindrops = [];
+  trees = [];
+  
+  generateCityBlocks();   // Lay out and zone the grid
+  generateCityscape();    // Create buildings
+  generateRoads();       // Create road network
+  generateStreetLights(); // Put up a lamp at every intersection
+  createRaindrops();     // Initialize rain particles
+  generateTrees();       // Create and position trees
+  buildCityGeometry();   // Batch facades, roads, street lights and rain for drawing
+}
+
+/**
+ * Builds the retained geometry drawn each frame in place of many separate
+ * shapes: every body's facade, the roads, the street lights, the rain and
+ * the snow cover
+ * @function buildCityGeometry
+ */
+function buildCityGeometry() {
+  buildings.forEach((building, i) => building.parts.forEach((part, j) => {
+    if (part.facade) part.facadeGeometry = buildFacadeGeometry(part, `facade-${i}-${j}`);
+  }));
+  roadGeometry = buildRoadGeometry();
+  streetLightGeometry = buildStreetLightGeometry();
+  rainGeometry = buildRainGeometry();
+  snowGeometry = buildSnowGeometry();
+}
+
+/**
+ * Releases the GPU buffers of the current city's retained geometry
+ * @function freeCityGeometry
+ */
+function freeCityGeometry() {
+  buildings.forEach(building => building.parts.forEach(part => {
+    if (!part.facadeGeometry) return;
+    freeGeometry(part.facadeGeometry.dark);
+    freeGeometry(part.facadeGeometry.lit);
+    if (part.facadeGeometry.frames) freeGeometry(part.facadeGeometry.frames);
+  }));
+  if (roadGeometry) {
+    freeGeometry(roadGeometry.surface);
+    freeGeometry(roadGeometry.markings);
+  }
+  if (streetLightGeometry) {
+    Object.values(streetLightGeometry).forEach(geometry => freeGeometry(geometry));
+  }
+  if (rainGeometry) freeGeometry(rainGeometry);
+  if (snowGeometry) {
+    freeGeometry(snowGeometry.ground);
+    freeGeometry(snowGeometry.roofs);
+  }
+}
+
+/**
+ * Records shapes into retained geometry that takes its colour from fill()
+ * when drawn. buildGeometry() stores the fill of every vertex, which would
+ * otherwise override the phase styles
+ * @function buildRetainedGeometry
+ * @param {Function} drawShapes - Draws the shapes to record
+ * @returns {p5.Geometry} The combined geometry
+ */
+function buildRetainedGeometry(drawShapes) {
+  const geometry = buildGeometry(() => {
+    fill(255);
+    noStroke();
+    drawShapes();
+  });
+  geometry.vertexColors = [];
+  return geometry;
+}
+
+/**
+ * Changes how the city is laid out and rebuilds it from the current seed
+ * @function configureCity
+ * @param {Object} settings - Any of the citySettings fields: columns, rows,
+ *   spacing, density, heightDistribution, minHeight, maxHeight and zoning.
+ *   minHeight is kept at or below maxHeight
+ */
+function configureCity(settings) {
+  citySettings = { ...citySettings, ...settings };
+  citySettings.columns = constrain(round(citySettings.columns), MIN_CITY_GRID, MAX_CITY_GRID);
+  citySettings.rows = constrain(round(citySettings.rows), MIN_CITY_GRID, MAX_CITY_GRID);
+  // The height just set wins, carrying the other one with it
+  if ('minHeight' in settings) {
+    citySettings.maxHeight = max(citySettings.maxHeight, citySettings.minHeight);
+  } else {
+    citySettings.minHeight = min(citySettings.minHeight, citySettings.maxHeight);
+  }
+  regenerateCity(citySeed);
+}
+
+/**
+ * Half-width of the ground, which reaches a little past the ends of the roads
+ * @function cityExtent
+ * @returns {number} Distance from the city centre to the edge of the ground
+ */
+function cityExtent() {
+  const { columns, rows, spacing } = citySettings;
+  return max(columns, rows) * spacing / 2 + spacing + 50;
+}
+
+/**
+ * Rebuilds the city in place from a new seed, keeping the phase, camera and
+ * every setting as they are
+ * @function regenerateCity
+ * @param {number} seed - Seed to build the new city from
+ */
+function regenerateCity(seed) {
+  citySeed = seed;
+  // Same order as setup: textures from the fresh seed, then the city
+  seedGenerators(citySeed);
+  regenerateProceduralTextures();
+  generateCity();
+  createRayTraceScene();
+  updateSeedURL();
+  
+  if (seedInput) seedInput.value(citySeed);
+  
+  // The new city can have a different number of buildings
+  // and an empty city still needs a slider range of at least 0
+  const lastBuilding = max(0, buildings.length - 1);
+  pipelineBuilding = min(pipelineBuilding, lastBuilding);
+  pipelineStageTimer = 0;
+  if (pipelineBuildingSlider) {
+    pipelineBuildingSlider.attribute('max', lastBuilding);
+    pipelineBuildingSlider.value(pipelineBuilding);
+    pipelineBuildingSlider.showValue();
+  }
+}
+
+/**
+ * Writes citySeed into the page URL without reloading, so the address can be
+ * shared or bookmarked to get the same city back
+ * @function updateSeedURL
+ */
+function updateSeedURL() {
+  try {
+    const params = new URLSearchParams(window.location.search);
+    params.set('seed', citySeed);
+    window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+  } catch (e) {
+    console.log('Could not update the seed in the URL:', e);
+  }
+}
+
+/**
+ * Divides the city into a grid of blocks centred on the origin. With zoning
+ * on, blocks near the centre become downtown and some of the rest parks
+ * @function generateCityBlocks
+ */
+function generateCityBlocks() {
+  const { columns, rows, spacing, zoning } = citySettings;
+  const halfDiagonal = Math.hypot(columns - 1, rows - 1) / 2;
+  
+  for (let col = 0; col < columns; col++) {
+    for (let row = 0; row < rows; row++) {
+      const gridX = col - (columns - 1) / 2;
+      const gridZ = row - (rows - 1) / 2;
+      const centreDistance = Math.hypot(gridX, gridZ) / halfDiagonal; // 0 at the centre, 1 at the corners
+      
+      let zone = 'general';
+      if (zoning) {
+        if (centreDistance <= DOWNTOWN_RADIUS) zone = 'downtown';
+        else if (random() < PARK_CHANCE) zone = 'park';
+      }
+      
+      cityBlocks.push({ x: gridX * spacing, z: gridZ * spacing, zone, centreDistance });
+    }
+  }
+}
+
+/**
+ * Puts up a building on the city blocks the density and zoning allow
+ * @function generateCityscape
+ */
+function generateCityscape() {
+  const { spacing, density } = citySettings;
+  const lot = spacing - ROAD_WIDTH - 20; // Widest footprint that stays clear of the roads
+  
+  for (const block of cityBlocks) {
+    if (block.zone === 'park') continue;
+    if (block.zone !== 'downtown' && random() > density) continue; // Downtown is always built up
+    
+    const footprint = block.zone === 'downtown' ? 1.3 : 1;
+    const width = min(random(40, 80) * footprint, lot);
+    const depth = min(random(40, 80) * footprint, lot);
+    const height = buildingHeight(block);
+    const slackX = min(20, (lot - width) / 2);
+    const slackZ = min(20, (lot - depth) / 2);
+    const type = buildingType(block, height);
+    const building = {
+      x: block.x + random(-slackX, slackX),
+      y: -height/2,
+      z: block.z + random(-slackZ, slackZ),
+      width: width,
+      height: height,
+      depth: depth,
+      zone: block.zone,
+      type: type,
+      antenna: type !== 'spire' && height > 300 && random() < ANTENNA_CHANCE
+    };
+    building.parts = buildingMassing(building);
+    createFacades(building);
+    buildings.push(building);
+  }
+}
+
+/**
+ * Picks an archetype for a new building. Downtown and tall buildings become
+ * towers, lower ones mostly stay plain blocks
+ * @function buildingType
+ * @param {Object} block - City block the building stands on
+ * @param {number} height - Height of the building
+ * @returns {string} Key into BUILDING_TYPES
+ */
+function buildingType(block, height) {
+  if (citySettings.buildingType) return citySettings.buildingType;
+  if (block.zone === 'downtown' || height > 300) return random(['setback', 'cylinder', 'twin', 'spire']);
+  return random(height > 200 ? ['block', 'block', 'lShape', 'cylinder', 'setback'] : ['block', 'block', 'lShape']);
+}
+
+/**
+ * Lays out the windows of every body of a building. The bodies share one
+ * glazing style and one occupancy, the share of the windows that are lit
+ * @function createFacades
+ * @param {Object} building - Building object with its massing
+ */
+function createFacades(building) {
+  const tower = building.type !== 'block' && building.type !== 'lShape';
+  const style = random() < (tower ? TOWER_CURTAIN_WALL_CHANCE : CURTAIN_WALL_CHANCE) ? 'curtainWall' : 'punched';
+  const litShare = random() < BUSY_BUILDING_CHANCE ? random(0.5, 0.85) : random(0.05, 0.25);
+  
+  building.parts.forEach(part => {
+    if (part.role !== 'body') return;
+    // A cylinder's bays run around its circumference, the same count on every side
+    const around = part.shape === 'cylinder' ? PI * part.w : 0;
+    part.facade = {
+      style: style,
+      floors: max(2, round(part.h * 0.8 / FLOOR_HEIGHT)),
+      baysX: max(2, round((around || part.w) / BAY_WIDTH)),
+      baysZ: max(2, round((around || part.d) / BAY_WIDTH)),
+      seed: floor(random(1000)),
+      litShare: litShare
+    };
+  });
+}
+
+/**
+ * Whether one window of a facade is lit. Hashes the window's place instead of
+ * storing a grid of states, so raytrace.frag can light the same windows: each
+ * step rounds to 32-bit floats like windowHash() in the shader
+ * @function isWindowLit
+ * @param {Object} facade - Facade layout from createFacades
+ * @param {number} face - Wall the window is on: 0-3 for +z, -z, +x and -x, 0 around a cylinder
+ * @param {number} storey - Storey of the window, counted down from the top of the band
+ * @param {number} bay - Bay of the window, counted along +x or +z, or around a cylinder from -x
+ * @returns {boolean} True if the window is lit
+ */
+function isWindowLit(facade, face, storey, bay) {
+  const f = Math.fround;
+  const fract = v => f(v - Math.floor(v));
+  const p = [facade.seed, face, storey, bay].map((v, i) => fract(f(v * f([0.1031, 0.1030, 0.0973, 0.1099][i]))));
+  const swizzled = [p[3], p[2], p[0], p[1]].map(v => f(v + f(33.33)));
+  const offset = p.reduce((sum, v, i) => f(sum + f(v * swizzled[i])), 0);
+  const [x, y, z, w] = p.map(v => f(v + offset));
+  return fract(f(f(x + y) * f(z + w))) < facade.litShare;
+}
+
+/**
+ * Breaks a building into the parts all the renderers, the shadow map and the
+ * ray tracer draw. Parts are placed in the building's own space, centred on
+ * its bounding box
+ * @function buildingMassing
+ * @param {Object} building - Building object with its type and bounding box
+ * @returns {Array} Parts with role, shape ('box', 'cylinder' or 'cone'),
+ *   centre x, y, z, size w, h, d and bottom, the height of their base above the ground
+ */
+function buildingMassing(building) {
+  const parts = BUILDING_TYPES[building.type].massing(building);
+  
+  if (building.antenna) {
+    // Near one edge of the tallest body, clear of its rooftop unit
+    const top = parts.filter(part => part.role === 'body').reduce((a, b) => (b.bottom + b.h > a.bottom + a.h ? b : a));
+    parts.push(massingPart(building, 'detail', 'cylinder', {
+      x: top.x + top.w * 0.42, z: top.z, bottom: top.bottom + top.h,
+      w: 3, h: building.height * 0.25, d: 3
+    }));
+  }
+  return parts;
+}
+
+/**
+ * Creates one part of a building's massing
+ * @function massingPart
+ * @param {Object} building - Building the part belongs to
+ * @param {string} role - 'body', 'detail' or 'roof'
+ * @param {string} shape - 'box', 'cylinder' or 'cone'
+ * @param {Object} size - Footprint centre x and z, bottom above the ground, and size w, h, d
+ * @returns {Object} The part
+ */
+function massingPart(building, role, shape, { x = 0, z = 0, bottom = 0, w, h, d }) {
+  return { role, shape, x, y: building.height / 2 - bottom - h / 2, z, w, h, d, bottom };
+}
+
+/**
+ * Creates a plant room on top of a body, shaped like it and 70% of its footprint
+ * @function rooftopUnit
+ * @param {Object} building - Building the unit belongs to
+ * @param {Object} body - Body part the unit sits on
+ * @returns {Object} The roof part
+ */
+function rooftopUnit(building, body) {
+  return massingPart(building, 'roof', body.shape, {
+    x: body.x, z: body.z, bottom: body.bottom + body.h,
+    w: body.w * 0.7, h: building.height * 0.1, d: body.d * 0.7
+  });
+}
+
+/**
+ * Masses a building as a single box the size of its footprint
+ * @function blockMassing
+ * @param {Object} building - Building with its bounding box
+ * @returns {Array} The body and its rooftop unit
+ */
+function blockMassing(building) {
+  const body = massingPart(building, 'body', 'box', { w: building.width, h: building.height, d: building.depth });
+  return [body, rooftopUnit(building, body)];
+}
+
+/**
+ * Masses a building as three tiers, each narrower than the one below like a
+ * 1920s setback tower
+ * @function setbackMassing
+ * @param {Object} building - Building with its bounding box
+ * @returns {Array} The tiers from the ground up and a rooftop unit on the top one
+ */
+function setbackMassing(building) {
+  const tiers = [[1, 0.5], [0.75, 0.3], [0.5, 0.2]]; // Footprint scale and share of the height
+  const parts = [];
+  let bottom = 0;
+  tiers.forEach(([scale, share]) => {
+    const h = building.height * share;
+    parts.push(massingPart(building, 'body', 'box', { bottom, w: building.width * scale, h, d: building.depth * scale }));
+    bottom += h;
+  });
+  parts.push(rooftopUnit(building, parts[parts.length - 1]));
+  return parts;
+}
+
+/**
+ * Masses a building as a round tower fitting inside its footprint
+ * @function cylinderMassing
+ * @param {Object} building - Building with its bounding box
+ * @returns {Array} The body and its rooftop unit
+ */
+function cylinderMassing(building) {
+  const diameter = min(building.width, building.depth);
+  const body = massingPart(building, 'body', 'cylinder', { w: diameter, h: building.height, d: diameter });
+  return [body, rooftopUnit(building, body)];
+}
+
+/**
+ * Masses a building as two slim towers along the longer side with a gap
+ * between them, one a little shorter
+ * @function twinMassing
+ * @param {Object} building - Building with its bounding box
+ * @returns {Array} Each tower followed by its rooftop unit
+ */
+function twinMassing(building) {
+  const alongX = building.width >= building.depth;
+  const offset = (alongX ? building.width : building.depth) * 0.3;
+  return [1, -1].flatMap((side, i) => {
+    const body = massingPart(building, 'body', 'box', {
+      x: alongX ? side * offset : 0,
+      z: alongX ? 0 : side * offset,
+      w: alongX ? building.width * 0.4 : building.width,
+      h: building.height * (i === 0 ? 1 : 0.85),
+      d: alongX ? building.depth : building.depth * 0.4
+    });
+    return [body, rooftopUnit(building, body)];
+  });
+}
+
+/**
+ * Masses a building as an L: a full-height wing along the back and a lower
+ * wing down one side
+ * @function lShapeMassing
+ * @param {Object} building - Building with its bounding box
+ * @returns {Array} The back and side wings, then their rooftop units
+ */
+function lShapeMassing(building) {
+  const back = massingPart(building, 'body', 'box', {
+    z: -building.depth * 0.25, w: building.width, h: building.height, d: building.depth * 0.5
+  });
+  const side = massingPart(building, 'body', 'box', {
+    x: -building.width * 0.25, z: building.depth * 0.25,
+    w: building.width * 0.5, h: building.height * 0.6, d: building.depth * 0.5
+  });
+  return [back, side, rooftopUnit(building, back), rooftopUnit(building, side)];
+}
+
+/**
+ * Masses a building as a tower whose top fifth tapers into a spire
+ * @function spireMassing
+ * @param {Object} building - Building with its bounding box
+ * @returns {Array} The body and the cone of the spire
+ */
+function spireMassing(building) {
+  const body = massingPart(building, 'body', 'box', { w: building.width, h: building.height * 0.8, d: building.depth });
+  const base = min(building.width, building.depth) * 0.6;
+  const spire = massingPart(building, 'detail', 'cone', { bottom: body.h, w: base, h: building.height * 0.2, d: base });
+  return [body, spire];
+}
+
+/**
+ * Draws a part of a building's massing as a solid centred on the origin
+ * @function drawPartShape
+ * @param {Object} part - Massing part
+ * @param {number} h - Height to draw it at, the part's own height by default
+ */
+function drawPartShape(part, h = part.h) {
+  if (part.shape === 'cylinder') {
+    cylinder(part.w / 2, h, 24, 1);
+  } else if (part.shape === 'cone') {
+    // p5's cone points down the y axis, which is toward the ground
+    push();
+    rotateX(PI);
+    cone(part.w / 2, h, 12, 1);
+    pop();
+  } else {
+    box(part.w, h, part.d);
+  }
+}
+
+/**
+ * Picks a building height for a block from the selected height distribution
+ * @function buildingHeight
+ * @param {Object} block - City block from cityBlocks
+ * @returns {number} Building height in scene units
+ */
+function buildingHeight(block) {
+  const { heightDistribution, minHeight, maxHeight } = citySettings;
+  let t;
+  if (heightDistribution === 1) {
+    // Tallest in the middle, tapering off toward the edge of the city
+    t = pow(1 - block.centreDistance, 2) * random(0.6, 1);
+  } else if (heightDistribution === 2) {
+    // Low-frequency noise groups tall and short buildings into districts.
+    // noise() rarely strays far from 0.5, so stretch it over the full range
+    const n = noise(block.x * SKYLINE_NOISE_SCALE, block.z * SKYLINE_NOISE_SCALE);
+    t = constrain(map(n, 0.25, 0.75, 0, 1) + random(-0.1, 0.1), 0, 1);
+  } else {
+    t = random();
+  }
+  
+  const height = lerp(minHeight, maxHeight, t);
+  return block.zone === 'downtown' ? height * DOWNTOWN_HEIGHT_SCALE : height;
+}
+
+/**
+ * Creates raindrop particles for weather effects, enough for the highest
+ * precipitation. rain.vert spreads them over the city as they fall, and
+ * draws the snowflakes from them too
+ * @function createRaindrops
+ */
+function createRaindrops() {
+  for (let i = 0; i < RAINDROP_COUNT * MAX_PRECIPITATION; i++) {
+    raindrops.push({
+      x: random(),                // Across the rain area, as a fraction of its width
+      y: random(-1000, 0),
+      z: random(),                // Across the rain area, as a fraction of its depth
+      length: random(10, 30),
+      speed: random(900, 1500),   // Scene units per second
+      thickness: random(0.5, 2)
+    });
+  }
+}
+
+/**
+ * Packs every raindrop into one geometry, a quad per drop, for rain.vert to
+ * animate. The drop's data rides in the standard attributes: its seed
+ * position in aPosition, length, speed and thickness in aNormal, the quad
+ * corner in aTexCoord and its place in the shower in aVertexColor
+ * @function buildRainGeometry
+ * @returns {p5.Geometry} The raindrop quads
+ */
+function buildRainGeometry() {
+  const geometry = new p5.Geometry();
+  geometry.gid = 'raindrops';
+  
+  raindrops.forEach((drop, i) => {
+    const order = i / raindrops.length;
+    [[-1, 0], [1, 0], [1, 1], [-1, 1]].forEach(([side, end]) => {
+      geometry.vertices.push(createVector(drop.x, drop.y, drop.z));
+      geometry.vertexNormals.push(createVector(drop.length, drop.speed, drop.thickness));
+      geometry.uvs.push(side, end);
+      geometry.vertexColors.push(order, 0, 0, 1);
+    });
+    const first = i * 4;
+    geometry.faces.push([first, first + 1, first + 2], [first, first + 2, first + 3]);
+  });
+  
+  return geometry;
+}
+
+/**
+ * Builds the snow that settles on the city: a thin layer over the ground
+ * and a cap on top of every body, overhanging its walls a little
+ * @function buildSnowGeometry
+ * @returns {Object} ground and roofs p5.Geometry
+ */
+function buildSnowGeometry() {
+  // Between the ground, which tops out at y = -5, and the street light pools
+  const ground = buildRetainedGeometry(() => {
+    push();
+    translate(0, -5.05, 0);
+    box(cityExtent() * 2, 0.1, cityExtent() * 2);
+    pop();
+  });
+  
+  const roofs = buildRetainedGeometry(() => {
+    buildings.forEach(building => {
+      building.parts.forEach(part => {
+        if (part.role !== 'body') return;
+        push();
+        translate(building.x + part.x, building.y + part.y - part.h / 2 - 0.5, building.z + part.z);
+        drawPartShape({ ...part, w: part.w + 1, d: part.d + 1 }, 1);
+        pop();
+      });
+    });
+  });
+  
+  return { ground, roofs };
+}
+
+/**
+ * Bloom and fog levels a phase style settles at. The fog thickens with the
+ * weather whichever phase is shown, and by day takes on the colour of the
+ * sky at the horizon
+ * @function visualEffectTargets
+ * @param {Object} style - Phase style from PHASE_STYLES
+ * @returns {Object} Target bloomIntensity, fogDensity and fogColor (may be undefined)
+ */
+function visualEffectTargets(style) {
+  return {
+    bloomIntensity: style.bloomEffect ? (style.bloomIntensity || 1.0) : 0,
+    fogDensity: weather.fog,
+    fogColor: style.fogColor && lerpArray(style.fogColor, dayCycle.horizon, dayCycle.daylight * 0.8)
+  };
+}
+
+function updateVisualEffects() {
+  const time = clockTime * 0.3;
+  const currentStyle = PHASE_STYLES[renderPhase];
+  
+  const targets = visualEffectTargets(currentStyle);
+  const easing = 1 - exp(-EFFECT_EASING_RATE * clockDelta);
+  
+  bloomIntensity = lerp(bloomIntensity, targets.bloomIntensity, easing);
+  fogDensity = lerp(fogDensity, targets.fogDensity, easing);
+  if (targets.fogColor) fogColor = lerpArray(fogColor, targets.fogColor, easing);
+  
+  if (currentStyle.volumetricLight) {
+    const intensity = (currentStyle.volumetricIntensity || 1.0) * 0.8;
+    const baseColor = [50, 60, 80];
+    const volumetricColor = baseColor.map(v => v * intensity * lightingIntensity * (1 + sin(time) * 0.05));
+    pointLight(...volumetricColor, sin(time * 0.3) * 200, -800 + sin(time * 0.2) * 50, cos(time * 0.3) * 200);
+  }
+}
+
+function updateCamera() {
+  const baseX = sin(userCameraControl ? cameraAngle : globalRotation) * cameraDistance;
+  const baseZ = cos(userCameraControl ? cameraAngle : globalRotation) * cameraDistance;
+  const wobbleAmount = 50 * (1 - userCameraControl);
+  
+  cameraEye = [
+    baseX + sin(clockTime * 1.2) * wobbleAmount,
+    cameraHeight + cos(clockTime * 0.9) * wobbleAmount,
+    baseZ + sin(clockTime * 0.6) * wobbleAmount
+  ];
+  cameraCenter = [0, -100 + sin(clockTime * 0.6) * wobbleAmount * 0.4, 0];
+  
+  camera(...cameraEye, ...cameraCenter, 0, 1, 0);
+}
+
+/**
+ * Strikes lightning at random during a storm, more often the stormier it is,
+ * and plays the thunder of earlier strikes as it reaches the camera
+ * @function updateLightning
+ */
+function updateLightning() {
+  thunderQueue = thunderQueue.filter(thunder => {
+    if (clockTime < thunder.at) return true;
+    playThunder(thunder.distance);
+    return false;
+  });
+  
+  if (weather.storm < 0.01) {
+    isLightning = false;
+    lightningTimer = 0;
+    return;
+  }
+  
+  if (isLightning) {
+    if ((lightningTimer -= clockDelta) <= 0) isLightning = false;
+  } else if (random() < clockChance(LIGHTNING_RATE * weather.storm)) {
+    isLightning = true;
+    lightningTimer = LIGHTNING_DURATION;
+    strikeLightning();
+  }
+}
+
+/**
+ * Light the current lightning strike casts, shared by the rasterised phases
+ * and the ray tracer
+ * @function lightningFlash
+ * @returns {Object|null} ambient and point light colours and the point
+ *   light's position, or null between strikes
+ */
+function lightningFlash() {
+  if (!isLightning || !lightningBolt) return null;
+  
+  // Calculate lighting intensity using sine wave:
+  // - clockTime * 48: Controls flash frequency (lower = slower flashes)
+  // - * 0.5: Reduces amplitude to range [-0.5, 0.5]
+  // - + 0.5: Shifts wave to range [0, 1]
+  // Smooth oscillation between 0 and 1
+  const flashIntensity = sin(clockTime * 48) * 0.5 + 0.5;
+  
+  return {
+    // Base values [150, 150, 200] with intensity-scaled offsets [50, 50, 55]
+    ambient: [150 + flashIntensity * 50, 150 + flashIntensity * 50, 200 + flashIntensity * 55],
+    // Higher base values, blue fixed at max brightness
+    color: [200 + flashIntensity * 55, 200 + flashIntensity * 55, 255],
+    // Halfway up the bolt
+    position: lightningBolt.flash
+  };
+}
+
+/**
+ * Strikes the top of one of the tallest buildings, or the ground in a city
+ * without any, with a new bolt from the clouds above. Its thunder sets off
+ * toward the camera at the speed of sound
+ * @function strikeLightning
+ */
+function strikeLightning() {
+  const tallest = max(0, ...buildings.map(building => building.height));
+  const building = random(buildings.filter(candidate => candidate.height >= tallest * 0.7));
+  let strike;
+  if (building) {
+    const top = building.parts.reduce((a, b) => (b.bottom + b.h > a.bottom + a.h ? b : a));
+    strike = [building.x + top.x, building.y + top.y - top.h / 2, building.z + top.z];
+  } else {
+    strike = [random(-1, 1) * cityExtent(), -5, random(-1, 1) * cityExtent()];
+  }
+  const start = [strike[0] + random(-300, 300), -LIGHTNING_CLOUD_HEIGHT, strike[2] + random(-300, 300)];
+  
+  lightningBolt = {
+    segments: generateLightningBolt(start, strike),
+    strike: strike,
+    flash: lerpArray(start, strike, 0.5)
+  };
+  
+  const distance = dist(...cameraEye, ...strike);
+  thunderQueue.push({ at: clockTime + distance / SOUND_SPEED, distance });
+}
+
+/**
+ * Generates a branching bolt by midpoint displacement. Each pass splits
+ * every segment in two and knocks the new midpoint aside, half as far as
+ * the pass before, and sometimes forks a branch off it that carries on
+ * roughly the way the segment was heading. Branches are half as wide as
+ * what they fork from and fork less often themselves
+ * @function generateLightningBolt
+ * @param {Array} start - [x, y, z] where the bolt leaves the clouds
+ * @param {Array} end - [x, y, z] where it strikes
+ * @returns {Array} Segments with ends a and b, and width (1 for the main channel)
+ */
+function generateLightningBolt(start, end) {
+  let segments = [{ a: start, b: end, width: 1 }];
+  let offset = dist(...start, ...end) * 0.15;
+  
+  for (let pass = 0; pass < LIGHTNING_DETAIL; pass++) {
+    segments = segments.flatMap(({ a, b, width }) => {
+      const mid = a.map((v, i) => (v + b[i]) / 2 + random(-offset, offset));
+      const halves = [{ a, b: mid, width }, { a: mid, b, width }];
+      if (random() < LIGHTNING_BRANCH_CHANCE * width) {
+        const reach = random(0.5, 0.8);
+        const fork = mid.map((v, i) => v + (b[i] - a[i]) * reach + random(-offset, offset) * 2);
+        fork[1] = min(fork[1], -5); // Kept above the ground
+        halves.push({ a: mid, b: fork, width: width / 2 });
+      }
+      return halves;
+    });
+    offset /= 2;
+  }
+  return segments;
+}
+
+/**
+ * Draws the lightning bolt while it flashes: a wide, faint glow under a
+ * bright core, both narrowing down the branches. The bolt takes the phase's
+ * rain colour washed out toward white, and flickers with the flash
+ * @function drawLightningBolt
+ */
+function drawLightningBolt() {
+  if (!isLightning || !lightningBolt) return;
+  const rain = PHASE_STYLES[renderPhase].rain || LIGHT_RAIN;
+  const color = lerpArray(rain.color.slice(0, 3), [255, 255, 255], 0.7);
+  const flicker = 0.6 + 0.4 * (sin(clockTime * 48) * 0.5 + 0.5);
+  const widths = [...new Set(lightningBolt.segments.map(segment => segment.width))];
+  
+  push();
+  resetShader();
+  noLights();
+  noFill();
+  blendMode(ADD);
+  [[10, 50], [2.5, 255]].forEach(([weight, alpha]) => {
+    stroke(...color, alpha * flicker);
+    widths.forEach(width => {
+      strokeWeight(max(weight * width, 1));
+      beginShape(LINES);
+      lightningBolt.segments.forEach(segment => {
+        if (segment.width !== width) return;
+        vertex(...segment.a);
+        vertex(...segment.b);
+      });
+      endShape();
+    });
+  });
+  blendMode(BLEND);
+  pop();
+}
+
+/**
+ * Starts Web Audio, which browsers only allow from a click, and once it is
+ * running builds the thunder: brown noise through a low-pass filter
+ * @function startThunderSound
+ */
+function startThunderSound() {
+  if (thunderSound || typeof Tone === 'undefined') return;
+  Tone.start().then(() => {
+    if (thunderSound) return;
+    const filter = new Tone.Filter(400, 'lowpass').toDestination();
+    const synth = new Tone.NoiseSynth({
+      noise: { type: 'brown' },
+      envelope: { attack: 0.05, decay: 3, sustain: 0, release: 1 }
+    }).connect(filter);
+    thunderSound = { synth, filter };
+  }).catch(e => console.error("Failed to start thunder sound:", e));
+}
+
+/**
+ * Plays a thunderclap heard from a distance: a close strike cracks sharp
+ * and loud, a distant one arrives as a soft, muffled rumble. The filter
+ * closes as the sound dies away, leaving the low rumble last
+ * @function playThunder
+ * @param {number} distance - Distance from the strike to the camera
+ */
+function playThunder(distance) {
+  if (!thunderSound || !thunderEnabled) return;
+  try {
+    const { synth, filter } = thunderSound;
+    const nearness = constrain(1 - distance / THUNDER_RANGE, 0.1, 1);
+    const now = Tone.now();
+    synth.envelope.attack = lerp(0.4, 0.005, nearness);
+    synth.envelope.decay = lerp(4, 2.5, nearness);
+    filter.frequency.cancelScheduledValues(now);
+    filter.frequency.setValueAtTime(lerp(150, 2000, nearness * nearness), now);
+    filter.frequency.exponentialRampToValueAtTime(60, now + 3);
+    synth.triggerAttackRelease(0.2, now, nearness);
+  } catch (e) {
+    console.error("Error playing thunder:", e);
+  }
+}
+
+/**
+ * Displays current phase information and progress
+ * Shows phase number, description, and transition status
+ * Updates the phase info overlay with current state
+ * @function displayPhaseInfo
+ */
+function displayPhaseInfo() {
+  select('#phase-title').html(PHASES[renderPhase].label);
+  select('#phase-description').html(PHASES[renderPhase].description);
+  select('#progress-bar').style('width', map(timelinePosition, 0, timelineDuration(), 0, 100) + '%');
+  select('#timeline-play').html(timelinePlaying ? '❚❚ Pause' : '▶ Play');
+  select('#phase-counter').html(`${renderPhase + 1}/${PHASES.length}`);
+  select('#phase-nav-counter').html(`Phase ${renderPhase + 1} of ${PHASES.length}`);
+  
+  const comparisonLabel = select('#comparison-label');
+  if (isComparisonReady()) {
+    const [first, second] = [PHASES[renderPhase].label, PHASES[comparisonPhase].label];
+    comparisonLabel.style('display', 'block').html(COMPARISON_MODES[comparisonMode] === 'Lens' ?
+      `${first} · Lens: ${second}` : `◀ ${first} | ${second} ▶`);
+  } else {
+    comparisonLabel.style('display', 'none');
+  }
+}
+
+/**
+ * Moves the explainer to another pipeline stage and restarts its animation
+ * @function changePipelineStage
+ * @param {number} direction - 1 for the next stage, -1 for the previous
+ */
+function changePipelineStage(direction) {
+  pipelineStage = (pipelineStage + direction + PIPELINE_STAGES.length) % PIPELINE_STAGES.length;
+  pipelineStageTimer = 0;
+}
+
+/**
+ * Follows the inspected building through the rasterisation pipeline
+ * The stage's geometry is worked out on the CPU with the same camera the
+ * scene was rendered with, then drawn over the finished frame: world-space
+ * vertices and triangles first, then screen-space fragments
+ * @function drawPipelineExplainer
+ */
+function drawPipelineExplainer() {
+  pipelineStageTimer = min(pipelineStageTimer + clockDelta, PIPELINE_STAGE_DURATION);
+  if (pipelineAutoAdvance && pipelineStageTimer >= PIPELINE_STAGE_DURATION) changePipelineStage(1);
+  
+  const view = pipelineView();
+  if (!view) return;
+  const stage = PIPELINE_STAGES[pipelineStage];
+  
+  select('#pipeline-title').html(stage.label);
+  select('#pipeline-description').html(stage.description);
+  select('#pipeline-detail').html(view.visible ? stage.detail(view) :
+    'Part of this building is behind the camera; turn the camera to follow it');
+  
+  push();
+  drawingContext.disable(drawingContext.DEPTH_TEST);
+  camera(...cameraEye, ...cameraCenter, 0, 1, 0);
+  perspective(CAMERA_FOV, width / height, CAMERA_NEAR, CAMERA_FAR);
+  drawPipelineGeometry(view);
+  
+  if (view.visible && pipelineStage >= 2) {
+    // Screen space: one unit per pixel with the origin at the top left
+    camera();
+    ortho();
+    translate(-width / 2, -height / 2, 0);
+    if (pipelineStage === 2) drawPipelineProjection(view);
+    if (pipelineStage === 3) drawPipelineFragments(view);
+    if (pipelineStage === 4) drawPipelineDepthTest(view);
+  }
+  drawingContext.enable(drawingContext.DEPTH_TEST);
+  pop();
+}
+
+/**
+ * Works out the inspected building at every pipeline stage for this frame
+ * @function pipelineView
+ * @returns {Object|null} Local and world vertices, triangles, edges, clip-space
+ *   vertices, screen positions, fragments and stage progress, or null if
+ *   there are no buildings
+ */
+function pipelineView() {
+  const building = buildings[min(pipelineBuilding, buildings.length - 1)];
+  if (!building) return null;
+  
+  const { vertices: local, triangles, edges } = pipelineMesh(building);
+  const corners = local.map(([cx, cy, cz]) => [cx + building.x, cy + building.y, cz + building.z]);
+  
+  const viewProjection = multiplyMatrices(
+    perspectiveMatrix(CAMERA_FOV, width / height, CAMERA_NEAR, CAMERA_FAR),
+    lookAtMatrix(createVector(...cameraEye), createVector(...cameraCenter), createVector(0, 1, 0))
+  );
+  const clip = corners.map(corner => transformPoint(viewProjection, corner));
+  const visible = clip.every(([, , , w]) => w > CAMERA_NEAR);
+  
+  // p5 flips y so world +y points down the screen, as it does in NDC here
+  const screen = visible ? clip.map(([cx, cy, cz, w]) => [
+    (cx / w + 1) / 2 * width,
+    (cy / w + 1) / 2 * height,
+    cz / w
+  ]) : [];
+  
+  return {
+    building,
+    local,
+    corners,
+    triangles,
+    edges,
+    clip,
+    screen,
+    visible,
+    fragments: visible ? rasteriseTriangles(screen, triangles) : [],
+    progress: constrain(pipelineStageTimer / (PIPELINE_STAGE_DURATION * 0.6), 0, 1)
+  };
+}
+
+/**
+ * Builds the triangle mesh the explainer follows from a building's massing
+ * @function pipelineMesh
+ * @param {Object} building - Building with its massing parts
+ * @returns {Object} Vertices in the building's own space, triangles as
+ *   { indices, face } and edges as vertex index pairs
+ */
+function pipelineMesh(building) {
+  const mesh = { vertices: [], triangles: [], edges: [] };
+  let faces = 0;
+  
+  building.parts.forEach(part => {
+    const piece = partMesh(part);
+    const offset = mesh.vertices.length;
+    mesh.vertices.push(...piece.vertices.map(([x, y, z]) => [x + part.x, y + part.y, z + part.z]));
+    mesh.triangles.push(...piece.triangles.map(({ indices, face }) => ({
+      indices: indices.map(i => i + offset),
+      face: face + faces
+    })));
+    mesh.edges.push(...piece.edges.map(edge => edge.map(i => i + offset)));
+    faces += piece.faces;
+  });
+  return mesh;
+}
+
+/**
+ * Builds the explainer mesh of one massing part, centred on the origin
+ * Boxes use BOX_TRIANGLES; cylinders and cones are PIPELINE_ROUND_SEGMENTS
+ * sided prisms and pyramids with a fan of triangles over each flat end
+ * @function partMesh
+ * @param {Object} part - Massing part
+ * @returns {Object} Vertices, triangles as { indices, face }, edges and the
+ *   number of faces
+ */
+function partMesh(part) {
+  const [x, y, z] = [part.w / 2, part.h / 2, part.d / 2];
+  if (part.shape === 'box') {
+    return {
+      vertices: [
+        [-x, -y, -z], [x, -y, -z], [x, y, -z], [-x, y, -z],
+        [-x, -y, z], [x, -y, z], [x, y, z], [-x, y, z]
+      ],
+      triangles: BOX_TRIANGLES.map((indices, i) => ({ indices, face: floor(i / 2) })),
+      edges: BOX_EDGES,
+      faces: 6
+    };
+  }
+  
+  // A ring around the base, +y being toward the ground, then either a ring
+  // around the top or, for a cone, the apex
+  const n = PIPELINE_ROUND_SEGMENTS;
+  const ring = h => Array.from({ length: n }, (_, i) => [x * cos(TWO_PI * i / n), h, z * sin(TWO_PI * i / n)]);
+  const next = i => (i + 1) % n;
+  const cone = part.shape === 'cone';
+  const vertices = cone ? [...ring(y), [0, -y, 0]] : [...ring(y), ...ring(-y)];
+  const triangles = [];
+  const edges = [];
+  
+  for (let i = 0; i < n; i++) {
+    if (cone) {
+      triangles.push({ indices: [i, next(i), n], face: i });
+      edges.push([i, next(i)], [i, n]);
+    } else {
+      triangles.push({ indices: [i, next(i), n + next(i)], face: i }, { indices: [i, n + next(i), n + i], face: i });
+      edges.push([i, next(i)], [n + i, n + next(i)], [i, n + i]);
+    }
+  }
+  for (let i = 1; i < n - 1; i++) {
+    triangles.push({ indices: [0, i, i + 1], face: n });
+    if (!cone) triangles.push({ indices: [n, n + i + 1, n + i], face: n + 1 });
+  }
+  return { vertices, triangles, edges, faces: cone ? n + 1 : n + 2 };
+}
+
+/**
+ * Checks whether a clip-space point lies inside the view volume
+ * @function insideViewVolume
+ * @param {number[]} point - Clip-space x, y, z and w
+ * @returns {boolean} True if -w <= x, y, z <= w
+ */
+function insideViewVolume([x, y, z, w]) {
+  return [x, y, z].every(v => abs(v) <= w);
+}
+
+/**
+ * Finds the explainer fragments each of the building's triangles covers
+ * Pixels are PIPELINE_FRAGMENT_SIZE cells; a cell is covered when its centre
+ * is on the inner side of all three triangle edges. Depth is interpolated
+ * from the vertices with the same barycentric weights as the coverage test
+ * @function rasteriseTriangles
+ * @param {number[][]} screen - Screen x, y and NDC depth of each vertex
+ * @param {Object[]} triangles - Triangles from pipelineMesh
+ * @returns {Object[]} Fragments in draw order as { cell, x, y, depth, face }
+ */
+function rasteriseTriangles(screen, triangles) {
+  const size = PIPELINE_FRAGMENT_SIZE;
+  const columns = ceil(width / size);
+  const rows = ceil(height / size);
+  const fragments = [];
+  
+  triangles.forEach(({ indices, face }) => {
+    const [a, b, c] = indices.map(i => screen[i]);
+    const edge = (p, q, x, y) => (q[0] - p[0]) * (y - p[1]) - (q[1] - p[1]) * (x - p[0]);
+    const area = edge(a, b, c[0], c[1]);
+    if (abs(area) < 1e-6) return;
+    
+    const left = max(0, floor(min(a[0], b[0], c[0]) / size));
+    const right = min(columns - 1, floor(max(a[0], b[0], c[0]) / size));
+    const top = max(0, floor(min(a[1], b[1], c[1]) / size));
+    const bottom = min(rows - 1, floor(max(a[1], b[1], c[1]) / size));
+    
+    for (let row = top; row <= bottom; row++) {
+      for (let column = left; column <= right; column++) {
+        const x = (column + 0.5) * size;
+        const y = (row + 0.5) * size;
+        const wa = edge(b, c, x, y) / area;
+        const wb = edge(c, a, x, y) / area;
+        const wc = edge(a, b, x, y) / area;
+        if (wa < 0 || wb < 0 || wc < 0) continue;
+        
+        fragments.push({
+          cell: row * columns + column,
+          x: column * size,
+          y: row * size,
+          depth: wa * a[2] + wb * b[2] + wc * c[2],
+          face
+        });
+      }
+    }
+  });
+  
+  return fragments;
+}
+
+/**
+ * Runs the depth test over the first fragments in draw order
+ * @function depthTestFragments
+ * @param {Object[]} fragments - Fragments from rasteriseTriangles
+ * @param {number} count - How many fragments have been processed so far
+ * @returns {Object} Depth buffer as a Map of cell to the fragment stored there,
+ *   the number of fragments that passed and the fragments that failed
+ */
+function depthTestFragments(fragments, count) {
+  const depthBuffer = new Map();
+  const failed = [];
+  let passed = 0;
+  
+  fragments.slice(0, count).forEach(fragment => {
+    const stored = depthBuffer.get(fragment.cell);
+    if (stored && stored.depth <= fragment.depth) {
+      failed.push(fragment);
+    } else {
+      depthBuffer.set(fragment.cell, fragment);
+      passed++;
+    }
+  });
+  
+  return { depthBuffer, passed, failed };
+}
+
+/**
+ * Draws the world-space part of the current stage: vertices sliding from the
+ * building's own origin into place, then triangles assembled one at a time. Later
+ * stages keep the assembled triangles as an outline in the phase's colours
+ * @function drawPipelineGeometry
+ * @param {Object} view - Stage data from pipelineView
+ */
+function drawPipelineGeometry(view) {
+  const style = PHASE_STYLES[renderPhase];
+  const lineColor = style.strokeColor || [255, 255, 255];
+  
+  if (pipelineStage === 0) {
+    // Ghost of the building around its own origin, then the model translation
+    const move = constrain(map(view.progress, 0.4, 1, 0, 1), 0, 1);
+    const shown = ceil(constrain(view.progress / 0.4, 0, 1) * view.corners.length);
+    const positions = view.local.map((corner, i) => lerpArray(corner, view.corners[i], easeInOutCubic(move)));
+    
+    stroke(...lineColor, 60);
+    strokeWeight(1);
+    view.edges.forEach(([a, b]) => line(...view.local[a], ...view.local[b]));
+    positions.slice(0, shown).forEach((position, i) => line(...view.local[i], ...position));
+    
+    stroke(255, 220, 80);
+    strokeWeight(10);
+    positions.slice(0, shown).forEach(position => point(...position));
+    return;
+  }
+  
+  const assembled = pipelineStage === 1 ? ceil(view.progress * view.triangles.length) : view.triangles.length;
+  view.triangles.slice(0, assembled).forEach(({ indices, face }) => {
+    const fillAlpha = pipelineStage === 1 ? 90 : 0;
+    fill(...pipelineFaceColor(face), fillAlpha);
+    stroke(...lineColor, pipelineStage === 1 ? 255 : 120);
+    strokeWeight(pipelineStage === 1 ? 2 : 1);
+    beginShape(TRIANGLES);
+    indices.forEach(i => vertex(...view.corners[i]));
+    endShape();
+  });
+  
+  stroke(255, 220, 80);
+  strokeWeight(pipelineStage === 1 ? 8 : 5);
+  view.corners.forEach(corner => point(...corner));
+}
+
+/**
+ * Draws the projection stage in screen space: the inset morphs the building from
+ * clip space divided by one shared w (no foreshortening) to the full
+ * perspective divide, inside the -1 to 1 square of normalised device coordinates
+ * @function drawPipelineProjection
+ * @param {Object} view - Stage data from pipelineView
+ */
+function drawPipelineProjection(view) {
+  const size = PIPELINE_INSET_SIZE;
+  const left = 20;
+  const top = height / 2 - size / 2;
+  const centreW = view.clip.reduce((sum, [, , , w]) => sum + w, 0) / view.clip.length;
+  const t = easeInOutCubic(view.progress);
+  const points = view.clip.map(([x, y, , w]) => [
+    left + size / 2 + lerp(x / centreW, x / w, t) * size / 2,
+    top + size / 2 + lerp(y / centreW, y / w, t) * size / 2
+  ]);
+  
+  fill(0, 0, 0, 160);
+  stroke(255, 255, 255, 150);
+  strokeWeight(1);
+  rect(left, top, size, size);
+  line(left + size / 2, top, left + size / 2, top + size);
+  line(left, top + size / 2, left + size, top + size / 2);
+  
+  stroke(...(PHASE_STYLES[renderPhase].strokeColor || [255, 255, 255]));
+  view.edges.forEach(([a, b]) => line(...points[a], ...points[b]));
+  
+  // The same divided vertices on the real screen
+  stroke(255, 220, 80);
+  strokeWeight(8);
+  points.forEach(p => point(...p));
+  view.screen.forEach(([x, y]) => point(x, y));
+}
+
+/**
+ * Draws the rasterisation stage: fragments appear triangle by triangle in
+ * draw order, translucent so overlapping coverage shows brighter
+ * @function drawPipelineFragments
+ * @param {Object} view - Stage data from pipelineView
+ */
+function drawPipelineFragments(view) {
+  const shown = ceil(view.progress * view.fragments.length);
+  stroke(0, 0, 0, 120);
+  strokeWeight(1);
+  view.fragments.slice(0, shown).forEach(fragment => {
+    fill(...pipelineFaceColor(fragment.face), 110);
+    rect(fragment.x, fragment.y, PIPELINE_FRAGMENT_SIZE, PIPELINE_FRAGMENT_SIZE);
+  });
+}
+
+/**
+ * Draws the depth test stage: the depth buffer fills with the nearest
+ * fragment per pixel, while fragments that lose the test are outlined in red
+ * @function drawPipelineDepthTest
+ * @param {Object} view - Stage data from pipelineView
+ */
+function drawPipelineDepthTest(view) {
+  const { depthBuffer, failed } = depthTestFragments(view.fragments, ceil(view.progress * view.fragments.length));
+  const size = PIPELINE_FRAGMENT_SIZE;
+  const depths = view.fragments.map(fragment => fragment.depth);
+  const [nearest, farthest] = [min(depths), max(depths)];
+  
+  stroke(0, 0, 0, 120);
+  strokeWeight(1);
+  depthBuffer.forEach(fragment => {
+    // Nearer fragments are drawn brighter, as a depth buffer view would be
+    const shade = map(fragment.depth, nearest, farthest, 1, 0.4, true);
+    fill(...pipelineFaceColor(fragment.face).map(v => v * shade), 220);
+    rect(fragment.x, fragment.y, size, size);
+  });
+  
+  noFill();
+  stroke(255, 40, 40);
+  strokeWeight(2);
+  failed.forEach(fragment => rect(fragment.x + 2, fragment.y + 2, size - 4, size - 4));
+}
+
+function windowResized() {
+  resizeCanvas(windowWidth, windowHeight);
+  resizePostProcessingBuffers();
+}
+
+// Helper functions
+// Chance that an event happening rate times per second on average falls in this frame
+const clockChance = rate => 1 - Math.exp(-rate * clockDelta);
+const lerpArray = (a, b, t) => a.map((v, i) => lerp(v, b[i], t));
+const easeOutQuart = t => 1 - Math.pow(1 - t, 4);
+const pipelineFaceColor = face => PIPELINE_FACE_COLORS[face % PIPELINE_FACE_COLORS.length];
+const easeInOutCubic = t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+const smoothstep = (edge0, edge1, x) => {
+  const t = constrain((x - edge0) / (edge1 - edge0), 0, 1);
+  return t * t * (3 - 2 * t);
+};
+const nextPhase = () => (renderPhase + 1) % PHASES.length;
+// Styles only blend toward the next phase on the exit ramp; the entry ramp
+// starts from a style the previous phase has already finished blending into
+const styleTransition = () => phaseTimer > PHASES[renderPhase].duration / 2 ? transitionProgress : 0;
+// Side-by-side comparison squeezes each view into half the canvas width
+const viewAspect = () => (isComparisonReady() && COMPARISON_MODES[comparisonMode] === 'Side by Side' ? 0.5 : 1) * width / height;
+
+// Event handlers
+function mousePressed(event) {
+  // Presses on the control panel or overlays never grab the wipe or lens under them
+  comparisonDrag = event?.target === drawingContext.canvas ? comparisonHandleAt(mouseX, mouseY) : null;
+}
+
+function mouseDragged() {
+  if (comparisonDrag === 'wipe') {
+    comparisonSplit = constrain(mouseX / width, 0, 1);
+  } else if (comparisonDrag === 'lens') {
+    comparisonLens = [constrain(mouseX / width, 0, 1), constrain(mouseY / height, 0, 1)];
+  } else if (userCameraControl) {
+    cameraAngle -= movedX * 0.01;
+  }
+  return false;
+}
+
+function mouseReleased() {
+  comparisonDrag = null;
+}
+
+function mouseWheel(event) {
+  if (userCameraControl) {
+    cameraDistance = constrain(cameraDistance + event.delta, 400, 1500);
+    if (cameraDistanceSlider) {
+      cameraDistanceSlider.value(cameraDistance);
+      cameraDistanceSlider.showValue();
+    }
+  }
+  return false;
+}
+
+/**
+ * Generates trees around the cityscape
+ * Places trees with proper spacing and avoids buildings
+ * @function generateTrees
+ */
+function generateTrees() {
+  const buildingBuffer = 60; // Minimum distance from buildings
+  const edgeBuffer = cityExtent() - 150; // Trees are scattered within this distance of the centre
+  
+  for (let i = 0; i < TREE_COUNT; i++) {
+    let x, z;
+    let validPosition = false;
+    let attempts = 0;
+    
+    // Try to find a valid position away from buildings
+    while (!validPosition && attempts < 50) {
+      x = random(-edgeBuffer, edgeBuffer);
+      z = random(-edgeBuffer, edgeBuffer);
+      validPosition = true;
+      
+      // Check distance from all buildings
+      for (let building of buildings) {
+        const dx = x - building.x;
+        const dz = z - building.z;
+        const distance = sqrt(dx * dx + dz * dz);
+        if (distance < building.width/2 + buildingBuffer) {
+          validPosition = false;
+          break;
+        }
+      }
+      attempts++;
+    }
+    
+    if (validPosition) trees.push(createTree(x, z));
+  }
+  
+  // Parks are planted more densely than the streets around them
+  const parkRadius = (citySettings.spacing - ROAD_WIDTH) / 2 - 15;
+  cityBlocks.filter(block => block.zone === 'park').forEach(block => {
+    for (let i = 0; i < PARK_TREE_COUNT; i++) {
+      trees.push(createTree(block.x + random(-parkRadius, parkRadius), block.z + random(-parkRadius, parkRadius)));
+    }
+  });
+}
+
+/**
+ * Creates a tree with a random size, sway and type
+ * @function createTree
+ * @param {number} x - Position along the x axis
+ * @param {number} z - Position along the z axis
+ * @returns {Object} Tree object for trees[]
+ */
+function createTree(x, z) {
+  return {
+    x: x,
+    z: z,
+    height: random(40, 80),
+    trunkHeight: random(10, 20),
+    trunkWidth: random(4, 8),
+    canopySize: random(20, 35),
+    swayOffset: random(TWO_PI),
+    type: random() > 0.7 ? 'pine' : 'deciduous'
+  };
+}
+
+// Not actually HDR but similar processes
+function applyHDRBackground(opacity = 1.0) {
+  if (!hdrTexture || opacity <= 0) return;
+  push();
+  noLights();
+  noStroke();
+  
+  // Enviroment Texture
+  texture(hdrTexture);
+  tint(255, 255 * opacity);
+  drawingContext.disable(drawingContext.DEPTH_TEST);
+  
+  // Sphere to show environment map
+  scale(-1, 1, 1);
+  sphere(3000, 32, 32);
+  drawingContext.enable(drawingContext.DEPTH_TEST);
+  noTint();
+  pop();
 }
 
-function createProceduralTexture(size, bgColor, noiseParams) {
-  const { count, shade, alpha } = noiseParams;
-  const tex = createGraphics(size, size);
-  tex.background(bgColor);
-  tex.noStroke();
-  
-  for (let i = 0; i < count; i++) {
-    tex.fill(...shade, alpha);
-    tex.ellipse(random(size), random(size), 2, 2);
+/**
+ * Draws the sky for the time of day on a sphere around the camera, behind
+ * everything else: a gradient from the horizon to the zenith with the sun,
+ * the moon and, at night, stars. Cloud hides the sun, moon and stars, and
+ * fog thicker than a storm's hazes the sky over
+ * @function drawSky
+ * @param {number} opacity - Opacity of the sky (0-1)
+ */
+function drawSky(opacity) {
+  if (!skyShader) return;
+  push();
+  noLights();
+  noStroke();
+  shader(skyShader);
+  skyShader.setUniform('uZenithColor', dayCycle.zenith.map(v => v / 255));
+  skyShader.setUniform('uHorizonColor', dayCycle.horizon.map(v => v / 255));
+  skyShader.setUniform('uSunDirection', dayCycle.sunDirection);
+  skyShader.setUniform('uSunColor', dayCycle.sunColor.map(v => v / 255));
+  skyShader.setUniform('uMoonDirection', dayCycle.moonDirection);
+  skyShader.setUniform('uNight', (1 - dayCycle.daylight) * (1 - weather.cloud));
+  skyShader.setUniform('uFogColor', fogColor.map(v => v / 255));
+  skyShader.setUniform('uHaze', constrain(fogDensity - 1, 0, 1));
+  skyShader.setUniform('uOpacity', opacity);
+  
+  drawingContext.disable(drawingContext.DEPTH_TEST);
+  translate(...cameraEye);
+  sphere(CAMERA_FAR / 2, 24, 16);
+  drawingContext.enable(drawingContext.DEPTH_TEST);
+  pop();
+}
+
+/**
+ * Creates the framebuffers used by the post-processing pipeline
+ * The scene buffer follows the canvas size; each bloom level halves it again
+ * @function createPostProcessingBuffers
+ */
+function createPostProcessingBuffers() {
+  try {
+    sceneBuffer = createFramebuffer();
+    fogBuffer = createFramebuffer({ depth: false });
+    occludedBuffer = createFramebuffer({ depth: false });
+    phosphorBuffers = [createFramebuffer({ depth: false }), createFramebuffer({ depth: false })];
+    vectorDisplayBuffer = createFramebuffer({ depth: false });
+    comparisonBuffers = [0, 1].map(() => createFramebuffer({ depth: false }));
+    const [rayWidth, rayHeight] = rayTraceSize();
+    rayTraceBuffers = [0, 1].map(() => createFramebuffer({
+      width: rayWidth,
+      height: rayHeight,
+      density: 1,
+      depth: false,
+      format: FLOAT
+    }));
+    const [ssaoWidth, ssaoHeight] = bloomLevelSize(0);
+    ssaoBuffers = {
+      occlusion: createFramebuffer({ width: ssaoWidth, height: ssaoHeight, density: 1, depth: false }),
+      scratch: createFramebuffer({ width: ssaoWidth, height: ssaoHeight, density: 1, depth: false })
+    };
+    shadowMap = createFramebuffer({
+      width: SHADOW_MAP_SIZE,
+      height: SHADOW_MAP_SIZE,
+      density: 1,
+      antialias: false,
+      textureFiltering: NEAREST
+    });
+    bloomBuffers = [];
+    
+    for (let level = 0; level < BLOOM_LEVELS; level++) {
+      const [w, h] = bloomLevelSize(level);
+      bloomBuffers.push({
+        blurred: createFramebuffer({ width: w, height: h, density: 1, depth: false }),
+        scratch: createFramebuffer({ width: w, height: h, density: 1, depth: false })
+      });
+    }
+  } catch (e) {
+    console.error("Post-processing unavailable:", e);
+    sceneBuffer = null;
+    fogBuffer = null;
+    occludedBuffer = null;
+    phosphorBuffers = [];
+    vectorDisplayBuffer = null;
+    comparisonBuffers = [];
+    rayTraceBuffers = [];
+    ssaoBuffers = null;
+    shadowMap = null;
+    bloomBuffers = [];
+  }
+}
+
+/**
+ * Resizes the fixed-size bloom, SSAO and ray tracing buffers to match a new canvas size
+ * @function resizePostProcessingBuffers
+ */
+function resizePostProcessingBuffers() {
+  rayTraceBuffers.forEach(buffer => buffer.resize(...rayTraceSize()));
+
+  if (ssaoBuffers) {
+    const [w, h] = bloomLevelSize(0);
+    ssaoBuffers.occlusion.resize(w, h);
+    ssaoBuffers.scratch.resize(w, h);
   }
   
-  return tex;
+  bloomBuffers.forEach((level, i) => {
+    const [w, h] = bloomLevelSize(i);
+    level.blurred.resize(w, h);
+    level.scratch.resize(w, h);
+  });
 }
 
 /**
- * Creates procedural textures for concrete building surfaces
- * Generates baseColor, normal, roughness, and ambient occlusion maps
- * @function createProceduralConcreteTextures
- * @returns {Object} Texture maps for concrete materials
+ * Size of a bloom mip level in pixels, starting at half the canvas size
+ * @function bloomLevelSize
+ * @param {number} level - Mip level (0 is the largest)
+ * @returns {number[]} Width and height of the level
  */
-function createProceduralConcreteTextures() {
-  concreteTextures.baseColor = createProceduralTexture(200, 120, {
-    count: 5000,
-    shade: [random(80, 150)],
-    alpha: 100
+function bloomLevelSize(level) {
+  const divisor = pow(2, level + 1);
+  return [max(1, floor(width / divisor)), max(1, floor(height / divisor))];
+}
+
+/**
+ * Checks that the framebuffers and every post-processing pass are available
+ * @function isPostProcessingReady
+ * @returns {boolean} True if the scene can be rendered through post-processing
+ */
+function isPostProcessingReady() {
+  return !!sceneBuffer && ['fog', 'bloomBright', 'blur', 'bloomComposite'].every(name => postShaders[name]);
+}
+
+/**
+ * Runs one full screen shader pass into a framebuffer
+ * @function runPostPass
+ * @param {p5.Framebuffer} target - Framebuffer receiving the result
+ * @param {p5.Shader} passShader - Shader to run over every pixel
+ * @param {Object} uniforms - Uniform names and values for the pass
+ */
+function runPostPass(target, passShader, uniforms) {
+  target.begin();
+  clear();
+  drawPostQuad(passShader, uniforms);
+  target.end();
+}
+
+/**
+ * Covers the current render target with a full screen shader quad
+ * @function drawPostQuad
+ * @param {p5.Shader} passShader - Shader to run over every pixel
+ * @param {Object} uniforms - Uniform names and values for the pass
+ */
+function drawPostQuad(passShader, uniforms) {
+  push();
+  noLights();
+  noStroke();
+  shader(passShader);
+  Object.entries(uniforms).forEach(([name, value]) => passShader.setUniform(name, value));
+  rect(0, 0, width, height);
+  pop();
+}
+
+/**
+ * Axes of the camera that updateCamera last set, for passes that rebuild
+ * view rays per pixel. The camera looks along -back with +y as world up
+ * @function cameraBasis
+ * @returns {Object} Unit right, up and back vectors as p5.Vectors
+ */
+function cameraBasis() {
+  const back = p5.Vector.sub(createVector(...cameraEye), createVector(...cameraCenter)).normalize();
+  const right = createVector(0, 1, 0).cross(back).normalize();
+  const up = back.cross(right).normalize();
+  return { right, up, back };
+}
+
+/**
+ * Applies per-pixel distance fog using the scene depth buffer
+ * World positions are rebuilt from depth with the camera basis that
+ * updateCamera last set, so fog also works with height
+ * @function renderFog
+ * @param {p5.Framebuffer} source - Framebuffer holding the scene colour
+ */
+function renderFog(source) {
+  const { right, up, back } = cameraBasis();
+  
+  runPostPass(fogBuffer, postShaders.fog, {
+    uScene: source.color,
+    uDepth: sceneBuffer.depth,
+    uFogMode: fogMode,
+    uFogColor: fogColor.map(v => v / 255),
+    uFogDensity: max(fogDensity, 0),
+    uNear: CAMERA_NEAR,
+    uFar: CAMERA_FAR,
+    uTanHalfFov: tan(CAMERA_FOV / 2),
+    uAspect: viewAspect(),
+    uCameraPosition: cameraEye,
+    uCameraRight: right.array(),
+    uCameraUp: up.array(),
+    uCameraBack: back.array()
+  });
+}
+
+/**
+ * Checks whether the current phase runs screen-space ambient occlusion
+ * @function usesAmbientOcclusion
+ * @returns {boolean} True if the SSAO passes should run this frame
+ */
+function usesAmbientOcclusion() {
+  return !!(PHASE_STYLES[renderPhase].ambientOcclusion && ssaoBuffers &&
+    postShaders.ssao && postShaders.ssaoComposite);
+}
+
+/**
+ * Darkens creases and contact points using the scene depth buffer
+ * Occlusion is computed at half resolution, blurred with the bloom blur pass
+ * and then multiplied into the scene colour
+ * @function renderAmbientOcclusion
+ */
+function renderAmbientOcclusion() {
+  const { occlusion, scratch } = ssaoBuffers;
+  const texelSize = [1 / occlusion.width, 1 / occlusion.height];
+  
+  runPostPass(occlusion, postShaders.ssao, {
+    uDepth: sceneBuffer.depth,
+    uTexelSize: [1 / sceneBuffer.width, 1 / sceneBuffer.height],
+    uNear: CAMERA_NEAR,
+    uFar: CAMERA_FAR,
+    uTanHalfFov: tan(CAMERA_FOV / 2),
+    uAspect: viewAspect(),
+    uRadius: SSAO_RADIUS,
+    uBias: SSAO_BIAS,
+    uIntensity: SSAO_INTENSITY
   });
   
-  concreteTextures.normal = createProceduralTexture(200, [128, 128, 255], {
-    count: 2000,
-    shade: [random(120, 140), random(120, 140), random(240, 255)],
-    alpha: 100
+  runPostPass(scratch, postShaders.blur, {
+    uSource: occlusion.color,
+    uTexelSize: texelSize,
+    uDirection: [1, 0]
+  });
+  runPostPass(occlusion, postShaders.blur, {
+    uSource: scratch.color,
+    uTexelSize: texelSize,
+    uDirection: [0, 1]
   });
   
-  concreteTextures.roughness = createProceduralTexture(200, 200, {
-    count: 3000,
-    shade: [random(180, 240)],
-    alpha: 150
+  runPostPass(occludedBuffer, postShaders.ssaoComposite, {
+    uScene: sceneBuffer.color,
+    uOcclusion: occlusion.color
   });
 }
 
 /**
- * Creates procedural textures for ground surfaces
- * Uses Perlin noise to generate natural-looking terrain patterns
- * @function createProceduralGroundTextures
- * @returns {Object} Texture maps for ground materials
+ * Checks whether the current phase is shown on the simulated vector display
+ * @function isVectorDisplayReady
+ * @returns {boolean} True if the phosphor and display passes should run
  */
-function createProceduralGroundTextures() {
-  const baseColor = createGraphics(400, 400);
-  baseColor.background(30, 30, 35);
-  baseColor.noStroke();
+function isVectorDisplayReady() {
+  return !!(PHASE_STYLES[renderPhase].vectorDisplay && vectorDisplayBuffer &&
+    postShaders.phosphor && postShaders.vectorDisplay);
+}
+
+/**
+ * Simulates a CRT vector display on top of the rendered lines
+ * New lines are merged into the decaying phosphor from previous frames, then
+ * scanlines and beam flicker are laid over the result. The effects fade out
+ * with the phase transition so the hand-over to solid shading stays smooth
+ * @function renderVectorDisplay
+ * @param {p5.Framebuffer} source - Framebuffer holding the scene colour
+ * @returns {p5.Framebuffer} Framebuffer holding the displayed image
+ */
+function renderVectorDisplay(source) {
+  const style = PHASE_STYLES[renderPhase];
+  const strength = 1 - transitionProgress;
+  
+  // Trails left over from the last time this phase ran are dropped. The
+  // glow decays by phosphorPersistence every 60th of a second of animation
+  const decay = pow(phosphorPersistence, clockDelta * REFERENCE_FPS);
+  const persistence = phosphorFrame >= frameCount - 1 ? decay * strength : 0;
+  const previous = phosphorBuffers[phosphorIndex];
+  phosphorIndex = 1 - phosphorIndex;
+  phosphorFrame = frameCount;
+  
+  runPostPass(phosphorBuffers[phosphorIndex], postShaders.phosphor, {
+    uScene: source.color,
+    uPrevious: previous.color,
+    uPersistence: persistence
+  });
   
-  for (let i = 0; i < 10000; i++) {
-    const shade = random(20, 60);
-    baseColor.fill(shade, shade, shade + random(-5, 5), 150);
-    baseColor.ellipse(random(400), random(400), random(1, 3), random(1, 3));
-  }
+  runPostPass(vectorDisplayBuffer, postShaders.vectorDisplay, {
+    uPhosphor: phosphorBuffers[phosphorIndex].color,
+    uScanlineIntensity: style.scanlineIntensity * strength,
+    uScanlineSpacing: SCANLINE_SPACING * pixelDensity(),
+    uFlicker: 1 - style.beamFlicker * strength * noise(clockTime * 30)
+  });
   
-  baseColor.fill(220, 220, 0);
-  for (let i = 0; i < 400; i += 100) {
-    for (let j = 50; j < 350; j += 30) {
-      baseColor.rect(i, j, 20, 5);
+  return vectorDisplayBuffer;
+}
+
+/**
+ * Size of the ray traced image in pixels
+ * @function rayTraceSize
+ * @returns {number[]} Width and height of the ray trace buffers
+ */
+function rayTraceSize() {
+  return [max(1, floor(width * RAY_TRACE_SCALE)), max(1, floor(height * RAY_TRACE_SCALE))];
+}
+
+/**
+ * Checks that the scene texture, buffers and ray tracing passes are available
+ * @function isRayTracingReady
+ * @returns {boolean} True if the city can be ray traced
+ */
+function isRayTracingReady() {
+  return !!(rayTraceScene && rayTraceBuffers.length === 2 &&
+    postShaders.rayTrace && postShaders.rayTraceDisplay);
+}
+
+/**
+ * How much of the frame comes from the ray tracer rather than rasterisation
+ * Follows the phase transition, so Phase 6 fades in over the rasterised city
+ * @function rayTracingWeight
+ * @returns {number} 0 for rasterised only, 1 for fully ray traced
+ */
+function rayTracingWeight() {
+  return isRayTracingReady() ? phaseFeatureWeight('rayTracing') : 0;
+}
+
+/**
+ * Packs the city into a row of float texels for the ray tracer
+ * Each massing part becomes a box of three texels: min corner and material,
+ * max corner and glazing (the share of windows lit, plus 2 for a curtain
+ * wall), then the facade's floors, bays along x and z and seed; each tree becomes
+ * a trunk texel and a canopy ellipsoid texel. Past RAY_TRACE_MAX_OBJECTS the
+ * parts and trees farthest from the centre are left out, and the controls say
+ * so. Must run again whenever the buildings or trees are regenerated
+ * @function createRayTraceScene
+ */
+function createRayTraceScene() {
+  try {
+    // Nearest the centre first, so a scene over the limit loses its outskirts
+    const byCentreDistance = (a, b) => Math.hypot(a.x, a.z) - Math.hypot(b.x, b.z);
+    const boxes = [];
+    [...buildings].sort(byCentreDistance).forEach(building => {
+      building.parts.forEach(part => {
+        // Cylinders fill their box's footprint; a spire is traced as a slim cylinder
+        const taper = part.shape === 'cone' ? 0.4 : 1;
+        const shape = part.shape === 'box' ? 0 : RAY_TRACE_CYLINDER;
+        boxes.push({ x: building.x + part.x, y: building.y + part.y, z: building.z + part.z,
+          w: part.w / 2 * taper, h: part.h / 2, d: part.d / 2 * taper,
+          material: (part.role === 'body' ? 1 : 2) + shape, facade: part.facade });
+      });
+    });
+    const tracedTrees = [...trees].sort(byCentreDistance);
+    const boxCount = min(boxes.length, RAY_TRACE_MAX_OBJECTS);
+    const treeCount = min(tracedTrees.length, RAY_TRACE_MAX_OBJECTS);
+    const dropped = { boxes: boxes.length - boxCount, trees: tracedTrees.length - treeCount };
+    if (dropped.boxes || dropped.trees) {
+      console.warn(`Ray tracer limited to ${RAY_TRACE_MAX_OBJECTS} boxes and trees; ` +
+        `leaving out ${dropped.boxes} building parts and ${dropped.trees} trees`);
+    }
+    
+    const texels = [];
+    boxes.slice(0, boxCount).forEach((b, i) => {
+      const facade = b.facade;
+      const glazing = facade ? facade.litShare + (facade.style === 'curtainWall' ? 2 : 0) : 0;
+      texels[i * 3] = [b.x - b.w, b.y - b.h, b.z - b.d, b.material];
+      texels[i * 3 + 1] = [b.x + b.w, b.y + b.h, b.z + b.d, glazing];
+      texels[i * 3 + 2] = facade ? [facade.floors, facade.baysX, facade.baysZ, facade.seed] : [0, 0, 0, 0];
+    });
+    // Canopy ellipsoid around the stacked cones drawn by drawSolidTree
+    tracedTrees.slice(0, treeCount).forEach((tree, i) => {
+      const layerHeight = tree.height / 7.2;
+      const radiusY = (tree.canopySize / 2 + layerHeight * 5.5) / 2;
+      texels[RAY_TRACE_MAX_OBJECTS * 3 + i * 2] = [tree.x, tree.z, tree.trunkHeight, tree.trunkWidth];
+      texels[RAY_TRACE_MAX_OBJECTS * 3 + i * 2 + 1] = [
+        -tree.trunkHeight - radiusY, tree.canopySize * 0.8, radiusY, tree.type === 'pine' ? 1 : 0
+      ];
+    });
+    
+    const data = rayTraceScene?.data || createFramebuffer({
+      width: RAY_TRACE_MAX_OBJECTS * 5,
+      height: 1,
+      density: 1,
+      depth: false,
+      format: FLOAT,
+      textureFiltering: NEAREST
+    });
+    data.loadPixels();
+    for (let i = 0; i < RAY_TRACE_MAX_OBJECTS * 5; i++) {
+      const texel = texels[i] || [0, 0, 0, 0];
+      for (let c = 0; c < 4; c++) data.pixels[i * 4 + c] = texel[c];
     }
+    data.updatePixels();
+    
+    rayTraceScene = { data, boxCount, treeCount, dropped };
+    rayTraceView = '';
+  } catch (e) {
+    console.error("Error creating ray trace scene:", e);
+    rayTraceScene = null;
   }
+  showRayTraceLimit();
+}
+
+/**
+ * Tells the user in the ray tracing controls when the city is too big for
+ * the ray tracer and which parts of it Phase 6 leaves out
+ * @function showRayTraceLimit
+ */
+function showRayTraceLimit() {
+  const note = rayTraceLimitNote;
+  if (!note) return;
+  const dropped = rayTraceScene?.dropped;
+  if (!dropped || !(dropped.boxes || dropped.trees)) {
+    note.style('display', 'none');
+    return;
+  }
+  note.style('display', 'block').html(`Scene over the ${RAY_TRACE_MAX_OBJECTS} object limit: ` +
+    `${dropped.boxes} building parts and ${dropped.trees} trees at the edge of the city are not traced`);
+}
+
+/**
+ * Traces the city into the accumulation buffers
+ * Each frame adds samplesPerPixel new samples to the running average. The
+ * average restarts whenever the camera, settings or canvas change, and stops
+ * once RAY_TRACE_MAX_FRAMES have been averaged for a still view
+ * @function renderRayTracing
+ */
+function renderRayTracing() {
+  const style = PHASE_STYLES[renderPhase];
+  // Time of day, fog, snow and puddles ease a little every frame while they
+  // change, so they restart the average only once they have moved a step:
+  // a quarter of an hour, or a twentieth of their range
+  const lighting = [round(timeOfDay * 4), lightingIntensity, isLightning];
+  const weatherSteps = [fogDensity, snowCover, groundWetness].map(v => round(v * 20));
+  const view = [renderPhase, ...cameraEye, ...cameraCenter, ...rayTraceSize(), viewAspect(), rayTraceSamples, ...lighting, ...weatherSteps].join(',');
+  if (view !== rayTraceView || rayTraceFrame < frameCount - 1) {
+    rayTraceView = view;
+    rayTraceFrames = 0;
+  }
+  rayTraceFrame = frameCount;
+  if (rayTraceFrames >= RAY_TRACE_MAX_FRAMES) return;
+  
+  const { right, up, back } = cameraBasis();
+  const lampGrid = streetLightGrid();
+  const flash = lightningFlash();
+  const previous = rayTraceBuffers[rayTraceIndex];
+  const target = rayTraceBuffers[1 - rayTraceIndex];
+  
+  target.begin();
+  clear();
+  setEnvironmentUniforms(postShaders.rayTrace);
+  drawPostQuad(postShaders.rayTrace, {
+    uPrevious: previous.color,
+    uFrameIndex: rayTraceFrames,
+    uSeed: random(1000),
+    uSamples: rayTraceSamples,
+    uResolution: [target.width, target.height],
+    uSceneData: rayTraceScene.data,
+    uSceneDataSize: rayTraceScene.data.width,
+    uTreeOffset: RAY_TRACE_MAX_OBJECTS * 3,
+    uBoxCount: rayTraceScene.boxCount,
+    uTreeCount: rayTraceScene.treeCount,
+    uGroundExtent: cityExtent(),
+    uCameraPosition: cameraEye,
+    uCameraRight: right.array(),
+    uCameraUp: up.array(),
+    uCameraBack: back.array(),
+    uTanHalfFov: tan(CAMERA_FOV / 2),
+    uAspect: viewAspect(),
+    uLightDirection: dayCycle.lightDirection,
+    uLightColor: daylitColor(style.directionalLight.color, dayCycle.lightTint).map(v => v / 255),
+    uLightSpread: style.sunSpread || 0,
+    uAmbientColor: daylitColor(style.ambientLight, dayCycle.ambientTint).map((v, i) => (v + (flash ? flash.ambient[i] : 0)) / 255),
+    uFogColor: fogColor,
+    uFogDensity: max(fogDensity, 0),
+    uWetness: (style.wetness || 0) * groundWetness * (1 - snowCover),
+    uSnowCover: snowCover,
+    uStreetLightOrigin: lampGrid.origin,
+    uStreetLightSpacing: lampGrid.spacing,
+    uStreetLightCount: lampGrid.count,
+    uStreetLightReach: STREET_LIGHT_REACH,
+    uStreetLightColor: STREET_LIGHT_COLOR.map(v => v * lightingIntensity),
+    uLightsOn: dayCycle.lightsOn,
+    uFlashPosition: flash ? flash.position : [0, 0, 0],
+    uFlashColor: flash ? flash.color.map(v => v / 255 * lightingIntensity) : [0, 0, 0]
+  });
+  target.end();
   
-  groundTextures.baseColor = baseColor;
-  
-  groundTextures.normal = createProceduralTexture(400, [128, 128, 255], {
-    count: 8000,
-    shade: [random(120, 135), random(120, 135), random(240, 255)],
-    alpha: 100
+  rayTraceIndex = 1 - rayTraceIndex;
+  rayTraceFrames++;
+}
+
+/**
+ * Lays the ray traced image over the rasterised scene
+ * Depth testing is off so the full screen quad covers everything drawn so far
+ * @function drawRayTracedScene
+ * @param {number} opacity - Weight of the ray traced image
+ */
+function drawRayTracedScene(opacity) {
+  drawingContext.disable(drawingContext.DEPTH_TEST);
+  drawPostQuad(postShaders.rayTraceDisplay, {
+    uRadiance: rayTraceBuffers[rayTraceIndex].color,
+    uOpacity: opacity,
+    // Straight onto the canvas when there is no scene framebuffer
+    uFlipY: !isPostProcessingReady()
+  });
+  drawingContext.enable(drawingContext.DEPTH_TEST);
+}
+
+/**
+ * Builds the bloom mip chain from the rendered scene
+ * Bright pass into the first level, then each level is blurred horizontally
+ * and vertically while being downsampled from the level above
+ * @function renderBloom
+ * @param {p5.Framebuffer} source - Framebuffer holding the scene colour
+ */
+function renderBloom(source) {
+  runPostPass(bloomBuffers[0].blurred, postShaders.bloomBright, {
+    uScene: source.color,
+    uTexelSize: [1 / source.width, 1 / source.height],
+    uThreshold: BLOOM_THRESHOLD,
+    uKnee: BLOOM_KNEE
   });
   
-  groundTextures.roughness = createProceduralTexture(400, 180, {
-    count: 6000,
-    shade: [random(160, 220)],
-    alpha: 120
+  bloomBuffers.forEach((level, i) => {
+    const levelSource = i === 0 ? level.blurred : bloomBuffers[i - 1].blurred;
+    
+    runPostPass(level.scratch, postShaders.blur, {
+      uSource: levelSource.color,
+      uTexelSize: [1 / levelSource.width, 1 / levelSource.height],
+      uDirection: [1, 0]
+    });
+    runPostPass(level.blurred, postShaders.blur, {
+      uSource: level.scratch.color,
+      uTexelSize: [1 / level.scratch.width, 1 / level.scratch.height],
+      uDirection: [0, 1]
+    });
   });
 }
 
 /**
- * Creates procedural textures for building roofs
- * Generates patterns for different roofing materials and wear
- * @function createProceduralRoofTextures
- * @returns {Object} Texture maps for roof materials
+ * Composites the post-processing passes onto the canvas or a framebuffer
+ * Fog and bloom are driven by fogDensity and bloomIntensity, which
+ * updateVisualEffects eases toward the current phase's PHASE_STYLES values
+ * @function applyPostProcessing
+ * @param {p5.Framebuffer} [target] - Framebuffer receiving the result, the canvas if omitted
  */
-function createProceduralRoofTextures() {
-  const createPatternedTexture = (size, bgColor, patternColor) => {
-    const tex = createGraphics(size, size);
-    tex.background(bgColor);
-    tex.noStroke();
-    tex.fill(patternColor);
+function applyPostProcessing(target) {
+  let source = sceneBuffer;
+  
+  if (usesAmbientOcclusion()) {
+    renderAmbientOcclusion();
+    source = occludedBuffer;
+  }
+  
+  if (fogDensity > 0.01) {
+    renderFog(source);
+    source = fogBuffer;
+  }
+  
+  let glow = 0;
+  if (isVectorDisplayReady()) {
+    source = renderVectorDisplay(source);
+    glow = PHASE_STYLES[renderPhase].phosphorGlow * (1 - transitionProgress);
+  }
+  
+  const intensity = constrain(max(bloomIntensity, glow), 0, 2);
+  if (intensity > 0.01) renderBloom(source);
+  
+  const uniforms = {
+    uScene: source.color,
+    uBloom0: bloomBuffers[0].blurred.color,
+    uBloom1: bloomBuffers[1].blurred.color,
+    uBloom2: bloomBuffers[2].blurred.color,
+    uBloom3: bloomBuffers[3].blurred.color,
+    uBloomIntensity: intensity > 0.01 ? intensity : 0,
+    uFlipY: !target
+  };
+  
+  if (target) {
+    runPostPass(target, postShaders.bloomComposite, uniforms);
+  } else {
+    background(0);
+    drawPostQuad(postShaders.bloomComposite, uniforms);
+  }
+}
+
+/**
+ * Checks whether the current phase casts shadows from its directional light
+ * @function usesShadows
+ * @returns {boolean} True if the shadow map should be rendered this frame
+ */
+function usesShadows() {
+  const style = PHASE_STYLES[renderPhase];
+  if (rayTracingWeight() >= 1) return false;
+  return !!(style.shadowMapping && style.directionalLight && shadowMap && shadowDepthShader);
+}
+
+/**
+ * Renders the shadow casters' depth as seen from the directional light
+ * An orthographic light camera suits a distant light like the moon or sun
+ * @function renderShadowMap
+ */
+function renderShadowMap() {
+  const [dx, dy, dz] = dayCycle.lightDirection;
+  const lightDirection = createVector(dx, dy, dz).normalize();
+  const target = createVector(0, -150, 0);
+  const eye = p5.Vector.sub(target, p5.Vector.mult(lightDirection, SHADOW_DISTANCE));
+  
+  lightViewProjection = multiplyMatrices(
+    orthographicMatrix(max(SHADOW_EXTENT, cityExtent() * 1.2), 10, SHADOW_DISTANCE * 2),
+    lookAtMatrix(eye, target, createVector(0, 0, 1))
+  );
+  
+  shadowMap.begin();
+  clear();
+  noLights();
+  noStroke();
+  shader(shadowDepthShader);
+  shadowDepthShader.setUniform('uLightViewProjection', lightViewProjection);
+  drawShadowCasters();
+  shadowMap.end();
+}
+
+/**
+ * Draws simplified building and tree volumes for the shadow map
+ * @function drawShadowCasters
+ */
+function drawShadowCasters() {
+  buildings.forEach(building => {
+    building.parts.forEach(part => {
+      if (part.role === 'roof' && !PHASE_STYLES[renderPhase].rooftops) return;
+      push();
+      translate(building.x + part.x, building.y + part.y, building.z + part.z);
+      drawPartShape(part);
+      pop();
+    });
+  });
+  
+  trees.forEach(tree => {
+    push();
+    translate(tree.x, -tree.trunkHeight / 2, tree.z);
+    box(tree.trunkWidth, tree.trunkHeight, tree.trunkWidth);
     
-    for (let i = 0; i < size; i += 20) {
-      for (let j = 0; j < size; j += 20) {
-        if ((i + j) % 40 === 0) {
-          tex.rect(i, j, 10, 10);
-        }
+    const layers = 6;
+    const layerHeight = tree.height / (layers * 1.2);
+    translate(0, -tree.trunkHeight / 2 - tree.canopySize / 2, 0);
+    for (let i = 0; i < layers; i++) {
+      push();
+      translate(0, -i * layerHeight - layerHeight / 2, 0);
+      cone(tree.canopySize * map(i, 0, layers - 1, 1, 0.4), layerHeight);
+      pop();
+    }
+    pop();
+  });
+}
+
+/**
+ * Passes the shadow map and light camera to a material shader
+ * The phase's shadowSoftness picks hard (0) or PCF-filtered soft shadows
+ * @function setShadowUniforms
+ * @param {p5.Shader} targetShader - Material shader that receives shadows
+ */
+function setShadowUniforms(targetShader) {
+  const enabled = usesShadows() && !!lightViewProjection;
+  targetShader.setUniform('uUseShadows', enabled);
+  if (!enabled) return;
+  
+  targetShader.setUniform('uShadowMap', shadowMap.depth);
+  targetShader.setUniform('uLightViewProjection', lightViewProjection);
+  targetShader.setUniform('uShadowTexelSize', [1 / SHADOW_MAP_SIZE, 1 / SHADOW_MAP_SIZE]);
+  targetShader.setUniform('uShadowSoftness', PHASE_STYLES[renderPhase].shadowSoftness || 0);
+}
+
+/**
+ * Builds a column-major view matrix looking from eye toward target
+ * @function lookAtMatrix
+ * @param {p5.Vector} eye - Camera position
+ * @param {p5.Vector} target - Point the camera looks at
+ * @param {p5.Vector} up - Approximate up direction
+ * @returns {number[]} 4x4 view matrix
+ */
+function lookAtMatrix(eye, target, up) {
+  const forward = p5.Vector.sub(target, eye).normalize();
+  const side = forward.cross(up).normalize();
+  const realUp = side.cross(forward);
+  
+  return [
+    side.x, realUp.x, -forward.x, 0,
+    side.y, realUp.y, -forward.y, 0,
+    side.z, realUp.z, -forward.z, 0,
+    -side.dot(eye), -realUp.dot(eye), forward.dot(eye), 1
+  ];
+}
+
+/**
+ * Builds a column-major orthographic projection centred on the view axis
+ * @function orthographicMatrix
+ * @param {number} extent - Half-width and half-height of the view volume
+ * @param {number} near - Near plane distance
+ * @param {number} far - Far plane distance
+ * @returns {number[]} 4x4 projection matrix
+ */
+function orthographicMatrix(extent, near, far) {
+  return [
+    1 / extent, 0, 0, 0,
+    0, 1 / extent, 0, 0,
+    0, 0, -2 / (far - near), 0,
+    0, 0, -(far + near) / (far - near), 1
+  ];
+}
+
+/**
+ * Builds a column-major perspective projection like p5's perspective(),
+ * without p5's flip of the y axis
+ * @function perspectiveMatrix
+ * @param {number} fov - Vertical field of view in radians
+ * @param {number} aspect - Width divided by height
+ * @param {number} near - Near plane distance
+ * @param {number} far - Far plane distance
+ * @returns {number[]} 4x4 projection matrix
+ */
+function perspectiveMatrix(fov, aspect, near, far) {
+  const f = 1 / tan(fov / 2);
+  return [
+    f / aspect, 0, 0, 0,
+    0, f, 0, 0,
+    0, 0, (far + near) / (near - far), -1,
+    0, 0, 2 * far * near / (near - far), 0
+  ];
+}
+
+/**
+ * Transforms a point by a column-major 4x4 matrix
+ * @function transformPoint
+ * @param {number[]} m - 4x4 matrix
+ * @param {number[]} point - x, y and z of the point (w is 1)
+ * @returns {number[]} Transformed x, y, z and w
+ */
+function transformPoint(m, [x, y, z]) {
+  return [0, 1, 2, 3].map(row => m[row] * x + m[4 + row] * y + m[8 + row] * z + m[12 + row]);
+}
+
+/**
+ * Multiplies two column-major 4x4 matrices (a * b)
+ * @function multiplyMatrices
+ * @param {number[]} a - Left matrix
+ * @param {number[]} b - Right matrix
+ * @returns {number[]} Product matrix
+ */
+function multiplyMatrices(a, b) {
+  const out = new Array(16).fill(0);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      for (let k = 0; k < 4; k++) {
+        out[col * 4 + row] += a[k * 4 + row] * b[col * 4 + k];
       }
     }
+  }
+  return out;
+}
+
+/**
+ * Prepares image-based lighting from the environment map
+ * Projects the sky onto spherical harmonics for diffuse light and renders a
+ * chain of prefiltered maps for glossy reflections. Runs once in setup
+ * @function createEnvironmentLighting
+ */
+function createEnvironmentLighting() {
+  try {
+    let radiance = hdrRadiance;
+    if (radiance) {
+      hdrTexture = radianceToImage(radiance);
+    } else if (hdrTexture?.width) {
+      radiance = imageToRadiance(hdrTexture);
+    } else {
+      return;
+    }
     
-    return tex;
-  };
-  
-  roofTextures.baseColor = createPatternedTexture(200, [50, 40, 40], [70, 60, 60]);
-  roofTextures.normal = createPatternedTexture(200, [128, 128, 255], [128, 128, 220]);
-  roofTextures.roughness = createPatternedTexture(200, 180, 140);
+    const base = resampleRadiance(radiance, ENVIRONMENT_WIDTH, ENVIRONMENT_WIDTH / 2);
+    irradianceSH = computeIrradianceSH(base);
+    if (postShaders.environmentPrefilter) environmentLevels = prefilterEnvironment(base);
+  } catch (e) {
+    console.error("Image-based lighting unavailable:", e);
+    irradianceSH = null;
+    environmentLevels = [];
+  }
 }
 
 /**
- * Generates the cityscape layout with buildings
- * Creates buildings of varying sizes with proper spacing
- * @function generateCityscape
+ * Converts an 8-bit sRGB image into linear radiance
+ * @function imageToRadiance
+ * @param {p5.Image} img - Loaded environment image
+ * @returns {Object} Radiance as { width, height, data } with RGB floats per pixel
  */
-function generateCityscape() {
-  const gridSize = 5, spacing = 200; 
-  
-  for (let x = -gridSize/2; x < gridSize/2; x++) {
-    for (let z = -gridSize/2; z < gridSize/2; z++) {
-      if (random() < 0.3) continue; // Increased chance of empty spots
-      
-      const height = random(100, 400);
-      buildings.push({
-        x: x * spacing + random(-20, 20),
-        y: -height/2,
-        z: z * spacing + random(-20, 20),
-        width: random(40, 80),
-        height: height,
-        depth: random(40, 80)
-      });
-    }
+function imageToRadiance(img) {
+  img.loadPixels();
+  const data = new Float32Array(img.width * img.height * 3);
+  for (let i = 0, j = 0; i < data.length; i += 3, j += 4) {
+    data[i] = Math.pow(img.pixels[j] / 255, 2.2);
+    data[i + 1] = Math.pow(img.pixels[j + 1] / 255, 2.2);
+    data[i + 2] = Math.pow(img.pixels[j + 2] / 255, 2.2);
   }
+  return { width: img.width, height: img.height, data };
 }
 
 /**
- * Creates raindrop particles for weather effects
- * Initializes position, velocity, and lifetime properties
- * @function createRaindrops
+ * Tone maps linear radiance into an image for the background sphere
+ * @function radianceToImage
+ * @param {Object} radiance - Radiance as { width, height, data }
+ * @returns {p5.Image} Displayable environment image
  */
-function createRaindrops() {
-  for (let i = 0; i < RAINDROP_COUNT; i++) {
-    raindrops.push({
-      x: random(-1000, 1000),
-      y: random(-1000, 0),
-      z: random(-1000, 1000),
-      length: random(10, 30),
-      speed: random(15, 25),
-      thickness: random(0.5, 2)
-    });
+function radianceToImage(radiance) {
+  const img = createImage(radiance.width, radiance.height);
+  img.loadPixels();
+  for (let i = 0, j = 0; i < radiance.data.length; i += 3, j += 4) {
+    for (let c = 0; c < 3; c++) {
+      const value = radiance.data[i + c];
+      img.pixels[j + c] = 255 * Math.pow(value / (1 + value), 1 / 2.2);
+    }
+    img.pixels[j + 3] = 255;
   }
+  img.updatePixels();
+  return img;
 }
 
-function updateVisualEffects() {
-  const time = frameCount * 0.005;
-  const currentStyle = PHASE_STYLES[renderPhase];
-  
-  bloomIntensity = lerp(bloomIntensity, currentStyle.bloomEffect ? (currentStyle.bloomIntensity || 1.0) : 0, 0.03);
-  fogDensity = lerp(fogDensity, currentStyle.fogEffect ? 1 : 0, 0.03);
-  
-  if (renderPhase >= 3) {
-    if (isLightning) {
-      if (--lightningTimer <= 0) isLightning = false;
-    } else if (random() < LIGHTNING_CHANCE * 0.7 * (renderPhase === 4 ? 1.2 : 1)) {
-      isLightning = true;
-      lightningTimer = LIGHTNING_DURATION;
+/**
+ * Box filters radiance down to a smaller equirectangular size
+ * @function resampleRadiance
+ * @param {Object} radiance - Radiance as { width, height, data }
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Object} Resampled radiance
+ */
+function resampleRadiance(radiance, width, height) {
+  const data = new Float32Array(width * height * 3);
+  
+  for (let y = 0; y < height; y++) {
+    const y0 = floor(y * radiance.height / height);
+    const y1 = max(y0 + 1, floor((y + 1) * radiance.height / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = floor(x * radiance.width / width);
+      const x1 = max(x0 + 1, floor((x + 1) * radiance.width / width));
+      const i = (y * width + x) * 3;
+      
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const j = (sy * radiance.width + sx) * 3;
+          data[i] += radiance.data[j];
+          data[i + 1] += radiance.data[j + 1];
+          data[i + 2] += radiance.data[j + 2];
+        }
+      }
+      
+      const count = (y1 - y0) * (x1 - x0);
+      data[i] /= count;
+      data[i + 1] /= count;
+      data[i + 2] /= count;
     }
   }
   
-  if (currentStyle.volumetricLight) {
-    const intensity = (currentStyle.volumetricIntensity || 1.0) * 0.8;
-    const baseColor = [50, 60, 80];
-    const volumetricColor = baseColor.map(v => v * intensity * timeOfDay * (1 + sin(time) * 0.05));
-    pointLight(...volumetricColor, sin(time * 0.3) * 200, -800 + sin(time * 0.2) * 50, cos(time * 0.3) * 200);
-  }
+  return { width, height, data };
 }
 
-function updateCamera() {
-  const baseX = sin(userCameraControl ? cameraAngle : globalRotation) * cameraDistance;
-  const baseZ = cos(userCameraControl ? cameraAngle : globalRotation) * cameraDistance;
-  const wobbleAmount = 50 * (1 - userCameraControl);
-  
-  camera(
-    baseX + sin(frameCount * 0.02) * wobbleAmount,
-    cameraHeight + cos(frameCount * 0.015) * wobbleAmount,
-    baseZ + sin(frameCount * 0.01) * wobbleAmount,
-    0, -100 + sin(frameCount * 0.01) * 20, 0,
-    0, 1, 0
-  );
+/**
+ * Direction through an equirectangular texel, matching sphere()'s mirrored UVs
+ * @function equirectDirection
+ * @param {number} u - Horizontal texture coordinate (0-1)
+ * @param {number} v - Vertical texture coordinate (0-1), 0 at the top
+ * @returns {number[]} Unit direction [x, y, z]
+ */
+function equirectDirection(u, v) {
+  const theta = u * TWO_PI;
+  const phi = (v - 0.5) * PI;
+  return [-cos(phi) * sin(theta), sin(phi), cos(phi) * cos(theta)];
 }
 
-function updateLightning() {
-  if (renderPhase < 4) {
-    isLightning = false;
-    lightningTimer = 0;
-    return;
+/**
+ * Projects the environment onto the first nine spherical harmonics
+ * The coefficients are pre-scaled by the cosine lobe and 1/PI so the
+ * shaders get diffuse radiance for a white surface straight from them
+ * @function computeIrradianceSH
+ * @param {Object} radiance - Radiance as { width, height, data }
+ * @returns {number[]} 27 floats, one RGB triple per coefficient
+ */
+function computeIrradianceSH(radiance) {
+  const { width: w, height: h, data } = radiance;
+  const coefficients = new Array(27).fill(0);
+  // Cosine lobe convolution per band (PI, 2PI/3, PI/4), divided by PI
+  const bandScale = [1, 2 / 3, 2 / 3, 2 / 3, 1 / 4, 1 / 4, 1 / 4, 1 / 4, 1 / 4];
+  
+  for (let y = 0; y < h; y++) {
+    const v = (y + 0.5) / h;
+    // Texels shrink towards the poles
+    const solidAngle = cos((v - 0.5) * PI) * (TWO_PI / w) * (PI / h);
+    
+    for (let x = 0; x < w; x++) {
+      const [dx, dy, dz] = equirectDirection((x + 0.5) / w, v);
+      const basis = [
+        0.282095,
+        0.488603 * dy,
+        0.488603 * dz,
+        0.488603 * dx,
+        1.092548 * dx * dy,
+        1.092548 * dy * dz,
+        0.315392 * (3 * dz * dz - 1),
+        1.092548 * dx * dz,
+        0.546274 * (dx * dx - dy * dy)
+      ];
+      const i = (y * w + x) * 3;
+      
+      basis.forEach((b, k) => {
+        const weight = b * solidAngle * bandScale[k];
+        coefficients[k * 3] += data[i] * weight;
+        coefficients[k * 3 + 1] += data[i + 1] * weight;
+        coefficients[k * 3 + 2] += data[i + 2] * weight;
+      });
+    }
   }
   
-  if (isLightning) {
-    if (--lightningTimer <= 0) isLightning = false;
-  } else if (random() < LIGHTNING_CHANCE) {
-    isLightning = true;
-    lightningTimer = LIGHTNING_DURATION;
-  }
+  return coefficients;
 }
 
 /**
- * Displays current phase information and progress
- * Shows phase number, description, and transition status
- * Updates the phase info overlay with current state
- * @function displayPhaseInfo
+ * Renders the prefiltered environment chain, one level per roughness step
+ * Level 0 is the environment itself; each later level is half the size of
+ * the one before and filtered from it with only the extra roughness needed.
+ * GGX widths add roughly like variances in alpha (roughness squared)
+ * @function prefilterEnvironment
+ * @param {Object} radiance - Radiance as { width, height, data }
+ * @returns {p5.Framebuffer[]} Prefiltered levels, sharpest first
  */
-function displayPhaseInfo() {
-  select('#phase-title').html(PHASE_INFO.labels[renderPhase]);
-  select('#phase-description').html(PHASE_INFO.descriptions[renderPhase]);
-  select('#progress-bar').style('width', map(phaseTimer, 0, PHASE_DURATION, 0, 100) + '%');
-  select('#phase-counter').html(`${renderPhase + 1}/${TOTAL_PHASES}`);
-  select('#phase-nav-counter').html(`Phase ${renderPhase + 1} of ${TOTAL_PHASES}`);
+function prefilterEnvironment(radiance) {
+  const source = createFramebuffer({
+    width: radiance.width,
+    height: radiance.height,
+    density: 1,
+    depth: false,
+    format: FLOAT
+  });
+  source.loadPixels();
+  for (let i = 0, j = 0; i < radiance.data.length; i += 3, j += 4) {
+    source.pixels[j] = radiance.data[i];
+    source.pixels[j + 1] = radiance.data[i + 1];
+    source.pixels[j + 2] = radiance.data[i + 2];
+    source.pixels[j + 3] = 1;
+  }
+  source.updatePixels();
+  
+  const levels = [source];
+  for (let level = 1; level < ENVIRONMENT_LEVELS; level++) {
+    const previous = levels[level - 1];
+    const target = createFramebuffer({
+      width: max(1, previous.width / 2),
+      height: max(1, previous.height / 2),
+      density: 1,
+      depth: false,
+      format: HALF_FLOAT
+    });
+    
+    const alpha = pow(level / (ENVIRONMENT_LEVELS - 1), 2);
+    const previousAlpha = pow((level - 1) / (ENVIRONMENT_LEVELS - 1), 2);
+    runPostPass(target, postShaders.environmentPrefilter, {
+      uSource: previous.color,
+      uRoughness: sqrt(sqrt(alpha * alpha - previousAlpha * previousAlpha))
+    });
+    levels.push(target);
+  }
+  
+  return levels;
 }
 
-function windowResized() {
-  resizeCanvas(windowWidth, windowHeight);
+/**
+ * Passes the environment lighting to a material shader
+ * The phase's environmentLighting value scales it; 0 or missing turns it off
+ * @function setEnvironmentUniforms
+ * @param {p5.Shader} targetShader - Material shader that receives the environment
+ */
+function setEnvironmentUniforms(targetShader) {
+  const intensity = PHASE_STYLES[renderPhase].environmentLighting || 0;
+  const enabled = intensity > 0 && !!irradianceSH && environmentLevels.length === ENVIRONMENT_LEVELS;
+  targetShader.setUniform('uUseEnvironment', enabled);
+  if (!enabled) return;
+  
+  targetShader.setUniform('uEnvironmentIntensity', intensity);
+  targetShader.setUniform('uIrradianceSH', irradianceSH);
+  environmentLevels.forEach((level, i) => {
+    targetShader.setUniform(`uEnvironment${i}`, level.color);
+  });
 }
 
-// Helper functions
-const lerpArray = (a, b, t) => a.map((v, i) => lerp(v, b[i], t));
-const easeOutQuart = t => 1 - Math.pow(1 - t, 4);
-const easeInOutCubic = t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-const nextPhase = () => (renderPhase + 1) % TOTAL_PHASES;
+/**
+ * Applies the wireframe style for Phase 0
+ * Sets green stroke color and removes fill for vector graphics look
+ * @function applyWireframeStyle
+ */
+function applyWireframeStyle() {
+  const style = PHASE_STYLES[0];
+  noLights();
+  noFill();
+  stroke(...style.strokeColor);
+  strokeWeight(style.strokeWeight);
+}
 
-// Event handlers
-function mouseDragged() {
-  if (userCameraControl) cameraAngle -= movedX * 0.01;
-  return false;
+/**
+ * Draws the outline of a box as a vector display would: its 12 edges only,
+ * without the triangle diagonals p5's own box strokes include
+ * @function drawVectorBox
+ * @param {number} w - Width of the box
+ * @param {number} h - Height of the box
+ * @param {number} d - Depth of the box
+ */
+function drawVectorBox(w, h, d) {
+  if (hiddenLineRemoval) drawDepthOnly(() => box(w, h, d));
+  
+  const [x, y, z] = [w / 2, h / 2, d / 2];
+  const corners = [
+    [-x, -y, -z], [x, -y, -z], [x, y, -z], [-x, y, -z],
+    [-x, -y, z], [x, -y, z], [x, y, z], [-x, y, z]
+  ];
+  drawVectorEdges(BOX_EDGES.map(([a, b]) => [corners[a], corners[b]]));
 }
 
-function mouseWheel(event) {
-  if (userCameraControl) {
-    cameraDistance = constrain(cameraDistance + event.delta, 400, 1500);
-    const zoomSlider = select('#control-panel').elt.querySelector('input[type="range"]');
-    if (zoomSlider) zoomSlider.value = cameraDistance;
+/**
+ * Draws the outline of an upright cylinder centred on the origin: its top
+ * and bottom rings joined by a vertical line every quarter turn
+ * @function drawVectorCylinder
+ * @param {number} radius - Radius of the rings
+ * @param {number} h - Height of the cylinder
+ * @param {number} segments - Number of segments around each ring
+ */
+function drawVectorCylinder(radius, h, segments) {
+  if (hiddenLineRemoval) drawDepthOnly(() => cylinder(radius, h, segments, 1));
+  
+  const edges = [];
+  for (let i = 0; i < segments; i++) {
+    const a = TWO_PI * i / segments;
+    const b = TWO_PI * (i + 1) / segments;
+    const [ax, az, bx, bz] = [cos(a) * radius, sin(a) * radius, cos(b) * radius, sin(b) * radius];
+    edges.push([[ax, -h / 2, az], [bx, -h / 2, bz]]);
+    edges.push([[ax, h / 2, az], [bx, h / 2, bz]]);
+    if (i % (segments / 4) === 0) edges.push([[ax, -h / 2, az], [ax, h / 2, az]]);
   }
-  return false;
+  drawVectorEdges(edges);
 }
 
 /**
- * Generates trees around the cityscape
- * Places trees with proper spacing and avoids buildings
- * @function generateTrees
+ * Draws the outline of an upward-pointing cone: its base ring plus spokes
+ * running up to the tip
+ * @function drawVectorCone
+ * @param {number} radius - Radius of the base, which sits at y = 0
+ * @param {number} h - Height of the tip above the base
+ * @param {number} segments - Number of segments around the base ring
  */
-function generateTrees() {
-  const buildingBuffer = 60; // Minimum distance from buildings
-  const edgeBuffer = 600;    // Distance from edge of scene
+function drawVectorCone(radius, h, segments) {
+  if (hiddenLineRemoval) {
+    drawDepthOnly(() => {
+      translate(0, -h / 2, 0);
+      rotateX(PI);
+      cone(radius, h, segments);
+    });
+  }
   
-  for (let i = 0; i < TREE_COUNT; i++) {
-    let x, z;
-    let validPosition = false;
-    let attempts = 0;
-    
-    // Try to find a valid position away from buildings
-    while (!validPosition && attempts < 50) {
-      x = random(-edgeBuffer, edgeBuffer);
-      z = random(-edgeBuffer, edgeBuffer);
-      validPosition = true;
-      
-      // Check distance from all buildings
-      for (let building of buildings) {
-        const dx = x - building.x;
-        const dz = z - building.z;
-        const distance = sqrt(dx * dx + dz * dz);
-        if (distance < building.width/2 + buildingBuffer) {
-          validPosition = false;
-          break;
-        }
-      }
-      attempts++;
-    }
-    
-    if (validPosition) {
-      trees.push({
-        x: x,
-        z: z,
-        height: random(40, 80),
-        trunkHeight: random(10, 20),
-        trunkWidth: random(4, 8),
-        canopySize: random(20, 35),
-        swayOffset: random(TWO_PI),
-        type: random() > 0.7 ? 'pine' : 'deciduous'
-      });
-    }
+  const edges = [];
+  for (let i = 0; i < segments; i++) {
+    const a = TWO_PI * i / segments;
+    const b = TWO_PI * (i + 1) / segments;
+    const base = [cos(a) * radius, 0, sin(a) * radius];
+    edges.push([base, [cos(b) * radius, 0, sin(b) * radius]]);
+    edges.push([base, [0, -h, 0]]);
   }
+  drawVectorEdges(edges);
 }
 
-// Not actually HDR but similar processes
-function applyHDRBackground() {
-  if (!hdrTexture) return;
+/**
+ * Strokes a list of line segments with the current stroke settings
+ * Without the vector display post pass, a wide faint stroke stands in for
+ * the phosphor glow
+ * @function drawVectorEdges
+ * @param {Array} edges - Segments as [[x, y, z], [x, y, z]] pairs
+ */
+function drawVectorEdges(edges) {
+  const style = PHASE_STYLES[0];
+  const strokeEdges = () => {
+    beginShape(LINES);
+    edges.forEach(([a, b]) => {
+      vertex(...a);
+      vertex(...b);
+    });
+    endShape();
+  };
   
-  // Opacity based on phase/transition
-  let opacity = 1.0;
-  if (renderPhase === 2) {
-    opacity = map(transitionProgress, 0.7, 1, 0, 1, true);
-  } else if (renderPhase === 4) {
-    opacity = map(transitionProgress, 0, 0.3, 1, 0, true);
+  if (style.glowEffect && !isVectorDisplayReady()) {
+    push();
+    stroke(...style.glowColor);
+    strokeWeight(style.strokeWeight * 2);
+    strokeEdges();
+    pop();
   }
-  if (opacity <= 0) return;
-  push();
-  noLights();
-  noStroke();
-  
-  // Enviroment Texture
-  texture(hdrTexture);
-  tint(255, 255 * opacity);
-  _renderer.GL.disable(_renderer.GL.DEPTH_TEST);
   
-  // Sphere to show environment map
-  scale(-1, 1, 1);
-  sphere(3000, 32, 32);
-  _renderer.GL.enable(_renderer.GL.DEPTH_TEST);
-  noTint();
-  pop();
+  strokeEdges();
 }
 
 /**
- * Applies the wireframe style for Phase 0
- * Sets green stroke color and removes fill for vector graphics look
- * @function applyWireframeStyle
+ * Draws a solid shape into the depth buffer only, so vector edges behind it
+ * fail the depth test. Polygon offset pushes its faces back slightly so the
+ * shape's own edges stay visible
+ * @function drawDepthOnly
+ * @param {Function} drawShape - Draws the solid version of the shape
  */
-function applyWireframeStyle() {
-  // Didnt have time to get working
+function drawDepthOnly(drawShape) {
+  const gl = drawingContext;
+  push();
+  noStroke();
+  fill(0);
+  gl.colorMask(false, false, false, false);
+  gl.enable(gl.POLYGON_OFFSET_FILL);
+  gl.polygonOffset(1, 1);
+  drawShape();
+  gl.disable(gl.POLYGON_OFFSET_FILL);
+  gl.colorMask(true, true, true, true);
+  pop();
 }
 
 /**
@@ -2257,20 +6475,19 @@ function applyWireframeStyle() {
  * @param {number} blendAmount - Transition blend amount (0-1)
  */
 function applyPhaseStyle(phase, nextPhase, blendAmount) {
-  applyStyle(PHASE_STYLES[phase]);
+  const currentStyle = PHASE_STYLES[phase];
+  const nextStyle = PHASE_STYLES[nextPhase];
   
-  if (blendAmount > 0) {
-    const currentStyle = PHASE_STYLES[phase];
-    const nextStyle = PHASE_STYLES[nextPhase];
-    const easedBlend = easeOutQuart(blendAmount);
-    
-    if (phase === 0 || nextPhase === 0) {
-      handleWireframeTransition(currentStyle, nextStyle, easedBlend);
-    } else if (phase === 1) {
-      handlePhase1to2Transition(currentStyle, nextStyle, easedBlend);
-    } else {
-      blendStyles(currentStyle, nextStyle, easedBlend);
-    }
+  if (blendAmount <= 0) {
+    applyStyle(currentStyle);
+    return;
+  }
+  
+  const easedBlend = easeOutQuart(blendAmount);
+  if (!currentStyle.fillColor || !nextStyle.fillColor) {
+    handleWireframeTransition(currentStyle, nextStyle, easedBlend);
+  } else {
+    blendStyles(currentStyle, nextStyle, easedBlend);
   }
 }
 
@@ -2294,12 +6511,12 @@ function applyStyle(style) {
     noFill();
   }
   
-  const [ar, ag, ab] = style.ambientLight.map(v => v * timeOfDay);
+  const [ar, ag, ab] = daylitColor(style.ambientLight, dayCycle.ambientTint);
   ambientLight(ar, ag, ab);
   
   if (style.directionalLight) {
-    const [dr, dg, db] = style.directionalLight.color.map(v => v * timeOfDay);
-    const [dx, dy, dz] = style.directionalLight.direction;
+    const [dr, dg, db] = daylitColor(style.directionalLight.color, dayCycle.lightTint);
+    const [dx, dy, dz] = dayCycle.lightDirection;
     directionalLight(dr, dg, db, dx, dy, dz);
   }
   
@@ -2316,19 +6533,108 @@ function applyStyle(style) {
   }
   
   if (style.volumetricLight) {
-    pointLight(80 * timeOfDay, 100 * timeOfDay, 150 * timeOfDay, 0, -800, 0);
+    pointLight(80 * lightingIntensity, 100 * lightingIntensity, 150 * lightingIntensity, 0, -800, 0);
   }
 }
 
 /**
  * Applies material properties to objects
  * Controls specular highlights, shininess, metallic, roughness, and reflectivity
+ * When a custom material shader is bound, the parameters and any texture maps
+ * in material.maps are also passed straight through as uniforms
  * @function applyMaterial
  * @param {Object} material - Material properties object
  * @param {number} intensity - Material effect intensity (0-1)
  */
 function applyMaterial(material, intensity = 1.0) {
-  // Didnt have time to get working
+  if (!material) return;
+  
+  const amount = constrain(intensity, 0, 1);
+  const roughness = constrain(material.roughness ?? 0.5, 0, 1);
+  const reflectivity = constrain(material.reflectivity || 0, 0, 1);
+  
+  // Rough surfaces scatter their highlight, so it gets dimmer and wider
+  // Reflective surfaces send more of the incoming light back as specular
+  const specularScale = amount * (1 - roughness * 0.5) * (1 + reflectivity);
+  const specular = (material.specular || [0, 0, 0]).map(v => constrain(v * specularScale, 0, 255));
+  specularMaterial(...specular);
+  
+  // Phong exponent: smooth surfaces tighten the highlight, rough ones spread it
+  shininess(max(1, (material.shininess || 1) * lerp(1.5, 0.25, roughness)));
+  
+  // p5 eases metalness with 1 - e^(-m/100), so 0-1 is scaled into a range
+  // that tints the highlight without wiping out the ambient term
+  metalness((material.metallic || 0) * 25 * amount);
+  
+  const subsurface = (material.subsurface || 0) * amount;
+  
+  if (materialShader) {
+    setMaterialShaderUniforms(material, roughness, reflectivity, subsurface, amount);
+  } else {
+    // Light scattered under the surface is approximated by a warm emissive glow
+    emissiveMaterial(...SUBSURFACE_COLOR.map(v => v * subsurface));
+  }
+}
+
+/**
+ * Passes material parameters and texture maps to the bound material shader
+ * Maps that are missing or not yet generated are flagged off in the shader
+ * @function setMaterialShaderUniforms
+ * @param {Object} material - Material properties object
+ * @param {number} roughness - Clamped surface roughness (0-1)
+ * @param {number} reflectivity - Clamped reflectivity (0-1)
+ * @param {number} subsurface - Subsurface scattering amount (0-1)
+ * @param {number} amount - Material effect intensity (0-1)
+ */
+function setMaterialShaderUniforms(material, roughness, reflectivity, subsurface, amount) {
+  const maps = material.maps || {};
+  
+  materialShader.setUniform('uMetalness', (material.metallic || 0) * amount);
+  materialShader.setUniform('uRoughness', lerp(1, roughness, amount));
+  materialShader.setUniform('uReflectivity', reflectivity * amount);
+  materialShader.setUniform('uSubsurface', subsurface);
+  
+  [['normal', 'uNormalMap', 'uHasNormalMap'],
+   ['roughness', 'uRoughnessMap', 'uHasRoughnessMap'],
+   ['ao', 'uAOMap', 'uHasAOMap'],
+   ['height', 'uHeightMap', 'uHasHeightMap'],
+   ['metallic', 'uMetallicMap', 'uHasMetallicMap'],
+   ['opacity', 'uOpacityMap', 'uHasOpacityMap']].forEach(([slot, sampler, flag]) => {
+    const hasMap = !!maps[slot]?.width;
+    materialShader.setUniform(flag, hasMap);
+    if (hasMap) materialShader.setUniform(sampler, maps[slot]);
+  });
+}
+
+/**
+ * Binds the custom material shader for the current phase, if it has one
+ * Phase 4 uses the selectable classic lighting models and Phase 5 swaps
+ * p5's built-in lighting for the Cook-Torrance PBR shader. The lighting model
+ * selection only reaches shaders that declare its uniforms
+ * @function beginMaterialShading
+ */
+function beginMaterialShading() {
+  materialShader = PHASES[renderPhase].materialShader?.() || null;
+  
+  if (materialShader) {
+    // Uniforms only stick once the shader is bound
+    shader(materialShader);
+    materialShader.setUniform('uLightingModel', lightingModel);
+    materialShader.setUniform('uShadingView', shadingView);
+    setShadowUniforms(materialShader);
+    setEnvironmentUniforms(materialShader);
+  }
+}
+
+/**
+ * Restores p5's built-in shaders after the scene has been drawn
+ * @function endMaterialShading
+ */
+function endMaterialShading() {
+  if (materialShader) {
+    resetShader();
+    materialShader = null;
+  }
 }
 
 /**
@@ -2340,7 +6646,120 @@ function applyMaterial(material, intensity = 1.0) {
  * @param {number} blendAmount - Blend amount (0-1)
  */
 function blendStyles(currentStyle, nextStyle, blendAmount) {
-  // Didnt have time to get working
+  const t = constrain(blendAmount, 0, 1);
+  
+  // A stroke only one style has thins out rather than changing colour
+  const strokeColor = blendOptionalColor(currentStyle.strokeColor, nextStyle.strokeColor, t);
+  const weight = lerp(
+    currentStyle.strokeColor ? currentStyle.strokeWeight : 0,
+    nextStyle.strokeColor ? nextStyle.strokeWeight : 0,
+    t
+  );
+  if (strokeColor && weight > 0.01) {
+    stroke(...strokeColor);
+    strokeWeight(weight);
+  } else {
+    noStroke();
+  }
+  
+  const fillColor = blendOptionalColor(currentStyle.fillColor, nextStyle.fillColor, t);
+  if (fillColor) {
+    fill(...fillColor);
+  } else {
+    noFill();
+  }
+  
+  const [ar, ag, ab] = daylitColor(lerpArray(currentStyle.ambientLight, nextStyle.ambientLight, t), dayCycle.ambientTint);
+  ambientLight(ar, ag, ab);
+  
+  const directional = blendLightSettings(currentStyle.directionalLight, nextStyle.directionalLight, t);
+  if (directional) {
+    const [dr, dg, db] = daylitColor(directional.color, dayCycle.lightTint);
+    const [dx, dy, dz] = dayCycle.lightDirection;
+    directionalLight(dr, dg, db, dx, dy, dz);
+  }
+  
+  const pointLights = blendLightSettings(currentStyle.pointLights, nextStyle.pointLights, t);
+  if (pointLights) {
+    applyPointLights(pointLights, 1.0);
+  }
+  
+  blendMaterials(currentStyle.material, nextStyle.material, t);
+  
+  const buildingLights = styleFeatureWeight(currentStyle, nextStyle, 'buildingLights', t);
+  if (buildingLights > 0) {
+    applyBuildingLights(buildingLights);
+  }
+  
+  const volumetric = styleFeatureWeight(currentStyle, nextStyle, 'volumetricLight', t) * lightingIntensity;
+  if (volumetric > 0) {
+    pointLight(80 * volumetric, 100 * volumetric, 150 * volumetric, 0, -800, 0);
+  }
+}
+
+/**
+ * Interpolates two optional colours
+ * When only one style defines the colour it is used as is
+ * @function blendOptionalColor
+ * @param {Array|null} current - Current colour
+ * @param {Array|null} next - Next colour
+ * @param {number} blendAmount - Blend amount (0-1)
+ * @returns {Array|null} Blended colour, or null if neither style has one
+ */
+function blendOptionalColor(current, next, blendAmount) {
+  if (current && next) return lerpArray(current, next, blendAmount);
+  return current || next;
+}
+
+/**
+ * Interpolates two optional light settings such as directionalLight
+ * A light only one style has fades in or out by scaling its colour
+ * @function blendLightSettings
+ * @param {Object} current - Current light settings
+ * @param {Object} next - Next light settings
+ * @param {number} blendAmount - Blend amount (0-1)
+ * @returns {Object|null} Blended light settings, or null if neither style has the light
+ */
+function blendLightSettings(current, next, blendAmount) {
+  if (!current && !next) return null;
+  
+  if (current && next) {
+    const blended = { ...current };
+    Object.keys(next).forEach(key => {
+      const [a, b] = [current[key], next[key]];
+      if (Array.isArray(a) && Array.isArray(b)) blended[key] = lerpArray(a, b, blendAmount);
+      else if (typeof a === 'number' && typeof b === 'number') blended[key] = lerp(a, b, blendAmount);
+      else blended[key] = blendAmount < 0.5 ? (a ?? b) : b;
+    });
+    return blended;
+  }
+  
+  const light = current || next;
+  const presence = current ? 1 - blendAmount : blendAmount;
+  return { ...light, color: light.color.map(v => v * presence) };
+}
+
+/**
+ * Cross-fades a boolean style feature such as roads between two styles
+ * @function styleFeatureWeight
+ * @param {Object} currentStyle - Current phase style
+ * @param {Object} nextStyle - Next phase style
+ * @param {string} feature - Name of the boolean style property
+ * @param {number} blendAmount - Blend amount (0-1)
+ * @returns {number} How strongly the feature is shown (0-1)
+ */
+function styleFeatureWeight(currentStyle, nextStyle, feature, blendAmount) {
+  return lerp(currentStyle[feature] ? 1 : 0, nextStyle[feature] ? 1 : 0, constrain(blendAmount, 0, 1));
+}
+
+/**
+ * Cross-fades a boolean style feature for the phase being rendered
+ * @function phaseFeatureWeight
+ * @param {string} feature - Name of the boolean style property
+ * @returns {number} How strongly the feature is shown this frame (0-1)
+ */
+function phaseFeatureWeight(feature) {
+  return styleFeatureWeight(PHASE_STYLES[renderPhase], PHASE_STYLES[nextPhase()], feature, styleTransition());
 }
 
 /**
@@ -2360,70 +6779,37 @@ function handleWireframeTransition(currentStyle, nextStyle, blendAmount) {
 }
 
 /**
- * Handles transition from basic solid to textured rendering
- * Special case for Phase 1 to Phase 2 transition
- * @function handlePhase1to2Transition
- * @param {Object} currentStyle - Basic solid style
- * @param {Object} nextStyle - Textured style
- * @param {number} blendAmount - Transition progress (0-1)
- */
-function handlePhase1to2Transition(currentStyle, nextStyle, blendAmount) {
-  const adjustedBlend = map(blendAmount, 0.4, 1, 0, 1, true);
-  const easedBlend = easeOutQuart(adjustedBlend);
-  
-  fill(...currentStyle.fillColor);
-  
-  if (blendAmount > 0.8) {
-    const colorBlend = map(blendAmount, 0.8, 1, 0, 1, true);
-    fill(...lerpArray(currentStyle.fillColor, nextStyle.fillColor, colorBlend));
-  }
-  
-  blendStyles(currentStyle, nextStyle, easedBlend);
-}
-
-/**
- * Applies point lights throughout the scene
- * Creates dynamic lighting effects with noise-based variation
+ * Applies point lights at the street lamps
+ * p5 only shades with a handful of point lights, so the lamps nearest the
+ * point the camera looks at are lit, from their heads. They come up at dusk
+ * and go out at dawn
  * @function applyPointLights
  * @param {Object} style - Light configuration
  * @param {number} intensity - Light intensity (0-1)
  */
 function applyPointLights(style, intensity) {
-  const time = frameCount * 0.005;
-  const baseIntensity = style.intensity || 1.0;
-  
-  for (let x = -400; x <= 400; x += 200) {
-    for (let z = -400; z <= 400; z += 200) {
-      const positionFactor = noise(x * 0.01, z * 0.01, time) * 0.2 + 0.8;
-      const heightFactor = noise(x * 0.015, z * 0.015, time + 1000) * 100 - 50;
-      const adjustedIntensity = constrain(intensity * positionFactor * baseIntensity * 0.8, 0, 1);
-      
-      if (adjustedIntensity > 0.05) {
-        const color = style.color.map(v => v * adjustedIntensity * timeOfDay);
-        pointLight(...color, x, -100 + heightFactor, z);
-        
-        if (random() < 0.05) {
-          const flickerIntensity = random(0.8, 1.2);
-          pointLight(
-            ...color.map(v => v * flickerIntensity),
-            x + random(-5, 5),
-            -100 + heightFactor + random(-5, 5),
-            z + random(-5, 5)
-          );
-        }
-      }
-    }
-  }
+  const adjustedIntensity = constrain(intensity * dayCycle.lightsOn * (style.intensity || 1.0) * 0.8, 0, 1);
+  if (adjustedIntensity <= 0.05) return;
+  
+  const color = style.color.map(v => v * adjustedIntensity * lightingIntensity);
+  const [cx, , cz] = cameraCenter;
+  streetLights
+    .map(light => ({ light, distance: dist(light.x, light.z, cx, cz) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, STREET_POINT_LIGHTS)
+    .forEach(({ light }) => pointLight(...color, light.x, -STREET_LIGHT_HEIGHT, light.z));
 }
 
 /**
  * Applies dynamic lighting to buildings
- * Creates window glow and ambient lighting effects
+ * Creates window glow and ambient lighting effects, switched on at dusk
  * @function applyBuildingLights
  * @param {number} intensity - Light intensity (0-1)
  */
 function applyBuildingLights(intensity) {
-  const time = frameCount * 0.005;
+  const time = clockTime * 0.3;
+  intensity *= dayCycle.lightsOn;
+  if (intensity <= 0) return;
   const baseIntensity = PHASE_STYLES[renderPhase].buildingLightIntensity || 1.0;
   
   buildings.forEach(building => {
@@ -2434,9 +6820,9 @@ function applyBuildingLights(intensity) {
       
       if (adjustedIntensity > 0.05) {
         const mainLight = [
-          180 * adjustedIntensity * timeOfDay,
-          190 * adjustedIntensity * timeOfDay,
-          200 * adjustedIntensity * timeOfDay
+          180 * adjustedIntensity * lightingIntensity,
+          190 * adjustedIntensity * lightingIntensity,
+          200 * adjustedIntensity * lightingIntensity
         ];
         
         for (let h = 0.2; h <= 0.8; h += 0.3) {
@@ -2445,9 +6831,9 @@ function applyBuildingLights(intensity) {
           
           if (random() < 0.2) {
             const accentColor = [
-              random(160, 200) * adjustedIntensity * 0.4 * timeOfDay,
-              random(170, 190) * adjustedIntensity * 0.4 * timeOfDay,
-              random(180, 200) * adjustedIntensity * 0.4 * timeOfDay
+              random(160, 200) * adjustedIntensity * 0.4 * lightingIntensity,
+              random(170, 190) * adjustedIntensity * 0.4 * lightingIntensity,
+              random(180, 200) * adjustedIntensity * 0.4 * lightingIntensity
             ];
             pointLight(
               ...accentColor,
@@ -2464,7 +6850,7 @@ function applyBuildingLights(intensity) {
   if (intensity > 0.3) {
     buildings.forEach(building => {
       if (noise(building.x * 0.08, building.z * 0.08, time) > 0.7) {
-        const reflectionIntensity = intensity * 0.2 * timeOfDay;
+        const reflectionIntensity = intensity * 0.2 * lightingIntensity;
         pointLight(
           140 * reflectionIntensity,
           150 * reflectionIntensity,